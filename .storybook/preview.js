@@ -1,3 +1,9 @@
+import { I18nProvider } from "../src/i18n/I18n";
+import locales, { defaultLocale } from "../src/i18n/locales";
+import startMockApi from "../src/mocks/browser";
+import ThemeProvider from "../src/stories/ThemeProvider";
+import themes from "../src/stories/themes";
+
 export const parameters = {
   actions: { argTypesRegex: "^on[A-Z].*" },
   controls: {
@@ -6,4 +12,75 @@ export const parameters = {
       date: /Date$/,
     },
   },
-}
\ No newline at end of file
+};
+
+// Theme switcher in the toolbar. Every story renders inside a ThemeProvider
+// with the selected theme; a story's own theme arg still wins for its
+// component.
+export const globalTypes = {
+  theme: {
+    name: "Theme",
+    description: "Design tokens for the Button/Header/Page kit",
+    defaultValue: "light",
+    toolbar: {
+      icon: "paintbrush",
+      items: themes.map(({ name, label }) => ({ value: name, title: label })),
+      dynamicTitle: true,
+    },
+  },
+  // Language of the kit's text, and the writing direction, which follows the
+  // language unless you force it to check a layout in RTL.
+  locale: {
+    name: "Locale",
+    description: "Language of the playground's messages",
+    defaultValue: defaultLocale,
+    toolbar: {
+      icon: "globe",
+      items: locales.map(({ code, name }) => ({ value: code, title: name })),
+      dynamicTitle: true,
+    },
+  },
+  direction: {
+    name: "Direction",
+    description: "Writing direction; auto follows the locale",
+    defaultValue: "auto",
+    toolbar: {
+      icon: "transfer",
+      items: [
+        { value: "auto", title: "Direction: auto" },
+        { value: "ltr", title: "Left to right" },
+        { value: "rtl", title: "Right to left" },
+      ],
+      dynamicTitle: true,
+    },
+  },
+};
+
+// The mock API the useFetch stories fetch from. Stories render once it is
+// up; one that can't start (no service worker over plain http, or in some
+// private windows) only breaks those stories, so the others render anyway, as
+// in src/index.js.
+export const loaders = [
+  async () => {
+    await startMockApi().catch((error) => {
+      // eslint-disable-next-line no-console
+      console.warn("The mock API didn't start:", error);
+    });
+    return {};
+  },
+];
+
+export const decorators = [
+  (Story, context) => (
+    <I18nProvider
+      locale={context.globals.locale}
+      dir={
+        context.globals.direction === "auto" ? null : context.globals.direction
+      }
+    >
+      <ThemeProvider theme={context.globals.theme}>
+        <Story />
+      </ThemeProvider>
+    </I18nProvider>
+  ),
+];
@@ -1,19 +1,26 @@
-/* eslint-disable no-unused-vars */
-import React from "react";
-import logo from "./logo.svg";
 import "./App.css";
-import StateHook from "./examples/hooks/useState/StateHook";
-import EffectHook from "./examples/hooks/useEffect/EffectHook";
-import MyOwnHook, { MyOwnHook2 } from "./examples/hooks/useMyOwnHook/MyOwnHook";
+import { RouterProvider } from "./router/Router";
+import Catalog from "./catalog/Catalog";
+import { I18nProvider } from "./i18n/I18n";
+import InstallButton from "./pwa/InstallButton";
+import UpdateToast from "./pwa/UpdateToast";
+import { DocumentTitleProvider } from "./title/DocumentTitle";
+import VitalsOverlay from "./vitals/VitalsOverlay";
 
 function App() {
   return (
-    <div className="App">
-      <StateHook />
-      <EffectHook />
-      <MyOwnHook />
-      <MyOwnHook2 />
-    </div>
+    <I18nProvider>
+      <div className="App">
+        <DocumentTitleProvider>
+          <RouterProvider>
+            <Catalog />
+          </RouterProvider>
+        </DocumentTitleProvider>
+        <InstallButton />
+        <UpdateToast />
+        <VitalsOverlay />
+      </div>
+    </I18nProvider>
   );
 }
 
@@ -1,8 +1,113 @@
-import { render, screen } from '@testing-library/react';
-import App from './App';
+import { fireEvent, render, screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import App from "./App";
+import { expectNoA11yViolations } from "./setupTests";
 
-test('renders learn react link', () => {
+afterEach(() => {
+  window.history.replaceState(null, "", "/");
+});
+
+test("renders the example index", () => {
+  render(<App />);
+  const index = screen.getByRole("navigation", { name: "Examples" });
+  expect(index).toHaveTextContent("Using the State Hook");
+  expect(index).toHaveTextContent("Using the Effect Hook");
+  expect(screen.queryByText("Click me")).not.toBeInTheDocument();
+});
+
+test("mounts only the selected example", () => {
+  render(<App />);
+  userEvent.click(
+    screen.getByRole("link", { name: "Building Your Own Hooks" })
+  );
+
+  expect(window.location.pathname).toBe("/examples/my-own-hook");
+  expect(screen.getByRole("heading", { level: 1 })).toHaveTextContent(
+    "Building Your Own Hooks"
+  );
+  expect(screen.getAllByRole("button", { name: "Click me" })).toHaveLength(1);
+});
+
+test("keeps the examples' query state when moving between them", () => {
+  window.history.replaceState(null, "", "/examples/state-hook?state-count=1:3");
+  render(<App />);
+  userEvent.click(screen.getByRole("link", { name: "Using the Effect Hook" }));
+  expect(window.location.pathname).toBe("/examples/effect-hook");
+  expect(window.location.search).toBe("?state-count=1:3");
+
+  userEvent.click(screen.getByRole("link", { name: "Using the State Hook" }));
+  expect(screen.getByText("You clicked 3 times")).toBeInTheDocument();
+});
+
+test("example links carry the query state, to open them in a new tab", () => {
+  window.history.replaceState(null, "", "/examples/state-hook?state-count=1:3");
+  render(<App />);
+  const link = screen.getByRole("link", { name: "Using the Effect Hook" });
+  expect(link).toHaveAttribute("href", "/examples/effect-hook?state-count=1:3");
+
+  // The hook version keeps state-count; its class version keeps nothing.
+  screen
+    .getAllByRole("button", { name: "Click me" })
+    .forEach((button) => userEvent.click(button));
+  fireEvent.contextMenu(link);
+  expect(link).toHaveAttribute(
+    "href",
+    "/examples/effect-hook?state-count=1%3A4"
+  );
+});
+
+test("hash route links carry the query state too", () => {
+  window.history.replaceState(
+    null,
+    "",
+    "/?state-count=1:3#/examples/state-hook"
+  );
+  render(<App />);
+  expect(
+    screen.getByRole("link", { name: "Using the Effect Hook" })
+  ).toHaveAttribute("href", "?state-count=1:3#/examples/effect-hook");
+});
+
+test("opens the example addressed by the URL", () => {
+  window.history.replaceState(null, "", "/examples/my-own-hook-2");
+  render(<App />);
+  const demo = screen.getByRole("region", { name: "Demo" });
+  expect(within(demo).getByText(/\(MyOwnHook 2\)/)).toBeInTheDocument();
+});
+
+test("falls back to hash routes", () => {
+  window.history.replaceState(null, "", "/#/examples/state-hook");
+  render(<App />);
+  expect(screen.getByRole("heading", { level: 1 })).toHaveTextContent(
+    "Using the State Hook"
+  );
+});
+
+test("shows the example source next to the demo", () => {
+  window.history.replaceState(null, "", "/examples/effect-hook");
+  render(<App />);
+  const source = screen.getByRole("region", {
+    name: "Source of src/examples/hooks/useEffect/EffectHook.js",
+  });
+  expect(source).toHaveTextContent(
+    "export default function EffectHook({ initialCount, titlePrefix })"
+  );
+  expect(
+    within(source).getByText("What does useEffect do?", { selector: "summary" })
+  ).toBeInTheDocument();
+});
+
+test("runs the FriendStatus versions against the mock ChatAPI", async () => {
+  window.history.replaceState(null, "", "/examples/effect-cleanup");
+  render(<App />);
+  expect(screen.getAllByText("Loading...")).toHaveLength(2);
+  expect(await screen.findAllByText("Online")).toHaveLength(2);
+
+  const inspector = screen.getByRole("region", { name: "ChatAPI inspector" });
+  expect(within(inspector).getByText("Active subscriptions (2)")).toBeVisible();
+});
+
+test("the index passes an accessibility audit", async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  await expectNoA11yViolations();
 });
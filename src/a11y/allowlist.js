@@ -0,0 +1,39 @@
+// Known accessibility exceptions. The Jest audits (expectNoA11yViolations in
+// src/setupTests.js) and Storybook's Accessibility panel both run axe; a story
+// or a test that can't pass one of its rules yet lists the rule here with the
+// reason, instead of the rule being turned off everywhere.
+
+function ruleIds(allow) {
+  return Object.entries(allow).map(([id, reason]) => {
+    if (typeof reason !== "string" || !reason.trim()) {
+      throw new Error(`Say why the "${id}" axe rule is allowed to fail`);
+    }
+    return id;
+  });
+}
+
+/**
+ * The a11y parameter for a story that is allowed to fail the given axe rules,
+ * given as { [ruleId]: reason }
+ */
+export function a11yAllowlist(allow) {
+  return {
+    config: { rules: ruleIds(allow).map((id) => ({ id, enabled: false })) },
+  };
+}
+
+/**
+ * The same allowlist as axe's rules option, for jest-axe
+ */
+export function axeRules(allow = {}) {
+  return Object.fromEntries(
+    ruleIds(allow).map((id) => [id, { enabled: false }])
+  );
+}
+
+// For stories that show a primary button in the light theme: #1ea7fd is the
+// brand's blue, and white text on it reaches about 2.5:1.
+export const primaryButtonContrast = {
+  "color-contrast":
+    "The light theme's primary button (white on #1ea7fd) is below 4.5:1",
+};
@@ -0,0 +1,38 @@
+import { render } from "@testing-library/react";
+import { expectNoA11yViolations } from "../setupTests";
+import { a11yAllowlist, axeRules } from "./allowlist";
+
+test("turns the allowed rules off for Storybook and for jest-axe", () => {
+  const allow = { "image-alt": "A placeholder image", region: "A fragment" };
+  expect(a11yAllowlist(allow)).toEqual({
+    config: {
+      rules: [
+        { id: "image-alt", enabled: false },
+        { id: "region", enabled: false },
+      ],
+    },
+  });
+  expect(axeRules(allow)).toEqual({
+    "image-alt": { enabled: false },
+    region: { enabled: false },
+  });
+  expect(axeRules()).toEqual({});
+});
+
+test("every allowed rule needs a reason", () => {
+  expect(() => a11yAllowlist({ "image-alt": " " })).toThrow(
+    'Say why the "image-alt" axe rule is allowed to fail'
+  );
+});
+
+test("the audit only lets the allowed rules fail", async () => {
+  const { container } = render(
+    <ul>
+      <div>Not a list item</div>
+    </ul>
+  );
+  await expect(expectNoA11yViolations(container)).rejects.toThrow(/list/);
+  await expectNoA11yViolations(container, {
+    allow: { list: "Testing the allowlist" },
+  });
+});
@@ -0,0 +1,57 @@
+import PropTypes from "prop-types";
+import { useI18n } from "../i18n/I18n";
+import LocaleSwitcher from "../i18n/LocaleSwitcher";
+import { useRouter } from "../router/Router";
+import StrictModeToggle from "../strict/StrictModeToggle";
+import ExampleView from "./ExampleView";
+import Sidebar from "./Sidebar";
+import defaultExamples, { exampleShape, findExampleByPath } from "./examples";
+import "./catalog.css";
+
+/**
+ * Sidebar index plus the example selected by the current route
+ */
+export default function Catalog({ examples }) {
+  const { path } = useRouter();
+  const { t } = useI18n();
+  const example = findExampleByPath(path, examples);
+
+  let content;
+  if (example) {
+    // Keyed by id so switching examples always remounts with fresh state.
+    content = <ExampleView key={example.id} example={example} />;
+  } else if (path === "/") {
+    content = (
+      <div className="catalog-empty">
+        <h1>{t("catalog.home.title")}</h1>
+        <p>{t("catalog.home.intro")}</p>
+      </div>
+    );
+  } else {
+    content = (
+      <div className="catalog-empty">
+        <h1>{t("catalog.notFound.title")}</h1>
+        <p>{t("catalog.notFound.intro", { path: <code>{path}</code> })}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="catalog">
+      <Sidebar examples={examples} />
+      <main className="catalog-main">
+        <LocaleSwitcher />
+        <StrictModeToggle />
+        {content}
+      </main>
+    </div>
+  );
+}
+
+Catalog.propTypes = {
+  examples: PropTypes.arrayOf(exampleShape),
+};
+
+Catalog.defaultProps = {
+  examples: defaultExamples,
+};
@@ -0,0 +1,94 @@
+import { memo, useCallback, useMemo, useRef, useState } from "react";
+import PropTypes from "prop-types";
+import LifecycleLogContext from "../lifecycle/LifecycleLogContext";
+import LifecycleLog from "./LifecycleLog";
+
+// Memoized so a new log entry, which re-renders the comparison, does not
+// re-render the example and run its effects again.
+const Side = memo(function Side({ id, label, version: Version, log }) {
+  const [mounted, setMounted] = useState(true);
+
+  return (
+    <section aria-label={`${label} version`}>
+      <h2>{label}</h2>
+      <label htmlFor={`comparison-${id}-mounted`}>
+        <input
+          id={`comparison-${id}-mounted`}
+          type="checkbox"
+          checked={mounted}
+          onChange={(e) => setMounted(e.target.checked)}
+        />{" "}
+        Mounted
+      </label>
+      <LifecycleLogContext.Provider value={log}>
+        {mounted && <Version />}
+      </LifecycleLogContext.Provider>
+    </section>
+  );
+});
+
+Side.propTypes = {
+  id: PropTypes.string.isRequired,
+  label: PropTypes.string.isRequired,
+  version: PropTypes.elementType.isRequired,
+  log: PropTypes.func.isRequired,
+};
+
+/**
+ * Class and hook versions of an example side by side, each with its own mount
+ * toggle, sharing one lifecycle log
+ */
+export default function Comparison({ hookComponent, classComponent }) {
+  const [entries, setEntries] = useState([]);
+  const nextId = useRef(0);
+
+  const append = useCallback((side, event, details = {}) => {
+    nextId.current += 1;
+    const entry = {
+      id: nextId.current,
+      side,
+      event,
+      strictModeRerun: Boolean(details.strictModeRerun),
+    };
+    setEntries((previous) => [...previous, entry]);
+  }, []);
+
+  const loggers = useMemo(
+    () => ({
+      class: (event, details) => append("class", event, details),
+      hooks: (event, details) => append("hooks", event, details),
+    }),
+    [append]
+  );
+
+  return (
+    <div className="comparison">
+      <div className="comparison-sides">
+        <Side
+          id="class"
+          label="Class"
+          version={classComponent}
+          log={loggers.class}
+        />
+        <Side
+          id="hooks"
+          label="Hooks"
+          version={hookComponent}
+          log={loggers.hooks}
+        />
+      </div>
+      <LifecycleLog entries={entries} onClear={() => setEntries([])} />
+    </div>
+  );
+}
+
+Comparison.propTypes = {
+  /**
+   * Function component written with Hooks
+   */
+  hookComponent: PropTypes.elementType.isRequired,
+  /**
+   * The same example written as a class
+   */
+  classComponent: PropTypes.elementType.isRequired,
+};
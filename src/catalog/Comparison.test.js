@@ -0,0 +1,52 @@
+import { render, screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import EffectHook, {
+  EffectClass,
+} from "../examples/hooks/useEffect/EffectHook";
+import Comparison from "./Comparison";
+
+function loggedEvents() {
+  const log = screen.getByRole("region", { name: "Lifecycle log" });
+  return within(log)
+    .getAllByRole("row")
+    .slice(1)
+    .map((row) =>
+      within(row)
+        .getAllByRole("cell")
+        .slice(1)
+        .map((cell) => cell.textContent)
+    );
+}
+
+test("logs class lifecycle methods beside the matching effect runs", () => {
+  render(
+    <Comparison hookComponent={EffectHook} classComponent={EffectClass} />
+  );
+  expect(loggedEvents()).toEqual([
+    ["componentDidMount", ""],
+    ["", "effect run"],
+  ]);
+
+  const classVersion = screen.getByRole("region", { name: "Class version" });
+  userEvent.click(within(classVersion).getByRole("button"));
+  const hooksVersion = screen.getByRole("region", { name: "Hooks version" });
+  userEvent.click(within(hooksVersion).getByRole("button"));
+
+  expect(loggedEvents().slice(2)).toEqual([
+    ["componentDidUpdate", ""],
+    ["", "effect run"],
+  ]);
+  expect(hooksVersion).toHaveTextContent("You clicked 1 time");
+});
+
+test("unmounting a version logs its teardown", () => {
+  render(
+    <Comparison hookComponent={EffectHook} classComponent={EffectClass} />
+  );
+  userEvent.click(screen.getAllByRole("checkbox", { name: "Mounted" })[0]);
+
+  expect(loggedEvents().pop()).toEqual(["componentWillUnmount", ""]);
+  expect(
+    screen.getByRole("region", { name: "Class version" })
+  ).not.toHaveTextContent("You clicked");
+});
@@ -0,0 +1,59 @@
+import { useSyncExternalStore } from "react";
+import PropTypes from "prop-types";
+import StrictModeRerun from "./StrictModeRerun";
+
+function groupByComponent(entries) {
+  return entries.reduce((groups, entry) => {
+    const group = groups.find(({ component }) => component === entry.component);
+    if (group) {
+      group.entries.push(entry);
+    } else {
+      groups.push({ component: entry.component, entries: [entry] });
+    }
+    return groups;
+  }, []);
+}
+
+/**
+ * The effect runs and cleanups of every component in the example, one list
+ * per component, with the ones StrictMode added marked
+ */
+export default function EffectLog({ log }) {
+  const { entries } = useSyncExternalStore(log.subscribe, log.getSnapshot);
+  if (entries.length === 0) {
+    return null;
+  }
+
+  return (
+    <section className="effect-log" aria-label="Effect log">
+      <h2>Effect log</h2>
+      {groupByComponent(entries).map(({ component, entries: group }) => (
+        <section key={component} aria-label={component}>
+          <h3>{component}</h3>
+          <ol>
+            {group.map(({ id, event, strictModeRerun }) => (
+              <li key={id}>
+                <code>{event}</code>
+                {strictModeRerun && <StrictModeRerun />}
+              </li>
+            ))}
+          </ol>
+        </section>
+      ))}
+      <button type="button" onClick={log.clear}>
+        Clear log
+      </button>
+    </section>
+  );
+}
+
+EffectLog.propTypes = {
+  /**
+   * Log created by createEffectLog()
+   */
+  log: PropTypes.shape({
+    subscribe: PropTypes.func.isRequired,
+    getSnapshot: PropTypes.func.isRequired,
+    clear: PropTypes.func.isRequired,
+  }).isRequired,
+};
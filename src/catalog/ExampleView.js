@@ -0,0 +1,74 @@
+import { useState } from "react";
+import ErrorBoundary from "../errors/ErrorBoundary";
+import EffectLogContext, { createEffectLog } from "../lifecycle/effectLog";
+import createProfilerSession from "../profiler/createProfilerSession";
+import Profiled from "../profiler/Profiled";
+import ProfilerOverlay from "../profiler/ProfilerOverlay";
+import { exampleShape } from "./examples";
+import Comparison from "./Comparison";
+import EffectLog from "./EffectLog";
+import SourceViewer from "./SourceViewer";
+
+// Production builds of React don't call Profiler's onRender, so the profiler
+// only exists in development (and tests).
+const profiling = process.env.NODE_ENV !== "production";
+
+/**
+ * Route content for a single example: the running component beside its
+ * source. A crash stays inside the demo, see ErrorBoundary.
+ */
+export default function ExampleView({ example }) {
+  const {
+    id,
+    title,
+    category,
+    source,
+    code,
+    component: Example,
+    classComponent,
+    inspector: Inspector,
+  } = example;
+  const [session] = useState(() => createProfilerSession(id));
+  const [effectLog] = useState(createEffectLog);
+
+  const demo = (
+    <ErrorBoundary name={`the “${title}” example`}>
+      <EffectLogContext.Provider value={effectLog}>
+        {classComponent ? (
+          <Comparison hookComponent={Example} classComponent={classComponent} />
+        ) : (
+          <Example />
+        )}
+      </EffectLogContext.Provider>
+    </ErrorBoundary>
+  );
+
+  return (
+    <article className="catalog-example">
+      <header>
+        <span className="catalog-category">{category}</span>
+        <h1>{title}</h1>
+        <code>{source}</code>
+      </header>
+      <div className="catalog-columns">
+        <section className="catalog-demo" aria-label="Demo">
+          {profiling ? (
+            <Profiled id={id} session={session}>
+              {demo}
+            </Profiled>
+          ) : (
+            demo
+          )}
+          {Inspector && <Inspector />}
+          <EffectLog log={effectLog} />
+          {profiling && <ProfilerOverlay session={session} />}
+        </section>
+        <SourceViewer source={code} fileName={source} />
+      </div>
+    </article>
+  );
+}
+
+ExampleView.propTypes = {
+  example: exampleShape.isRequired,
+};
@@ -0,0 +1,55 @@
+import PropTypes from "prop-types";
+import StrictModeRerun from "./StrictModeRerun";
+
+/**
+ * Chronological table of lifecycle events, one column per version so every
+ * class method lines up with the effect run or cleanup that replaces it
+ */
+export default function LifecycleLog({ entries, onClear }) {
+  return (
+    <section className="lifecycle-log" aria-label="Lifecycle log">
+      <table>
+        <thead>
+          <tr>
+            <th scope="col">#</th>
+            <th scope="col">Class</th>
+            <th scope="col">Hooks</th>
+          </tr>
+        </thead>
+        <tbody>
+          {entries.map(({ id, side, event, strictModeRerun }) => {
+            const cell = (
+              <>
+                <code>{event}</code>
+                {strictModeRerun && <StrictModeRerun />}
+              </>
+            );
+            return (
+              <tr key={id}>
+                <td>{id}</td>
+                <td>{side === "class" && cell}</td>
+                <td>{side === "hooks" && cell}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      {entries.length === 0 && <p>Nothing logged yet.</p>}
+      <button type="button" onClick={onClear} disabled={entries.length === 0}>
+        Clear log
+      </button>
+    </section>
+  );
+}
+
+LifecycleLog.propTypes = {
+  entries: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.number.isRequired,
+      side: PropTypes.oneOf(["class", "hooks"]).isRequired,
+      event: PropTypes.string.isRequired,
+      strictModeRerun: PropTypes.bool,
+    })
+  ).isRequired,
+  onClear: PropTypes.func.isRequired,
+};
@@ -0,0 +1,29 @@
+import PropTypes from "prop-types";
+import { Link } from "../router/Router";
+import { examplePath, exampleShape, groupByCategory } from "./examples";
+
+/**
+ * Index of every registered example, grouped by category
+ */
+export default function Sidebar({ examples }) {
+  return (
+    <nav className="catalog-sidebar" aria-label="Examples">
+      {groupByCategory(examples).map(({ category, examples: group }) => (
+        <section key={category}>
+          <h2>{category}</h2>
+          <ul>
+            {group.map((example) => (
+              <li key={example.id}>
+                <Link to={examplePath(example.id)}>{example.title}</Link>
+              </li>
+            ))}
+          </ul>
+        </section>
+      ))}
+    </nav>
+  );
+}
+
+Sidebar.propTypes = {
+  examples: PropTypes.arrayOf(exampleShape).isRequired,
+};
@@ -0,0 +1,71 @@
+import { useMemo } from "react";
+import PropTypes from "prop-types";
+import Highlight, { defaultProps } from "prism-react-renderer";
+import theme from "prism-react-renderer/themes/github";
+import parseSource from "./parseSource";
+
+function CodeBlock({ code }) {
+  return (
+    <Highlight
+      Prism={defaultProps.Prism}
+      theme={theme}
+      code={code}
+      language="jsx"
+    >
+      {({ className, style, tokens, getLineProps, getTokenProps }) => (
+        <pre className={`source-code ${className}`} style={style}>
+          {tokens.map((line, i) => (
+            // Lines have no identity beyond their position.
+            // eslint-disable-next-line react/no-array-index-key
+            <div key={i} {...getLineProps({ line })}>
+              {line.map((token, j) => (
+                // eslint-disable-next-line react/no-array-index-key
+                <span key={j} {...getTokenProps({ token })} />
+              ))}
+            </div>
+          ))}
+        </pre>
+      )}
+    </Highlight>
+  );
+}
+
+CodeBlock.propTypes = {
+  code: PropTypes.string.isRequired,
+};
+
+/**
+ * Highlighted source of an example with its comments as collapsible prose
+ */
+export default function SourceViewer({ source, fileName }) {
+  const segments = useMemo(() => parseSource(source), [source]);
+
+  return (
+    <section className="source-viewer" aria-label={`Source of ${fileName}`}>
+      {segments.map((segment, i) =>
+        segment.type === "code" ? (
+          // Segments are derived from a static file; their order never changes.
+          // eslint-disable-next-line react/no-array-index-key
+          <CodeBlock key={i} code={segment.text} />
+        ) : (
+          // eslint-disable-next-line react/no-array-index-key
+          <details key={i} className="source-prose">
+            <summary>{segment.summary}</summary>
+            <p>{segment.text}</p>
+          </details>
+        )
+      )}
+    </section>
+  );
+}
+
+SourceViewer.propTypes = {
+  /**
+   * Raw file contents
+   */
+  source: PropTypes.string.isRequired,
+  /**
+   * File path, used to label the viewer
+   */
+  fileName: PropTypes.string.isRequired,
+};
@@ -0,0 +1,15 @@
+/**
+ * Marks a log entry that only exists because StrictMode re-ran the effects of
+ * a component it had just mounted
+ */
+export default function StrictModeRerun() {
+  return (
+    <span
+      className="strict-mode-rerun"
+      title="Added by StrictMode, which runs a new component's effects, cleans them up and runs them again in development"
+    >
+      {" "}
+      ↻ StrictMode re-run
+    </span>
+  );
+}
@@ -0,0 +1,169 @@
+import PropTypes from "prop-types";
+import raw from "raw.macro";
+import ChatInspector from "../chat/ChatInspector";
+import MockApiInspector from "../mocks/MockApiInspector";
+import StateHook, { StateClass } from "../examples/hooks/useState/StateHook";
+import EffectHook, {
+  EffectClass,
+} from "../examples/hooks/useEffect/EffectHook";
+import FriendStatusDemo, {
+  FriendStatusClassDemo,
+} from "../examples/hooks/useEffect/FriendStatusDemo";
+import DependencyVisualizer from "../examples/hooks/useEffect/DependencyVisualizer";
+import RulesOfHooksForm from "../examples/hooks/useEffect/RulesOfHooksForm";
+import MyOwnHook, {
+  MyOwnHook2,
+} from "../examples/hooks/useMyOwnHook/MyOwnHook";
+import ChatRecipientPicker from "../examples/hooks/useMyOwnHook/ChatRecipientPicker";
+import { FriendList } from "../examples/hooks/useMyOwnHook/FriendListItem";
+import TodosDemo from "../examples/hooks/useMyOwnHook/Todos";
+import UserDirectory from "../examples/hooks/useFetch/UserDirectory";
+
+// The registry of runnable examples. Every entry gets a sidebar link and its
+// own route at /examples/<id>; only the selected entry's component is mounted.
+//   id: URL segment, unique
+//   title: link and heading text
+//   category: sidebar group, in order of first appearance
+//   source: path of the example file, relative to the repository root
+//   code: contents of that file, inlined at build time by raw.macro so the
+//     viewer always shows the code that is actually running
+//   component: the component rendered on the example's route
+//   classComponent: optional class version, rendered beside component with a
+//     shared lifecycle log
+//   inspector: optional panel rendered below the demo, e.g. for the services
+//     the example talks to
+
+const examples = [
+  {
+    id: "state-hook",
+    title: "Using the State Hook",
+    category: "useState",
+    source: "src/examples/hooks/useState/StateHook.js",
+    code: raw("../examples/hooks/useState/StateHook.js"),
+    component: StateHook,
+    classComponent: StateClass,
+  },
+  {
+    id: "effect-hook",
+    title: "Using the Effect Hook",
+    category: "useEffect",
+    source: "src/examples/hooks/useEffect/EffectHook.js",
+    code: raw("../examples/hooks/useEffect/EffectHook.js"),
+    component: EffectHook,
+    classComponent: EffectClass,
+  },
+  {
+    id: "effect-cleanup",
+    title: "Effects with cleanup",
+    category: "useEffect",
+    source: "src/examples/hooks/useEffect/EffectHook.js",
+    code: raw("../examples/hooks/useEffect/EffectHook.js"),
+    component: FriendStatusDemo,
+    classComponent: FriendStatusClassDemo,
+    inspector: ChatInspector,
+  },
+  {
+    id: "effect-dependencies",
+    title: "Skipping effects with dependencies",
+    category: "useEffect",
+    source: "src/examples/hooks/useEffect/DependencyVisualizer.js",
+    code: raw("../examples/hooks/useEffect/DependencyVisualizer.js"),
+    component: DependencyVisualizer,
+  },
+  {
+    id: "rules-of-hooks",
+    title: "Rules of Hooks: call order",
+    category: "useEffect",
+    source: "src/examples/hooks/useEffect/RulesOfHooksForm.js",
+    code: raw("../examples/hooks/useEffect/RulesOfHooksForm.js"),
+    component: RulesOfHooksForm,
+  },
+  {
+    id: "my-own-hook",
+    title: "Building Your Own Hooks",
+    category: "Custom Hooks",
+    source: "src/examples/hooks/useMyOwnHook/MyOwnHook.js",
+    code: raw("../examples/hooks/useMyOwnHook/MyOwnHook.js"),
+    component: MyOwnHook,
+  },
+  {
+    id: "my-own-hook-2",
+    title: "Isolated state between custom Hook calls",
+    category: "Custom Hooks",
+    source: "src/examples/hooks/useMyOwnHook/MyOwnHook.js",
+    code: raw("../examples/hooks/useMyOwnHook/MyOwnHook.js"),
+    component: MyOwnHook2,
+  },
+  {
+    id: "chat-recipient-picker",
+    title: "Passing information between Hooks",
+    category: "Custom Hooks",
+    source: "src/examples/hooks/useMyOwnHook/ChatRecipientPicker.js",
+    code: raw("../examples/hooks/useMyOwnHook/ChatRecipientPicker.js"),
+    component: ChatRecipientPicker,
+    inspector: ChatInspector,
+  },
+  {
+    id: "friend-list",
+    title: "useFriendStatus in a list",
+    category: "Custom Hooks",
+    source: "src/examples/hooks/useMyOwnHook/FriendListItem.js",
+    code: raw("../examples/hooks/useMyOwnHook/FriendListItem.js"),
+    component: FriendList,
+    inspector: ChatInspector,
+  },
+  {
+    id: "todos",
+    title: "A homemade useReducer",
+    category: "Custom Hooks",
+    source: "src/examples/hooks/useMyOwnHook/Todos.js",
+    code: raw("../examples/hooks/useMyOwnHook/Todos.js"),
+    component: TodosDemo,
+  },
+  {
+    id: "use-fetch",
+    title: "Fetching data with a custom Hook",
+    category: "Data fetching",
+    source: "src/examples/hooks/useFetch/useFetch.js",
+    code: raw("../examples/hooks/useFetch/useFetch.js"),
+    component: UserDirectory,
+    inspector: MockApiInspector,
+  },
+];
+
+export default examples;
+
+export const exampleShape = PropTypes.shape({
+  id: PropTypes.string.isRequired,
+  title: PropTypes.string.isRequired,
+  category: PropTypes.string.isRequired,
+  source: PropTypes.string.isRequired,
+  code: PropTypes.string.isRequired,
+  component: PropTypes.elementType.isRequired,
+  classComponent: PropTypes.elementType,
+  inspector: PropTypes.elementType,
+});
+
+export function examplePath(id) {
+  return `/examples/${id}`;
+}
+
+export function findExampleByPath(path, list = examples) {
+  const match = /^\/examples\/([^/]+)$/.exec(path);
+  if (!match) {
+    return null;
+  }
+  return list.find((example) => example.id === match[1]) || null;
+}
+
+export function groupByCategory(list = examples) {
+  return list.reduce((groups, example) => {
+    const group = groups.find(({ category }) => category === example.category);
+    if (group) {
+      group.examples.push(example);
+    } else {
+      groups.push({ category: example.category, examples: [example] });
+    }
+    return groups;
+  }, []);
+}
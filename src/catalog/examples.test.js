@@ -0,0 +1,40 @@
+import { act } from "@testing-library/react";
+import ChatAPI from "../chat/ChatAPI";
+import renderWithProviders, { expectNoA11yViolations } from "../setupTests";
+import Comparison from "./Comparison";
+import examples from "./examples";
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  ChatAPI.reset();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+// Every example as its route renders it, without the source viewer, which
+// is the same for all of them and slow to audit.
+test.each(examples)(
+  "$id passes an accessibility audit",
+  async ({ component: Example, classComponent, inspector: Inspector }) => {
+    const { container } = renderWithProviders(
+      <>
+        {classComponent ? (
+          <Comparison hookComponent={Example} classComponent={classComponent} />
+        ) : (
+          <Example />
+        )}
+        {Inspector && <Inspector />}
+      </>
+    );
+    // Let the mock ChatAPI answer first.
+    act(() => {
+      jest.runOnlyPendingTimers();
+    });
+    jest.useRealTimers();
+
+    // The mock API the useFetch example calls records its requests meanwhile.
+    await act(() => expectNoA11yViolations(container));
+  }
+);
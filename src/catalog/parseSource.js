@@ -0,0 +1,113 @@
+// Splits an example's source into code and prose segments so the teaching
+// comments can be rendered as text next to the highlighted code.
+//
+// The scan is line based: a comment only becomes prose when it starts its own
+// line and spans at least two lines. That covers the block comments (/* */),
+// JSX comments ({/* */}) and runs of // comments the examples are written
+// with; short one-line comments stay in the code where they annotate it.
+//   [{ type: "code", text }, { type: "prose", text, summary }, ...]
+
+const LINE_COMMENT = /^\s*\/\/ ?/;
+const BLOCK_START = /^\s*\{?\/\*/;
+const BLOCK_END = /\*\/\}?\s*$/;
+
+function dedent(lines) {
+  const indents = lines
+    .filter((line) => line.trim() !== "")
+    .map((line) => line.match(/^\s*/)[0].length);
+  const indent = indents.length ? Math.min(...indents) : 0;
+  return lines.map((line) => line.slice(indent));
+}
+
+function trimBlankLines(lines) {
+  let start = 0;
+  let end = lines.length;
+  while (start < end && lines[start].trim() === "") {
+    start += 1;
+  }
+  while (end > start && lines[end - 1].trim() === "") {
+    end -= 1;
+  }
+  return lines.slice(start, end);
+}
+
+function blockCommentText(lines) {
+  const inner = [...lines];
+  inner[0] = inner[0].replace(BLOCK_START, "");
+  inner[inner.length - 1] = inner[inner.length - 1].replace(BLOCK_END, "");
+  // The first line follows the opening marker, so it is never indented.
+  const [first, ...rest] = inner;
+  return [first.trim(), ...dedent(rest).map((line) => line.trimEnd())];
+}
+
+function lineCommentText(lines) {
+  return lines.map((line) => line.replace(LINE_COMMENT, "").trimEnd());
+}
+
+function summarize(text) {
+  const firstLine = text.split("\n").find((line) => line.trim() !== "") || "";
+  const sentence = firstLine.trim().split(/(?<=[.?!])\s/)[0];
+  return sentence.length > 80 ? `${sentence.slice(0, 77)}...` : sentence;
+}
+
+export default function parseSource(source) {
+  const lines = source.replace(/\r\n/g, "\n").split("\n");
+  const segments = [];
+  let code = [];
+
+  function flushCode() {
+    const text = trimBlankLines(code).join("\n");
+    if (text) {
+      segments.push({ type: "code", text });
+    }
+    code = [];
+  }
+
+  function pushProse(proseLines) {
+    const text = trimBlankLines(proseLines).join("\n");
+    flushCode();
+    segments.push({ type: "prose", text, summary: summarize(text) });
+  }
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (BLOCK_START.test(line)) {
+      let end = i;
+      while (end < lines.length - 1 && !lines[end].includes("*/")) {
+        end += 1;
+      }
+      const block = lines.slice(i, end + 1);
+      if (block.length > 1 && BLOCK_END.test(lines[end])) {
+        pushProse(blockCommentText(block));
+      } else {
+        code.push(...block);
+      }
+      i = end + 1;
+    } else if (LINE_COMMENT.test(line)) {
+      // Paragraphs of // comments separated by blank lines read as one text.
+      let end = i;
+      for (let next = i + 1; next < lines.length; next += 1) {
+        if (LINE_COMMENT.test(lines[next])) {
+          end = next;
+        } else if (lines[next].trim() !== "") {
+          break;
+        }
+      }
+      const run = lines.slice(i, end + 1);
+      if (run.length > 1) {
+        pushProse(lineCommentText(run));
+      } else {
+        code.push(...run);
+      }
+      i = end + 1;
+    } else {
+      code.push(line);
+      i += 1;
+    }
+  }
+  flushCode();
+
+  return segments;
+}
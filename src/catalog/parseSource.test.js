@@ -0,0 +1,65 @@
+import parseSource from "./parseSource";
+
+test("turns multi-line block comments into prose", () => {
+  const segments = parseSource(
+    [
+      "const a = 1;",
+      "",
+      "/* What does useEffect do? By using this Hook,",
+      "  you tell React something. */",
+      "const b = 2;",
+    ].join("\n")
+  );
+
+  expect(segments).toEqual([
+    { type: "code", text: "const a = 1;" },
+    {
+      type: "prose",
+      text: "What does useEffect do? By using this Hook,\nyou tell React something.",
+      summary: "What does useEffect do?",
+    },
+    { type: "code", text: "const b = 2;" },
+  ]);
+});
+
+test("joins paragraphs of line comments into one prose segment", () => {
+  const segments = parseSource(
+    ["// First paragraph.", "", "// Second paragraph.", "run();"].join("\n")
+  );
+
+  expect(segments).toEqual([
+    {
+      type: "prose",
+      text: "First paragraph.\n\nSecond paragraph.",
+      summary: "First paragraph.",
+    },
+    { type: "code", text: "run();" },
+  ]);
+});
+
+test("keeps one-line and JSX-inline comments in the code", () => {
+  const source = [
+    "// Similar to componentDidMount",
+    "useEffect(() => {});",
+    "/* eslint-disable no-unused-vars */",
+  ].join("\n");
+
+  expect(parseSource(source)).toEqual([{ type: "code", text: source }]);
+});
+
+test("treats JSX comment blocks as prose", () => {
+  const segments = parseSource(
+    [
+      "<div>",
+      "  {/* When we want to display the count,",
+      "  we read it directly: */}",
+      "  <p>{count}</p>",
+      "</div>",
+    ].join("\n")
+  );
+
+  expect(segments.map(({ type }) => type)).toEqual(["code", "prose", "code"]);
+  expect(segments[1].text).toBe(
+    "When we want to display the count,\nwe read it directly:"
+  );
+});
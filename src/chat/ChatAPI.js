@@ -0,0 +1,146 @@
+// An in-memory stand-in for the ChatAPI module the Effect Hook and custom Hook
+// docs subscribe to. Friends' presence is controlled from the UI (or tests)
+// with setFriendStatus, and every call is recorded so the inspector can show
+// which subscriptions are still active and which ones leaked.
+//
+// A subscription counts as leaked when its handler asked to unsubscribe from a
+// different friend: the FriendStatus class without componentDidUpdate does
+// exactly that when its friend prop changes, and stays subscribed forever.
+
+export const defaultFriends = [
+  { id: 1, name: "Phoebe", isOnline: true },
+  { id: 2, name: "Rachel", isOnline: false },
+  { id: 3, name: "Ross", isOnline: true },
+];
+
+function handlerName(handler) {
+  return handler.name || "anonymous";
+}
+
+export function createChatAPI({
+  friends = defaultFriends,
+  latency = 300,
+} = {}) {
+  let presence = new Map(friends.map((friend) => [friend.id, friend.isOnline]));
+  let subscriptions = [];
+  let calls = [];
+  let nextSubscriptionId = 1;
+  let nextCallId = 1;
+  let snapshot = null;
+  const pending = new Map();
+  const leaked = new Set();
+  const listeners = new Set();
+
+  function emitChange() {
+    snapshot = null;
+    listeners.forEach((listener) => listener());
+  }
+
+  function record(call) {
+    calls = [...calls, { id: nextCallId, ...call }];
+    nextCallId += 1;
+  }
+
+  function deliver({ friendId, handler }) {
+    handler({ isOnline: presence.get(friendId) });
+  }
+
+  function subscribeToFriendStatus(friendId, handler) {
+    const subscription = { id: nextSubscriptionId, friendId, handler };
+    nextSubscriptionId += 1;
+    subscriptions = [...subscriptions, subscription];
+    record({ type: "subscribe", friendId, handler: handlerName(handler) });
+    // Like a real service, the current status arrives asynchronously.
+    pending.set(
+      subscription.id,
+      setTimeout(() => {
+        pending.delete(subscription.id);
+        deliver(subscription);
+      }, latency)
+    );
+    emitChange();
+  }
+
+  function unsubscribeFromFriendStatus(friendId, handler) {
+    const match = subscriptions.find(
+      (s) => s.friendId === friendId && s.handler === handler
+    );
+    record({
+      type: "unsubscribe",
+      friendId,
+      handler: handlerName(handler),
+      detail: match ? undefined : "no matching subscription",
+    });
+    if (match) {
+      clearTimeout(pending.get(match.id));
+      pending.delete(match.id);
+      leaked.delete(match.id);
+      subscriptions = subscriptions.filter((s) => s !== match);
+    } else {
+      subscriptions
+        .filter((s) => s.handler === handler)
+        .forEach((s) => leaked.add(s.id));
+    }
+    emitChange();
+  }
+
+  function setFriendStatus(friendId, isOnline) {
+    presence = new Map(presence).set(friendId, isOnline);
+    record({
+      type: "status",
+      friendId,
+      detail: isOnline ? "online" : "offline",
+    });
+    subscriptions.filter((s) => s.friendId === friendId).forEach(deliver);
+    emitChange();
+  }
+
+  // Read-only view for useSyncExternalStore; rebuilt only after a change.
+  function getSnapshot() {
+    if (!snapshot) {
+      snapshot = {
+        friends: friends.map((friend) => ({
+          ...friend,
+          isOnline: presence.get(friend.id),
+        })),
+        subscriptions: subscriptions.map(({ id, friendId, handler }) => ({
+          id,
+          friendId,
+          handler: handlerName(handler),
+          leaked: leaked.has(id),
+        })),
+        calls,
+      };
+    }
+    return snapshot;
+  }
+
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  // Drops every subscription and restores the initial presence.
+  function reset() {
+    pending.forEach((timer) => clearTimeout(timer));
+    pending.clear();
+    leaked.clear();
+    presence = new Map(friends.map((friend) => [friend.id, friend.isOnline]));
+    subscriptions = [];
+    calls = [];
+    emitChange();
+  }
+
+  return {
+    subscribeToFriendStatus,
+    unsubscribeFromFriendStatus,
+    setFriendStatus,
+    getSnapshot,
+    subscribe,
+    reset,
+  };
+}
+
+const ChatAPI = createChatAPI();
+
+export default ChatAPI;
@@ -0,0 +1,68 @@
+import { createChatAPI } from "./ChatAPI";
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test("delivers the current status asynchronously, then every change", () => {
+  const api = createChatAPI({ latency: 100 });
+  const handleStatusChange = jest.fn();
+
+  api.subscribeToFriendStatus(2, handleStatusChange);
+  expect(handleStatusChange).not.toHaveBeenCalled();
+
+  jest.advanceTimersByTime(100);
+  expect(handleStatusChange).toHaveBeenLastCalledWith({ isOnline: false });
+
+  api.setFriendStatus(2, true);
+  expect(handleStatusChange).toHaveBeenLastCalledWith({ isOnline: true });
+  expect(api.getSnapshot().friends[1]).toMatchObject({ id: 2, isOnline: true });
+});
+
+test("stops notifying after unsubscribing", () => {
+  const api = createChatAPI({ latency: 100 });
+  const handleStatusChange = jest.fn();
+
+  api.subscribeToFriendStatus(1, handleStatusChange);
+  api.unsubscribeFromFriendStatus(1, handleStatusChange);
+  jest.advanceTimersByTime(100);
+  api.setFriendStatus(1, false);
+
+  expect(handleStatusChange).not.toHaveBeenCalled();
+  expect(api.getSnapshot().subscriptions).toEqual([]);
+});
+
+test("flags a subscription as leaked when its handler unsubscribes from another friend", () => {
+  const api = createChatAPI();
+  function handleStatusChange() {}
+
+  api.subscribeToFriendStatus(1, handleStatusChange);
+  api.unsubscribeFromFriendStatus(3, handleStatusChange);
+
+  const { subscriptions, calls } = api.getSnapshot();
+  expect(subscriptions).toEqual([
+    { id: 1, friendId: 1, handler: "handleStatusChange", leaked: true },
+  ]);
+  expect(calls[calls.length - 1]).toMatchObject({
+    type: "unsubscribe",
+    friendId: 3,
+    detail: "no matching subscription",
+  });
+});
+
+test("notifies store listeners with a new snapshot on every change", () => {
+  const api = createChatAPI();
+  const listener = jest.fn();
+  api.subscribe(listener);
+  const before = api.getSnapshot();
+
+  api.setFriendStatus(3, false);
+
+  expect(listener).toHaveBeenCalledTimes(1);
+  expect(api.getSnapshot()).not.toBe(before);
+  expect(api.getSnapshot()).toBe(api.getSnapshot());
+});
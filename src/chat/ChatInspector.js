@@ -0,0 +1,87 @@
+import { useSyncExternalStore } from "react";
+import PropTypes from "prop-types";
+import ChatAPI from "./ChatAPI";
+import "./chat.css";
+
+const RECENT_CALLS = 8;
+
+/**
+ * Controls friends' presence and lists the ChatAPI subscriptions that are
+ * currently active, flagging the ones that leaked
+ */
+export default function ChatInspector({ api }) {
+  const { friends, subscriptions, calls } = useSyncExternalStore(
+    api.subscribe,
+    api.getSnapshot
+  );
+  const nameOf = (friendId) =>
+    (friends.find(({ id }) => id === friendId) || { name: friendId }).name;
+
+  return (
+    <section className="chat-inspector" aria-label="ChatAPI inspector">
+      <h2>ChatAPI</h2>
+      <fieldset>
+        <legend>Presence</legend>
+        {friends.map(({ id, name, isOnline }) => (
+          <label key={id} htmlFor={`chat-presence-${id}`}>
+            <input
+              id={`chat-presence-${id}`}
+              type="checkbox"
+              checked={isOnline}
+              onChange={(e) => api.setFriendStatus(id, e.target.checked)}
+            />{" "}
+            {name} online
+          </label>
+        ))}
+      </fieldset>
+
+      <h3>Active subscriptions ({subscriptions.length})</h3>
+      {subscriptions.length === 0 ? (
+        <p>No active subscriptions.</p>
+      ) : (
+        <ul aria-label="Active subscriptions">
+          {subscriptions.map(({ id, friendId, handler, leaked }) => (
+            <li key={id} className={leaked ? "chat-leaked" : undefined}>
+              {nameOf(friendId)} → <code>{handler}</code>
+              {leaked && <strong> leaked</strong>}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <h3>Recent calls</h3>
+      <ol aria-label="Recent calls" className="chat-calls">
+        {calls
+          .slice(-RECENT_CALLS)
+          .map(({ id, type, friendId, handler, detail }) => (
+            <li key={id} value={id}>
+              <code>
+                {type}({nameOf(friendId)}
+                {handler && `, ${handler}`})
+              </code>
+              {detail && ` ${detail}`}
+            </li>
+          ))}
+      </ol>
+      <button type="button" onClick={api.reset}>
+        Reset ChatAPI
+      </button>
+    </section>
+  );
+}
+
+ChatInspector.propTypes = {
+  /**
+   * ChatAPI instance to inspect; defaults to the shared one the examples use
+   */
+  api: PropTypes.shape({
+    subscribe: PropTypes.func.isRequired,
+    getSnapshot: PropTypes.func.isRequired,
+    setFriendStatus: PropTypes.func.isRequired,
+    reset: PropTypes.func.isRequired,
+  }),
+};
+
+ChatInspector.defaultProps = {
+  api: ChatAPI,
+};
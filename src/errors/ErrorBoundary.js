@@ -0,0 +1,109 @@
+import React, { Fragment, useCallback } from "react";
+import PropTypes from "prop-types";
+import { useErrorReporter } from "./ErrorLoggerContext";
+import ErrorCard from "./ErrorCard";
+import "./errors.css";
+
+class Boundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      hasError: false,
+      error: null,
+      componentStack: null,
+      attempt: 0,
+    };
+    this.reset = this.reset.bind(this);
+  }
+
+  // hasError, not error, says whether the children crashed: they may throw
+  // null or undefined.
+  static getDerivedStateFromError(error) {
+    return { hasError: true, error };
+  }
+
+  componentDidCatch(error, { componentStack }) {
+    const { onError } = this.props;
+    this.setState({ componentStack });
+    onError(error, { componentStack });
+  }
+
+  reset() {
+    const { onReset } = this.props;
+    // A new key remounts the children, so they start from fresh state.
+    this.setState(({ attempt }) => ({
+      hasError: false,
+      error: null,
+      componentStack: null,
+      attempt: attempt + 1,
+    }));
+    onReset();
+  }
+
+  render() {
+    const { hasError, error, componentStack, attempt } = this.state;
+    const { name, children } = this.props;
+    if (hasError) {
+      return (
+        <ErrorCard
+          name={name}
+          error={error}
+          componentStack={componentStack}
+          onReset={this.reset}
+        />
+      );
+    }
+    return <Fragment key={attempt}>{children}</Fragment>;
+  }
+}
+
+Boundary.propTypes = {
+  name: PropTypes.string.isRequired,
+  onError: PropTypes.func.isRequired,
+  onReset: PropTypes.func.isRequired,
+  children: PropTypes.node.isRequired,
+};
+
+/**
+ * Keeps a crash inside its children: shows an error card instead of them,
+ * reports the error to the ErrorLoggerContext logger and remounts them when
+ * the card's "Reset example" button is pressed
+ */
+export default function ErrorBoundary({ name, onError, onReset, children }) {
+  const reportError = useErrorReporter(name);
+
+  const handleError = useCallback(
+    (error, info) => {
+      reportError(error, info);
+      onError(error, info);
+    },
+    [reportError, onError]
+  );
+
+  return (
+    <Boundary name={name} onError={handleError} onReset={onReset}>
+      {children}
+    </Boundary>
+  );
+}
+
+ErrorBoundary.propTypes = {
+  /**
+   * What the children are, as shown in the card and the logger's reports
+   */
+  name: PropTypes.string.isRequired,
+  /**
+   * Called with the error and { componentStack } after the logger
+   */
+  onError: PropTypes.func,
+  /**
+   * Called when the children are remounted after a crash
+   */
+  onReset: PropTypes.func,
+  children: PropTypes.node.isRequired,
+};
+
+ErrorBoundary.defaultProps = {
+  onError: () => {},
+  onReset: () => {},
+};
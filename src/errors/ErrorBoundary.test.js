@@ -0,0 +1,143 @@
+import { useState } from "react";
+import { render, renderHook, screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { RouterProvider } from "../router/Router";
+import Catalog from "../catalog/Catalog";
+import ErrorBoundary from "./ErrorBoundary";
+import ErrorLoggerContext, { useErrorReporter } from "./ErrorLoggerContext";
+import { createMemoryLogger } from "./errorLoggers";
+
+function Fuse() {
+  const [clicks, setClicks] = useState(0);
+  if (clicks === 2) {
+    throw new Error("Boom");
+  }
+  return (
+    <button type="button" onClick={() => setClicks(clicks + 1)}>
+      Clicked {clicks} times
+    </button>
+  );
+}
+
+function renderWithLogger(ui, logger = createMemoryLogger()) {
+  render(
+    <ErrorLoggerContext.Provider value={logger}>
+      {ui}
+    </ErrorLoggerContext.Provider>
+  );
+  return logger;
+}
+
+beforeEach(() => {
+  // React logs every caught error as well.
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  window.history.replaceState(null, "", "/");
+});
+
+test("shows an error card with the component stack and reports the error", () => {
+  const onError = jest.fn();
+  const logger = renderWithLogger(
+    <ErrorBoundary name="Fuse" onError={onError}>
+      <Fuse />
+    </ErrorBoundary>
+  );
+  userEvent.click(screen.getByRole("button", { name: "Clicked 0 times" }));
+  userEvent.click(screen.getByRole("button", { name: "Clicked 1 times" }));
+
+  const card = screen.getByRole("alert");
+  expect(card).toHaveTextContent("React threw while rendering Fuse: Boom");
+  expect(within(card).getByText(/at Fuse/)).toBeInTheDocument();
+
+  expect(logger.reports).toHaveLength(1);
+  expect(logger.reports[0]).toMatchObject({
+    source: "Fuse",
+    message: "Boom",
+    componentStack: expect.stringContaining("Fuse"),
+  });
+  expect(onError).toHaveBeenCalledWith(logger.reports[0].error, {
+    componentStack: logger.reports[0].componentStack,
+  });
+});
+
+test("catches a thrown null as well", () => {
+  function ThrowsNull() {
+    // eslint-disable-next-line no-throw-literal
+    throw null;
+  }
+  renderWithLogger(
+    <ErrorBoundary name="ThrowsNull">
+      <ThrowsNull />
+    </ErrorBoundary>
+  );
+  expect(screen.getByRole("alert")).toHaveTextContent(
+    "React threw while rendering ThrowsNull: null"
+  );
+});
+
+test("reset remounts the children with fresh state", () => {
+  const onReset = jest.fn();
+  renderWithLogger(
+    <ErrorBoundary name="Fuse" onReset={onReset}>
+      <Fuse />
+    </ErrorBoundary>
+  );
+  userEvent.click(screen.getByRole("button", { name: "Clicked 0 times" }));
+  userEvent.click(screen.getByRole("button", { name: "Clicked 1 times" }));
+  userEvent.click(screen.getByRole("button", { name: "Reset example" }));
+
+  expect(screen.queryByRole("alert")).not.toBeInTheDocument();
+  expect(
+    screen.getByRole("button", { name: "Clicked 0 times" })
+  ).toBeInTheDocument();
+  expect(onReset).toHaveBeenCalledTimes(1);
+});
+
+test("useErrorReporter reports to the provided logger", () => {
+  const logger = createMemoryLogger();
+  const { result } = renderHook(() => useErrorReporter("ChatAPI"), {
+    wrapper: ({ children }) => (
+      <ErrorLoggerContext.Provider value={logger}>
+        {children}
+      </ErrorLoggerContext.Provider>
+    ),
+  });
+
+  result.current("offline");
+  expect(logger.reports[0]).toMatchObject({
+    source: "ChatAPI",
+    message: "offline",
+    componentStack: null,
+  });
+});
+
+test("a crashing example leaves the rest of the playground running", () => {
+  window.history.replaceState(null, "", "/examples/fuse");
+  const examples = [
+    {
+      id: "fuse",
+      title: "Fuse",
+      category: "Tests",
+      source: "src/errors/ErrorBoundary.test.js",
+      code: "",
+      component: Fuse,
+    },
+  ];
+  renderWithLogger(
+    <RouterProvider>
+      <Catalog examples={examples} />
+    </RouterProvider>
+  );
+  userEvent.click(screen.getByRole("button", { name: "Clicked 0 times" }));
+  userEvent.click(screen.getByRole("button", { name: "Clicked 1 times" }));
+
+  const demo = screen.getByRole("region", { name: "Demo" });
+  expect(within(demo).getByRole("alert")).toHaveTextContent(
+    "React threw while rendering the “Fuse” example: Boom"
+  );
+  expect(screen.getByRole("navigation", { name: "Examples" })).toBeVisible();
+  expect(screen.getByRole("heading", { level: 1 })).toHaveTextContent("Fuse");
+});
@@ -0,0 +1,40 @@
+import PropTypes from "prop-types";
+
+/**
+ * Inline replacement for a crashed subtree: the error, the component stack
+ * React recorded for it and a button to start over
+ */
+export default function ErrorCard({ name, error, componentStack, onReset }) {
+  const message = error instanceof Error ? error.message : String(error);
+
+  return (
+    <div className="error-card" role="alert">
+      <p>
+        <strong>React threw while rendering {name}:</strong> {message}
+      </p>
+      {componentStack && (
+        <details>
+          <summary>Component stack</summary>
+          <pre>{componentStack.trim()}</pre>
+        </details>
+      )}
+      <button type="button" onClick={onReset}>
+        Reset example
+      </button>
+    </div>
+  );
+}
+
+ErrorCard.propTypes = {
+  name: PropTypes.string.isRequired,
+  // Anything can be thrown, not only Errors, even null or undefined.
+  // eslint-disable-next-line react/forbid-prop-types
+  error: PropTypes.any,
+  componentStack: PropTypes.string,
+  onReset: PropTypes.func.isRequired,
+};
+
+ErrorCard.defaultProps = {
+  error: undefined,
+  componentStack: null,
+};
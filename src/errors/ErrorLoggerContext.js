@@ -0,0 +1,29 @@
+import { createContext, useCallback, useContext } from "react";
+import { consoleLogger } from "./errorLoggers";
+
+// The logger errors are reported to; provide another one (see errorLoggers.js)
+// to send them somewhere else.
+const ErrorLoggerContext = createContext(consoleLogger);
+
+export default ErrorLoggerContext;
+
+/**
+ * Returns a stable function that reports an error, and optionally the
+ * component stack React gave for it, to the current logger on behalf of source
+ */
+export function useErrorReporter(source) {
+  const logger = useContext(ErrorLoggerContext);
+
+  return useCallback(
+    (error, { componentStack = null } = {}) => {
+      logger.log({
+        error,
+        message: error instanceof Error ? error.message : String(error),
+        componentStack,
+        source,
+        timestamp: Date.now(),
+      });
+    },
+    [logger, source]
+  );
+}
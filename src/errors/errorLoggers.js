@@ -0,0 +1,34 @@
+// Loggers for errors reported through useErrorReporter. A logger is an object
+// with log(report), where report is
+//   { error, message, componentStack, source, timestamp }
+// source names what crashed, e.g. the example an ErrorBoundary wraps.
+
+/**
+ * Writes every report to the console, the default outside an
+ * ErrorLoggerContext provider
+ */
+export const consoleLogger = {
+  log({ error, source, componentStack }) {
+    // eslint-disable-next-line no-console
+    console.error(`[playground] ${source} crashed:`, error, componentStack);
+  },
+};
+
+/**
+ * Keeps every report in memory, for tests or an in-app list of crashes
+ */
+export function createMemoryLogger() {
+  let reports = [];
+
+  return {
+    log(report) {
+      reports = [...reports, report];
+    },
+    get reports() {
+      return reports;
+    },
+    clear() {
+      reports = [];
+    },
+  };
+}
@@ -0,0 +1,46 @@
+import { useState } from "react";
+import PropTypes from "prop-types";
+import backends from "../../persistence/backends";
+import { DocumentTitleProvider } from "../../title/DocumentTitle";
+
+// Shared by the hook examples' stories.
+
+// The counters keep their count in the URL, which in Storybook is the
+// preview iframe's and survives switching stories. Dropping it when a story
+// mounts makes every story start from its initialCount arg.
+function FreshExample({ queryKeys, children }) {
+  useState(() => queryKeys.forEach((key) => backends.query.remove(key)));
+
+  return <DocumentTitleProvider>{children}</DocumentTitleProvider>;
+}
+
+FreshExample.propTypes = {
+  queryKeys: PropTypes.arrayOf(PropTypes.string).isRequired,
+  children: PropTypes.node.isRequired,
+};
+
+/**
+ * Decorator that clears the given counters' URL keys and gives the story its
+ * own document title, restored when the story unmounts
+ */
+export function withFreshExample(...queryKeys) {
+  return function FreshExampleDecorator(Story) {
+    return (
+      <FreshExample queryKeys={queryKeys}>
+        <Story />
+      </FreshExample>
+    );
+  };
+}
+
+/**
+ * Throws unless the document has the expected title; retry it with waitFor,
+ * as titles are set from effects
+ */
+export function assertTitle(expected) {
+  if (document.title !== expected) {
+    throw new Error(
+      `Expected document.title to be "${expected}", got "${document.title}"`
+    );
+  }
+}
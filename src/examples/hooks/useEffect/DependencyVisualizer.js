@@ -0,0 +1,199 @@
+import {
+  memo,
+  useCallback,
+  useEffect,
+  useLayoutEffect,
+  useRef,
+  useState,
+} from "react";
+import PropTypes from "prop-types";
+import { useSetDocumentTitle } from "../../../title/DocumentTitle";
+
+// “Tip: Optimizing Performance by Skipping Effects” from EffectHook.js, made
+// visible. Pick what to pass as useEffect's second argument, then change the
+// count (which the effect uses) or the name (which it doesn't) and follow the
+// timeline: after every render it shows the dependency values React compared
+// and whether that comparison ran the effect (after cleaning up the last one)
+// or skipped it.
+
+// The code samples below are plain strings on purpose.
+/* eslint-disable no-template-curly-in-string */
+const modes = [
+  {
+    id: "none",
+    label: "No array",
+    code: "useEffect(() => {\n  document.title = `You clicked ${count} times`;\n});",
+  },
+  {
+    id: "values",
+    label: "[count]",
+    code: "useEffect(() => {\n  document.title = `You clicked ${count} times`;\n}, [count]);",
+  },
+  {
+    id: "empty",
+    label: "[]",
+    code: "useEffect(() => {\n  document.title = `You clicked ${count} times`;\n}, []);",
+  },
+];
+/* eslint-enable no-template-curly-in-string */
+
+function formatDeps(deps) {
+  return deps === undefined ? "(none)" : `[${deps.join(", ")}]`;
+}
+
+// Mirrors React's own check: no array means "changed", otherwise the items are
+// compared one by one with Object.is and any difference re-runs the effect.
+export function compareDeps(prev, next) {
+  if (next === undefined) {
+    return { runs: true, reason: "no array: runs after every render" };
+  }
+  if (prev === undefined) {
+    return { runs: true, reason: "first render" };
+  }
+  const index = next.findIndex((value, i) => !Object.is(value, prev[i]));
+  if (index === -1) {
+    return {
+      runs: false,
+      reason: next.length ? "all items equal: skipped" : "empty array: skipped",
+    };
+  }
+  return { runs: true, reason: `${prev[index]} !== ${next[index]}` };
+}
+
+// Memoized so that logging to the timeline, which re-renders the visualizer,
+// does not re-render the counter and add render events of its own.
+const Counter = memo(function Counter({ mode, onEvent }) {
+  const [count, setCount] = useState(0);
+  const [name, setName] = useState("Mary");
+  const committed = useRef({ render: 0, deps: undefined });
+  const setDocumentTitle = useSetDocumentTitle();
+  const render = committed.current.render + 1;
+
+  const deps = { none: undefined, values: [count], empty: [] }[mode];
+
+  // Runs after every commit, before the passive effect below, to record what
+  // React compared for this render.
+  useLayoutEffect(() => {
+    // StrictMode re-runs effects on mount; this render is already logged.
+    if (committed.current.render === render) {
+      return;
+    }
+    const prev = committed.current.deps;
+    committed.current = { render, deps };
+    onEvent({
+      type: "render",
+      render,
+      prev: render === 1 ? "" : formatDeps(prev),
+      next: formatDeps(deps),
+      ...compareDeps(render === 1 ? undefined : prev, deps),
+    });
+  });
+
+  useEffect(() => {
+    const ranFor = committed.current.render;
+    onEvent({ type: "effect", render: ranFor, count });
+    setDocumentTitle(`You clicked ${count} times`);
+    return () => onEvent({ type: "cleanup", render: ranFor });
+  }, deps);
+
+  return (
+    <div>
+      <p>
+        You clicked {count} times, {name}
+      </p>
+      <button onClick={() => setCount(count + 1)} type="button">
+        Click me
+      </button>{" "}
+      <label htmlFor="dependency-visualizer-name">
+        Name{" "}
+        <input
+          id="dependency-visualizer-name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+      </label>
+    </div>
+  );
+});
+
+Counter.propTypes = {
+  mode: PropTypes.oneOf(modes.map(({ id }) => id)).isRequired,
+  onEvent: PropTypes.func.isRequired,
+};
+
+function describe({ type, render, count }) {
+  switch (type) {
+    case "render":
+      return `render #${render}`;
+    case "effect":
+      return `effect of render #${render} runs (count = ${count})`;
+    default:
+      return `cleanup of render #${render}`;
+  }
+}
+
+export default function DependencyVisualizer() {
+  const [mode, setMode] = useState("none");
+  const [events, setEvents] = useState([]);
+  const nextId = useRef(0);
+
+  const handleEvent = useCallback((event) => {
+    nextId.current += 1;
+    const entry = { id: nextId.current, ...event };
+    setEvents((previous) => [...previous, entry]);
+  }, []);
+
+  return (
+    <div className="dependency-visualizer">
+      <fieldset>
+        <legend>Dependency array</legend>
+        {modes.map(({ id, label }) => (
+          <label key={id} htmlFor={`dependency-mode-${id}`}>
+            <input
+              id={`dependency-mode-${id}`}
+              type="radio"
+              name="dependency-mode"
+              value={id}
+              checked={mode === id}
+              onChange={() => setMode(id)}
+            />{" "}
+            {label}
+          </label>
+        ))}
+      </fieldset>
+      <pre>
+        <code>{modes.find(({ id }) => id === mode).code}</code>
+      </pre>
+
+      {/* A different dependency array is a different component: remount it so
+      React never sees the array change size between renders. */}
+      <Counter key={mode} mode={mode} onEvent={handleEvent} />
+
+      <table aria-label="Effect timeline">
+        <thead>
+          <tr>
+            <th scope="col">#</th>
+            <th scope="col">Event</th>
+            <th scope="col">Previous deps</th>
+            <th scope="col">Next deps</th>
+            <th scope="col">Result</th>
+          </tr>
+        </thead>
+        <tbody>
+          {events.map((event) => (
+            <tr key={event.id} className={`timeline-${event.type}`}>
+              <td>{event.id}</td>
+              <td>{describe(event)}</td>
+              <td>{event.prev}</td>
+              <td>{event.next}</td>
+              <td>{event.reason}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button type="button" onClick={() => setEvents([])}>
+        Clear timeline
+      </button>
+    </div>
+  );
+}
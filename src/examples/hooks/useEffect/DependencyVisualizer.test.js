@@ -0,0 +1,74 @@
+import { render, screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import DependencyVisualizer, { compareDeps } from "./DependencyVisualizer";
+
+function timeline() {
+  const table = screen.getByRole("table", { name: "Effect timeline" });
+  return within(table)
+    .getAllByRole("row")
+    .slice(1)
+    .map((row) =>
+      within(row)
+        .getAllByRole("cell")
+        .slice(1)
+        .map((cell) => cell.textContent)
+    );
+}
+
+test("compareDeps follows React's rules", () => {
+  expect(compareDeps([5], undefined).runs).toBe(true);
+  expect(compareDeps(undefined, [5]).runs).toBe(true);
+  expect(compareDeps([5], [5])).toEqual({
+    runs: false,
+    reason: "all items equal: skipped",
+  });
+  expect(compareDeps([5], [6])).toEqual({ runs: true, reason: "5 !== 6" });
+  expect(compareDeps([], []).runs).toBe(false);
+  expect(compareDeps([NaN], [NaN]).runs).toBe(false);
+});
+
+test("without an array the effect is cleaned up and re-run after every render", () => {
+  render(<DependencyVisualizer />);
+  userEvent.type(screen.getByLabelText("Name"), "!");
+
+  expect(timeline()).toEqual([
+    ["render #1", "", "(none)", "no array: runs after every render"],
+    ["effect of render #1 runs (count = 0)", "", "", ""],
+    ["render #2", "(none)", "(none)", "no array: runs after every render"],
+    ["cleanup of render #1", "", "", ""],
+    ["effect of render #2 runs (count = 0)", "", "", ""],
+  ]);
+});
+
+test("with [count] unrelated renders skip the effect", () => {
+  render(<DependencyVisualizer />);
+  userEvent.click(screen.getByLabelText("[count]"));
+  userEvent.click(screen.getByRole("button", { name: "Clear timeline" }));
+
+  userEvent.type(screen.getByLabelText("Name"), "!");
+  userEvent.click(screen.getByRole("button", { name: "Click me" }));
+
+  expect(timeline()).toEqual([
+    ["render #2", "[0]", "[0]", "all items equal: skipped"],
+    ["render #3", "[0]", "[1]", "0 !== 1"],
+    ["cleanup of render #1", "", "", ""],
+    ["effect of render #3 runs (count = 1)", "", "", ""],
+  ]);
+  expect(document.title).toBe("You clicked 1 times");
+});
+
+test("with [] the effect only runs on mount and is cleaned up on unmount", () => {
+  render(<DependencyVisualizer />);
+  userEvent.click(screen.getByLabelText("[]"));
+  userEvent.click(screen.getByRole("button", { name: "Clear timeline" }));
+  userEvent.click(screen.getByRole("button", { name: "Click me" }));
+  userEvent.click(screen.getByLabelText("No array"));
+
+  expect(timeline()).toEqual([
+    ["render #2", "[]", "[]", "empty array: skipped"],
+    // The remounted counter commits before the old effect is cleaned up.
+    ["render #1", "", "(none)", "no array: runs after every render"],
+    ["cleanup of render #1", "", "", ""],
+    ["effect of render #1 runs (count = 0)", "", "", ""],
+  ]);
+});
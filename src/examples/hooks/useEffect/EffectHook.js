@@ -1,4 +1,15 @@
 import React, { useState, useEffect } from "react";
+import PropTypes from "prop-types";
+import ChatAPI from "../../../chat/ChatAPI";
+import { useI18n, withI18n } from "../../../i18n/I18n";
+import usePersistentState from "../../../persistence/usePersistentState";
+import {
+  useSetDocumentTitle,
+  withDocumentTitle,
+} from "../../../title/DocumentTitle";
+import LifecycleLogContext, {
+  useLifecycleLog,
+} from "../../../lifecycle/LifecycleLogContext";
 
 // The Effect Hook lets you perform side effects in function components: data
 // fetching, setting up a subscription, and manually changing the DOM in React
@@ -10,8 +21,16 @@ import React, { useState, useEffect } from "react";
 // useEffect Hook as componentDidMount, componentDidUpdate, and componentWillUnmount
 // combined.
 
-export default function EffectHook() {
-  const [count, setCount] = useState(0);
+export default function EffectHook({ initialCount, titlePrefix }) {
+  // useState(initialCount) that also keeps count in the URL, see StateHook.js
+  const [count, setCount] = usePersistentState("effect-count", initialCount, {
+    storage: "query",
+    validate: Number.isInteger,
+  });
+  const logLifecycle = useLifecycleLog("EffectHook");
+  const setDocumentTitle = useSetDocumentTitle();
+  // The playground's text is translated, see StateHook.js
+  const { t } = useI18n();
 
   /* What does useEffect do? By using this Hook, you tell React that your component
   needs to do something after render. React will remember the function you passed
@@ -27,8 +46,13 @@ export default function EffectHook() {
     function scope. Hooks embrace JavaScript closures and avoid introducing
     React-specific APIs where JavaScript already provides a solution. */
 
-    // Update the document title using the browser API
-    document.title = `You clicked ${count} times`;
+    // Report the run to the lifecycle log shown next to the demo
+    logLifecycle("effect run");
+
+    // Update the document title. The playground shares document.title
+    // between examples, so it goes through src/title instead of the browser
+    // API; on its own this would be document.title = `You clicked ...`.
+    setDocumentTitle(`${titlePrefix}${t("counter.clicked", { count })}`);
   });
 
   /* Does useEffect run after every render? Yes! By default, it runs both after
@@ -39,14 +63,26 @@ export default function EffectHook() {
 
   return (
     <div>
-      <p>You clicked {count} times</p>
+      <p>{t("counter.clicked", { count })}</p>
       <button onClick={() => setCount(count + 1)} type="button">
-        Click me
+        {t("counter.clickMe")}
       </button>
     </div>
   );
 }
 
+EffectHook.propTypes = {
+  // Where the count starts when the URL doesn't have one yet.
+  initialCount: PropTypes.number,
+  // Put in front of the title, e.g. "Acme | ".
+  titlePrefix: PropTypes.string,
+};
+
+EffectHook.defaultProps = {
+  initialCount: 0,
+  titlePrefix: "",
+};
+
 /* There are two common kinds of side effects in React components: those that
 don’t require cleanup, and those that do. Let’s look at this distinction in
 more detail.
@@ -66,36 +102,66 @@ has updated the DOM.
 This is why in React classes, we put side effects into componentDidMount and
 componentDidUpdate. Coming back to our example, here is a React counter class
 component that updates the document title right after React makes changes to
-the DOM:
+the DOM: */
 
- class Example extends React.Component {
-    constructor(props) {
-      super(props);
-      this.state = {
-        count: 0,
-      };
-    }
+// Here it is for real, next to the EffectHook above. It also reports its
+// lifecycle methods to the lifecycle log shown next to the demo.
+/* eslint-disable react/destructuring-assignment, react/no-access-state-in-setstate */
+class Example extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      count: 0,
+    };
+  }
 
-    componentDidMount() {
-      document.title = `You clicked ${this.state.count} times`;
-    }
-    componentDidUpdate() {
-      document.title = `You clicked ${this.state.count} times`;
-    }
+  componentDidMount() {
+    this.context("componentDidMount");
+    this.props.setDocumentTitle(
+      this.props.t("counter.clicked", { count: this.state.count })
+    );
+  }
 
-    render() {
-      return (
-        <div>
-          <p>You clicked {this.state.count} times</p>
-          <button onClick={() => this.setState({ count: this.state.count + 1 })}>
-            Click me
-          </button>
-        </div>
-      );
-    }
+  componentDidUpdate() {
+    this.context("componentDidUpdate");
+    this.props.setDocumentTitle(
+      this.props.t("counter.clicked", { count: this.state.count })
+    );
   }
 
-Note how we have to duplicate the code between these two lifecycle methods in
+  componentWillUnmount() {
+    this.context("componentWillUnmount");
+  }
+
+  render() {
+    return (
+      <div>
+        <p>{this.props.t("counter.clicked", { count: this.state.count })}</p>
+        <button
+          onClick={() => this.setState({ count: this.state.count + 1 })}
+          type="button"
+        >
+          {this.props.t("counter.clickMe")}
+        </button>
+      </div>
+    );
+  }
+}
+/* eslint-enable react/destructuring-assignment, react/no-access-state-in-setstate */
+
+Example.contextType = LifecycleLogContext;
+
+Example.propTypes = {
+  setDocumentTitle: PropTypes.func.isRequired,
+  t: PropTypes.func.isRequired,
+};
+
+// Like the Hook above, the class sets the title through src/title; these
+// wrappers hand it the setDocumentTitle prop it uses in place of
+// document.title, and the t prop its text comes from.
+export const EffectClass = withDocumentTitle(withI18n(Example));
+
+/* Note how we have to duplicate the code between these two lifecycle methods in
 class.
 
 This is because in many cases we want to perform the same side effect regardless
@@ -151,42 +217,58 @@ Example Using Classes
 In a React class, you would typically set up a subscription in componentDidMount,
 and clean it up in componentWillUnmount. For example, let’s say we have a ChatAPI
 module that lets us subscribe to a friend’s online status. Here’s how we might
-subscribe and display that status using a class:
+subscribe and display that status using a class: */
 
-  class FriendStatus extends React.Component {
-    constructor(props) {
-      super(props);
-      this.state = { isOnline: null };
-      this.handleStatusChange = this.handleStatusChange.bind(this);
-    }
+// The ChatAPI above is an in-memory mock (src/chat/ChatAPI.js) whose
+// inspector, shown next to the demo, lists the active subscriptions.
+/* eslint-disable react/destructuring-assignment */
+export class FriendStatusClass extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { isOnline: null };
+    this.handleStatusChange = this.handleStatusChange.bind(this);
+  }
 
-    componentDidMount() {
-      ChatAPI.subscribeToFriendStatus(
-        this.props.friend.id,
-        this.handleStatusChange
-      );
-    }
-    componentWillUnmount() {
-      ChatAPI.unsubscribeFromFriendStatus(
-        this.props.friend.id,
-        this.handleStatusChange
-      );
-    }
-    handleStatusChange(status) {
-      this.setState({
-        isOnline: status.isOnline
-      });
-    }
+  componentDidMount() {
+    this.context(`componentDidMount: subscribe to ${this.props.friend.id}`);
+    ChatAPI.subscribeToFriendStatus(
+      this.props.friend.id,
+      this.handleStatusChange
+    );
+  }
 
-    render() {
-      if (this.state.isOnline === null) {
-        return 'Loading...';
-      }
-      return this.state.isOnline ? 'Online' : 'Offline';
+  componentWillUnmount() {
+    this.context(
+      `componentWillUnmount: unsubscribe from ${this.props.friend.id}`
+    );
+    ChatAPI.unsubscribeFromFriendStatus(
+      this.props.friend.id,
+      this.handleStatusChange
+    );
+  }
+
+  handleStatusChange(status) {
+    this.setState({
+      isOnline: status.isOnline,
+    });
+  }
+
+  render() {
+    if (this.state.isOnline === null) {
+      return "Loading...";
     }
+    return this.state.isOnline ? "Online" : "Offline";
   }
+}
+/* eslint-enable react/destructuring-assignment */
 
-Notice how componentDidMount and componentWillUnmount need to mirror each other.
+FriendStatusClass.contextType = LifecycleLogContext;
+
+FriendStatusClass.propTypes = {
+  friend: PropTypes.shape({ id: PropTypes.number.isRequired }).isRequired,
+};
+
+/* Notice how componentDidMount and componentWillUnmount need to mirror each other.
 Lifecycle methods force us to split this logic even though conceptually code in
 both of them is related to the same effect.
 
@@ -200,31 +282,36 @@ Let’s see how we could write this component with Hooks.
 You might be thinking that we’d need a separate effect to perform the cleanup.
 But code for adding and removing a subscription is so tightly related that
 useEffect is designed to keep it together. If your effect returns a function,
-React will run it when it is time to clean up:
-
-import React, { useState, useEffect } from 'react';
+React will run it when it is time to clean up: */
 
-  function FriendStatus(props) {
-    const [isOnline, setIsOnline] = useState(null);
+export function FriendStatus(props) {
+  const [isOnline, setIsOnline] = useState(null);
+  const logLifecycle = useLifecycleLog("FriendStatus");
 
-    useEffect(() => {
-      function handleStatusChange(status) {
-        setIsOnline(status.isOnline);
-      }
-      ChatAPI.subscribeToFriendStatus(props.friend.id, handleStatusChange);
-      // Specify how to clean up after this effect:
-      return function cleanup() {
-        ChatAPI.unsubscribeFromFriendStatus(props.friend.id, handleStatusChange);
-      };
-    });
-
-    if (isOnline === null) {
-      return 'Loading...';
+  useEffect(() => {
+    function handleStatusChange(status) {
+      setIsOnline(status.isOnline);
     }
-    return isOnline ? 'Online' : 'Offline';
+    logLifecycle(`effect run: subscribe to ${props.friend.id}`);
+    ChatAPI.subscribeToFriendStatus(props.friend.id, handleStatusChange);
+    // Specify how to clean up after this effect:
+    return function cleanup() {
+      logLifecycle(`cleanup: unsubscribe from ${props.friend.id}`);
+      ChatAPI.unsubscribeFromFriendStatus(props.friend.id, handleStatusChange);
+    };
+  });
+
+  if (isOnline === null) {
+    return "Loading...";
   }
+  return isOnline ? "Online" : "Offline";
+}
+
+FriendStatus.propTypes = {
+  friend: PropTypes.shape({ id: PropTypes.number.isRequired }).isRequired,
+};
 
-Why did we return a function from our effect? This is the optional cleanup
+/* Why did we return a function from our effect? This is the optional cleanup
 mechanism for effects. Every effect may return a function that cleans up after it.
 This lets us keep the logic for adding and removing subscriptions close to each
 other. They’re part of the same effect!
@@ -470,6 +557,9 @@ We recommend using the exhaustive-deps (https://github.com/facebook/react/issues
 rule as part of our eslint-plugin-react-hooks (https://www.npmjs.com/package/eslint-plugin-react-hooks#installation)
 package. It warns when dependencies are specified incorrectly and suggests a fix.
 
+DependencyVisualizer.js, next to this file, lets you switch between no array,
+[count] and [] and shows what React compares on every render.
+
 - Rules of Hooks - https://reactjs.org/docs/hooks-rules.html
 
 Only Call Hooks at the Top Level
@@ -574,4 +664,7 @@ to run an effect conditionally, we can put that condition inside our Hook:
 Note that you don’t need to worry about this problem if you use the provided lint
 rule. But now you also know why Hooks work this way, and which issues the rule is
 preventing.
+
+RulesOfHooksForm.js, next to this file, runs this Form: switch the conditional
+persistForm on, clear the name and compare the Hook order of both renders.
 */
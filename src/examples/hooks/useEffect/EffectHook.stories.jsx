@@ -0,0 +1,38 @@
+import { within, userEvent, waitFor } from "@storybook/testing-library";
+
+import EffectHook from "./EffectHook";
+import { assertTitle, withFreshExample } from "../storySupport";
+
+export default {
+  title: "Hooks/EffectHook",
+  component: EffectHook,
+  decorators: [withFreshExample("effect-count")],
+  argTypes: {
+    initialCount: { control: { type: "number", step: 1 } },
+  },
+};
+
+const Template = (args) => <EffectHook {...args} />;
+
+export const Default = Template.bind({});
+
+export const WithTitlePrefix = Template.bind({});
+WithTitlePrefix.args = {
+  titlePrefix: "Acme | ",
+};
+
+export const Clicking = Template.bind({});
+Clicking.args = {
+  initialCount: 1,
+  titlePrefix: "Acme | ",
+};
+Clicking.play = async ({ canvasElement }) => {
+  const canvas = within(canvasElement);
+  await canvas.findByText("You clicked 1 time");
+  await waitFor(() => assertTitle("Acme | You clicked 1 time"));
+
+  await userEvent.click(canvas.getByRole("button", { name: "Click me" }));
+  await userEvent.click(canvas.getByRole("button", { name: "Click me" }));
+  await canvas.findByText("You clicked 3 times");
+  await waitFor(() => assertTitle("Acme | You clicked 3 times"));
+};
@@ -0,0 +1,125 @@
+import { act, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import ChatAPI from "../../../chat/ChatAPI";
+import LifecycleLogContext from "../../../lifecycle/LifecycleLogContext";
+import renderWithProviders from "../../../setupTests";
+import EffectHook, { EffectClass } from "./EffectHook";
+import FriendStatusDemo, { FriendStatusClassDemo } from "./FriendStatusDemo";
+
+beforeEach(() => {
+  document.title = "Playground";
+});
+
+describe("EffectHook", () => {
+  test("counts clicks and updates the title after every render", () => {
+    const { unmount } = renderWithProviders(<EffectHook />);
+    expect(document.title).toBe("You clicked 0 times");
+
+    userEvent.click(screen.getByRole("button", { name: "Click me" }));
+    expect(screen.getByText("You clicked 1 time")).toBeInTheDocument();
+    expect(document.title).toBe("You clicked 1 time");
+
+    unmount();
+    expect(document.title).toBe("Playground");
+  });
+
+  test("starts from initialCount and prefixes the title", () => {
+    renderWithProviders(<EffectHook initialCount={4} titlePrefix="Acme | " />);
+    expect(screen.getByText("You clicked 4 times")).toBeInTheDocument();
+    expect(document.title).toBe("Acme | You clicked 4 times");
+  });
+
+  test("logs the extra run StrictMode adds on mount", async () => {
+    const { effectLog } = renderWithProviders(<EffectHook />);
+    // StrictMode's re-run is over once the task that mounted it is.
+    await act(() => Promise.resolve());
+    userEvent.click(screen.getByRole("button", { name: "Click me" }));
+
+    expect(
+      effectLog
+        .getSnapshot()
+        .entries.map(({ component, event, strictModeRerun }) =>
+          [component, event, strictModeRerun && "StrictMode"]
+            .filter(Boolean)
+            .join(" ")
+        )
+    ).toEqual([
+      "EffectHook effect run",
+      "EffectHook effect run StrictMode",
+      "EffectHook effect run",
+    ]);
+  });
+});
+
+let lifecycleEvents = [];
+
+function logLifecycle(event) {
+  lifecycleEvents.push(event);
+}
+
+test("EffectClass sets the title from componentDidMount and componentDidUpdate", () => {
+  lifecycleEvents = [];
+  renderWithProviders(
+    <LifecycleLogContext.Provider value={logLifecycle}>
+      <EffectClass />
+    </LifecycleLogContext.Provider>,
+    { strict: false }
+  );
+  expect(document.title).toBe("You clicked 0 times");
+
+  userEvent.click(screen.getByRole("button", { name: "Click me" }));
+  expect(document.title).toBe("You clicked 1 time");
+  expect(lifecycleEvents).toEqual(["componentDidMount", "componentDidUpdate"]);
+});
+
+describe("FriendStatus", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    ChatAPI.reset();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  function arrive() {
+    act(() => {
+      jest.runOnlyPendingTimers();
+    });
+  }
+
+  test("the Hook version follows the picked friend", () => {
+    renderWithProviders(<FriendStatusDemo />);
+    expect(screen.getByText("Loading...")).toBeInTheDocument();
+    arrive();
+    expect(screen.getByText("Online")).toBeInTheDocument();
+
+    userEvent.selectOptions(screen.getByRole("combobox"), "Rachel");
+    arrive();
+    expect(screen.getByText("Offline")).toBeInTheDocument();
+
+    act(() => {
+      ChatAPI.setFriendStatus(1, false);
+      ChatAPI.setFriendStatus(2, true);
+    });
+    expect(screen.getByText("Online")).toBeInTheDocument();
+  });
+
+  test("the class version keeps listening to the first friend", () => {
+    renderWithProviders(<FriendStatusClassDemo />, { strict: false });
+    arrive();
+    expect(screen.getByText("Online")).toBeInTheDocument();
+
+    userEvent.selectOptions(screen.getByRole("combobox"), "Rachel");
+    arrive();
+    act(() => {
+      ChatAPI.setFriendStatus(1, false);
+    });
+    // Rachel's status never arrives; Phoebe's still does.
+    expect(screen.getByText("Offline")).toBeInTheDocument();
+    act(() => {
+      ChatAPI.setFriendStatus(2, true);
+    });
+    expect(screen.getByText("Offline")).toBeInTheDocument();
+  });
+});
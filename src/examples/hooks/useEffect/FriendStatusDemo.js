@@ -0,0 +1,48 @@
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { defaultFriends } from "../../../chat/ChatAPI";
+import { FriendStatus, FriendStatusClass } from "./EffectHook";
+
+// Both FriendStatus versions take a friend prop. Changing it while they are
+// mounted is what exposes the missing componentDidUpdate in the class: it
+// keeps the old subscription and, once unmounted, the ChatAPI inspector shows
+// it as leaked. The Hook version cleans up before every re-subscribe.
+
+function FriendPicker({ children }) {
+  const [friendId, setFriendId] = useState(defaultFriends[0].id);
+
+  return (
+    <div>
+      <select
+        aria-label="Friend"
+        value={friendId}
+        onChange={(e) => setFriendId(Number(e.target.value))}
+      >
+        {defaultFriends.map((friend) => (
+          <option key={friend.id} value={friend.id}>
+            {friend.name}
+          </option>
+        ))}
+      </select>{" "}
+      {children({ id: friendId })}
+    </div>
+  );
+}
+
+FriendPicker.propTypes = {
+  children: PropTypes.func.isRequired,
+};
+
+export default function FriendStatusDemo() {
+  return (
+    <FriendPicker>{(friend) => <FriendStatus friend={friend} />}</FriendPicker>
+  );
+}
+
+export function FriendStatusClassDemo() {
+  return (
+    <FriendPicker>
+      {(friend) => <FriendStatusClass friend={friend} />}
+    </FriendPicker>
+  );
+}
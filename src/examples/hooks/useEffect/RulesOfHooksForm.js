@@ -0,0 +1,161 @@
+import {
+  memo,
+  useEffect,
+  useLayoutEffect,
+  useState,
+  useSyncExternalStore,
+} from "react";
+import PropTypes from "prop-types";
+import ErrorBoundary from "../../../errors/ErrorBoundary";
+import { useSetDocumentTitle } from "../../../title/DocumentTitle";
+import createHookOrderRecorder from "./hookOrderRecorder";
+
+// The Form from the Rules of Hooks section at the bottom of EffectHook.js.
+// With “Break the first rule” on, persistForm is only called while the name
+// isn't empty. Clear the name and the next render skips that Hook: every later
+// Hook call shifts by one, React can no longer match them to their state and
+// the render throws. The playground's ErrorBoundary catches it and the table
+// shows the Hook order of the last good render next to the one that failed.
+
+const recorderShape = PropTypes.shape({
+  begin: PropTypes.func.isRequired,
+  call: PropTypes.func.isRequired,
+  commit: PropTypes.func.isRequired,
+  fail: PropTypes.func.isRequired,
+  subscribe: PropTypes.func.isRequired,
+  getSnapshot: PropTypes.func.isRequired,
+});
+
+// Memoized so publishing the Hook order doesn't re-render the form itself.
+const Form = memo(function Form({ breakRules, recorder }) {
+  // Not part of the example: reports the committed Hook order and shares
+  // document.title with the rest of the playground. Both always run first, so
+  // they never shift the Hooks below.
+  useLayoutEffect(() => recorder.commit());
+  const setDocumentTitle = useSetDocumentTitle();
+  recorder.begin();
+
+  // 1. Use the name state variable
+  recorder.call("useState('Mary')");
+  const [name, setName] = useState(
+    () => localStorage.getItem("formData") ?? "Mary"
+  );
+
+  // 2. Use an effect for persisting the form
+  if (breakRules) {
+    // 🔴 We're breaking the first rule by using a Hook in a condition
+    if (name !== "") {
+      recorder.call("useEffect(persistForm)");
+      useEffect(function persistForm() {
+        localStorage.setItem("formData", name);
+      });
+    }
+  } else {
+    recorder.call("useEffect(persistForm)");
+    useEffect(function persistForm() {
+      // 👍 We're not breaking the first rule anymore
+      if (name !== "") {
+        localStorage.setItem("formData", name);
+      }
+    });
+  }
+
+  // 3. Use the surname state variable
+  recorder.call("useState('Poppins')");
+  const [surname, setSurname] = useState("Poppins");
+
+  // 4. Use an effect for updating the title
+  recorder.call("useEffect(updateTitle)");
+  useEffect(function updateTitle() {
+    setDocumentTitle(`${name} ${surname}`);
+  });
+
+  return (
+    <form onSubmit={(e) => e.preventDefault()}>
+      <label htmlFor="rules-form-name">
+        Name{" "}
+        <input
+          id="rules-form-name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+      </label>{" "}
+      <label htmlFor="rules-form-surname">
+        Surname{" "}
+        <input
+          id="rules-form-surname"
+          value={surname}
+          onChange={(e) => setSurname(e.target.value)}
+        />
+      </label>
+    </form>
+  );
+});
+
+Form.propTypes = {
+  breakRules: PropTypes.bool.isRequired,
+  recorder: recorderShape.isRequired,
+};
+
+function HookOrderTable({ recorder }) {
+  const { expected, actual, error } = useSyncExternalStore(
+    recorder.subscribe,
+    recorder.getSnapshot
+  );
+  const rows = Math.max(expected.length, actual.length);
+
+  return (
+    <table aria-label="Hook order">
+      <thead>
+        <tr>
+          <th scope="col">#</th>
+          <th scope="col">Previous render</th>
+          <th scope="col">{error ? "Failed render" : "This render"}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {Array.from({ length: rows }, (_, i) => {
+          const shifted = actual[i] !== undefined && actual[i] !== expected[i];
+          return (
+            <tr key={i}>
+              <td>{i + 1}</td>
+              <td>{expected[i]}</td>
+              <td>
+                {shifted && "🔴 "}
+                {actual[i] ?? (error ? "🔴 skipped" : "")}
+              </td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
+
+HookOrderTable.propTypes = {
+  recorder: recorderShape.isRequired,
+};
+
+export default function RulesOfHooksForm() {
+  const [recorder] = useState(createHookOrderRecorder);
+  const [breakRules, setBreakRules] = useState(false);
+
+  return (
+    <div>
+      <label htmlFor="rules-form-break">
+        <input
+          id="rules-form-break"
+          type="checkbox"
+          checked={breakRules}
+          onChange={(e) => setBreakRules(e.target.checked)}
+        />{" "}
+        Break the first rule (call persistForm only when name !== &apos;&apos;)
+      </label>
+      {/* "Reset example" remounts the Form with fresh state. */}
+      <ErrorBoundary name="Form" onError={recorder.fail}>
+        <Form breakRules={breakRules} recorder={recorder} />
+      </ErrorBoundary>
+      <HookOrderTable recorder={recorder} />
+    </div>
+  );
+}
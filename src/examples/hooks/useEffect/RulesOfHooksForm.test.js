@@ -0,0 +1,63 @@
+import { render, screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import RulesOfHooksForm from "./RulesOfHooksForm";
+
+function hookOrder() {
+  const table = screen.getByRole("table", { name: "Hook order" });
+  return within(table)
+    .getAllByRole("row")
+    .slice(1)
+    .map((row) =>
+      within(row)
+        .getAllByRole("cell")
+        .slice(1)
+        .map((cell) => cell.textContent)
+    );
+}
+
+beforeEach(() => {
+  localStorage.clear();
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test("persists the name and updates the title when the rules are followed", () => {
+  render(<RulesOfHooksForm />);
+  userEvent.type(screen.getByLabelText("Name"), "!");
+
+  expect(localStorage.getItem("formData")).toBe("Mary!");
+  expect(document.title).toBe("Mary! Poppins");
+
+  userEvent.clear(screen.getByLabelText("Name"));
+  expect(screen.queryByRole("alert")).not.toBeInTheDocument();
+  expect(localStorage.getItem("formData")).toBe("Mary!");
+});
+
+test("restores the persisted name", () => {
+  localStorage.setItem("formData", "Jane");
+  render(<RulesOfHooksForm />);
+  expect(screen.getByLabelText("Name")).toHaveValue("Jane");
+});
+
+test("a conditional Hook shifts the Hook order and the boundary catches the crash", () => {
+  render(<RulesOfHooksForm />);
+  userEvent.click(screen.getByLabelText(/Break the first rule/));
+  userEvent.clear(screen.getByLabelText("Name"));
+
+  expect(screen.getByRole("alert")).toHaveTextContent(
+    "React threw while rendering Form"
+  );
+  expect(hookOrder()).toEqual([
+    ["useState('Mary')", "useState('Mary')"],
+    ["useEffect(persistForm)", "🔴 useState('Poppins')"],
+    ["useState('Poppins')", "🔴 skipped"],
+    ["useEffect(updateTitle)", "🔴 skipped"],
+  ]);
+
+  userEvent.click(screen.getByRole("button", { name: "Reset example" }));
+  expect(screen.queryByRole("alert")).not.toBeInTheDocument();
+  expect(screen.getByLabelText("Name")).toHaveValue("Mary");
+});
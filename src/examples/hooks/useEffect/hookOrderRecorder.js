@@ -0,0 +1,44 @@
+// Records the order in which a component calls its Hooks so the Rules of Hooks
+// sandbox can put the last committed order ("expected") next to the order of
+// the render in progress ("actual"), even when that render throws.
+//   begin()      a render starts
+//   call(label)  the component is about to call a Hook
+//   commit()     the render was committed; it becomes the expected order
+//   fail(error)  the render threw; keep its partial order and the error
+// subscribe/getSnapshot follow the useSyncExternalStore contract.
+export default function createHookOrderRecorder() {
+  let expected = [];
+  let actual = [];
+  let snapshot = { expected, actual, error: null };
+  const listeners = new Set();
+
+  function publish(error = null) {
+    snapshot = { expected, actual, error };
+    listeners.forEach((listener) => listener());
+  }
+
+  return {
+    begin() {
+      actual = [];
+    },
+    call(label) {
+      actual.push(label);
+    },
+    commit() {
+      expected = [...actual];
+      actual = [...actual];
+      publish();
+    },
+    fail(error) {
+      actual = [...actual];
+      publish(error);
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot() {
+      return snapshot;
+    },
+  };
+}
@@ -0,0 +1,118 @@
+import { useState } from "react";
+import PropTypes from "prop-types";
+import mockFetch from "../../../mocks/mockFetch";
+import useFetch, { fetchJson } from "./useFetch";
+
+/* Using useFetch. The mock API below answers Ervin slowest: pick him, then
+someone else right away, and the lifecycle log shows his request aborted by the
+effect's cleanup; without it his answer would arrive last and replace the user
+you picked. Go back to a user you have seen and they show up at once, from the
+cache, while the Hook fetches them again. Hiding the details unmounts them,
+which aborts their request too. The inspector makes the server fail, to see
+the retries and the error state. */
+
+// Not part of the example: MSW serves the mock API in development and in
+// Storybook. Production builds have their own service worker, which leaves no
+// room for MSW's, so there the mock API answers in the page instead.
+const fetcher =
+  process.env.NODE_ENV === "production"
+    ? (url, options) => fetchJson(url, { ...options, request: mockFetch })
+    : fetchJson;
+
+function UserDetails({ id }) {
+  const {
+    status,
+    data: user,
+    error,
+    isValidating,
+    refetch,
+  } = useFetch(`/api/users/${id}`, { fetcher });
+
+  let progress = "";
+  if (status === "loading") {
+    progress = "Loading…";
+  } else if (isValidating) {
+    progress = user ? "Showing the cached user while refreshing…" : "Retrying…";
+  }
+
+  return (
+    <div aria-busy={isValidating}>
+      <p role="status">{progress}</p>
+      {user && (
+        <dl>
+          <dt>Name</dt>
+          <dd>{user.name}</dd>
+          <dt>Email</dt>
+          <dd>{user.email}</dd>
+          <dt>Company</dt>
+          <dd>{user.company}</dd>
+        </dl>
+      )}
+      {status === "error" && (
+        <p role="alert">Couldn&apos;t load the user: {error.message}</p>
+      )}
+      <button type="button" onClick={refetch}>
+        Reload
+      </button>
+    </div>
+  );
+}
+
+UserDetails.propTypes = {
+  id: PropTypes.number.isRequired,
+};
+
+export default function UserDirectory() {
+  const {
+    status,
+    data: users,
+    error,
+    refetch,
+  } = useFetch("/api/users", { fetcher });
+  const [userId, setUserId] = useState(1);
+  const [showDetails, setShowDetails] = useState(true);
+
+  if (status === "loading") {
+    return <p role="status">Loading users…</p>;
+  }
+  if (!users) {
+    return (
+      <div role="alert">
+        <p>Couldn&apos;t load the users: {error.message}</p>
+        <button type="button" onClick={refetch}>
+          Try again
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <fieldset>
+        <legend>User</legend>
+        {users.map(({ id, name }) => (
+          <label key={id} htmlFor={`user-${id}`}>
+            <input
+              id={`user-${id}`}
+              type="radio"
+              name="user"
+              checked={userId === id}
+              onChange={() => setUserId(id)}
+            />{" "}
+            {name}
+          </label>
+        ))}
+      </fieldset>
+      <label htmlFor="user-show-details">
+        <input
+          id="user-show-details"
+          type="checkbox"
+          checked={showDetails}
+          onChange={(e) => setShowDetails(e.target.checked)}
+        />{" "}
+        Show the details
+      </label>
+      {showDetails && <UserDetails id={userId} />}
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { within, userEvent, waitFor } from "@storybook/testing-library";
+
+import UserDirectory from "./UserDirectory";
+import fetchCache from "./fetchCache";
+import mockApi from "../../../mocks/mockApi";
+import MockApiInspector from "../../../mocks/MockApiInspector";
+
+// Every story starts with an empty cache and a mock API that works; the API
+// itself is served by MSW, started from .storybook/preview.js.
+function FreshMockApi({ children }) {
+  useState(() => {
+    fetchCache.clear();
+    mockApi.reset();
+  });
+  return children;
+}
+
+FreshMockApi.propTypes = {
+  children: PropTypes.node.isRequired,
+};
+
+export default {
+  title: "Hooks/useFetch",
+  component: UserDirectory,
+  decorators: [
+    (Story) => (
+      <FreshMockApi>
+        <Story />
+        <MockApiInspector />
+      </FreshMockApi>
+    ),
+  ],
+};
+
+export const Default = () => <UserDirectory />;
+
+// Ervin answers after 1.5 s; by then Clementine is picked and his request is
+// aborted, so his answer never replaces hers.
+export const SwitchingUsers = Default.bind({});
+SwitchingUsers.play = async ({ canvasElement }) => {
+  const canvas = within(canvasElement);
+  await userEvent.click(await canvas.findByRole("radio", { name: /Ervin/ }));
+  await userEvent.click(canvas.getByRole("radio", { name: /Clementine/ }));
+  await canvas.findByText("clementine@example.com", {}, { timeout: 3000 });
+  await new Promise((resolve) => {
+    setTimeout(resolve, 1600);
+  });
+  await waitFor(() => {
+    if (canvas.queryByText("ervin@example.com")) {
+      throw new Error("Ervin's late answer replaced Clementine");
+    }
+  });
+};
+
+export const ServerDown = Default.bind({});
+ServerDown.play = async ({ canvasElement }) => {
+  const canvas = within(canvasElement);
+  await canvas.findByText("leanne@example.com", {}, { timeout: 3000 });
+  await userEvent.click(canvas.getByRole("checkbox", { name: "Server down" }));
+  await userEvent.click(canvas.getByRole("button", { name: "Reload" }));
+  // Two retries, 500 ms and 1 s apart, before the error shows.
+  await canvas.findByRole("alert", {}, { timeout: 4000 });
+  await canvas.findByText("leanne@example.com");
+};
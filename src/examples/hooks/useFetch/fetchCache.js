@@ -0,0 +1,52 @@
+// The in-memory cache behind useFetch, shared by every component that fetches
+// the same URL: what one of them fetched, the others show right away. Entries
+// are replaced, never changed, so they work as useSyncExternalStore snapshots.
+//   get(key)                    { data, error, startedAt, updatedAt } or
+//                               undefined
+//   set(key, entry, startedAt)  stores { data, error }, unless a request that
+//                               started later has already stored its answer
+//   subscribe(key, listener)    calls listener when key's entry changes
+//   clear()                     forgets every entry; for tests, as the
+//                               components showing them don't fetch again
+
+export function createFetchCache() {
+  const entries = new Map();
+  const listeners = new Map();
+
+  function emitChange(key) {
+    (listeners.get(key) || []).forEach((listener) => listener());
+  }
+
+  return {
+    get(key) {
+      return entries.get(key);
+    },
+    set(key, { data, error = null }, startedAt = Date.now()) {
+      const current = entries.get(key);
+      // Two components can fetch the same URL at once and their answers can
+      // arrive in any order; the one asked for last wins.
+      if (current && current.startedAt > startedAt) {
+        return;
+      }
+      entries.set(key, { data, error, startedAt, updatedAt: Date.now() });
+      emitChange(key);
+    },
+    subscribe(key, listener) {
+      if (!listeners.has(key)) {
+        listeners.set(key, new Set());
+      }
+      listeners.get(key).add(listener);
+      return () => listeners.get(key).delete(listener);
+    },
+    clear() {
+      const keys = [...entries.keys()];
+      entries.clear();
+      keys.forEach(emitChange);
+    },
+  };
+}
+
+// The cache useFetch uses unless it is given another one.
+const fetchCache = createFetchCache();
+
+export default fetchCache;
@@ -0,0 +1,204 @@
+import {
+  useCallback,
+  useEffect,
+  useRef,
+  useState,
+  useSyncExternalStore,
+} from "react";
+import { useLifecycleLog } from "../../../lifecycle/LifecycleLogContext";
+import fetchCache from "./fetchCache";
+
+/* Data fetching is the first side effect the Effect Hook docs name, but
+EffectHook.js never shows one. A fetch in an effect looks simple:
+
+  useEffect(() => {
+    fetch(`/api/users/${id}`)
+      .then((response) => response.json())
+      .then(setUser);
+  }, [id]);
+
+and has four problems. When id changes before the answer arrives, the old
+request keeps going for nothing. Worse, if the old answer arrives after the new
+one, it overwrites it: the page says id 3 and shows user 2. Every component
+that needs the user fetches it again, and shows nothing until it arrives. And a
+request that fails once is never tried again.
+
+useFetch is that effect with the four problems solved, as a custom Hook:
+- the effect's cleanup aborts its request with an AbortController, so a new
+  id or an unmount cancels it;
+- answers go into a cache keyed by URL and are read back from it, so an answer
+  can only ever show up for the URL it belongs to;
+- that cache is shared and kept between mounts: data fetched once shows right
+  away while the Hook fetches it again in the background, known as
+  stale-while-revalidate;
+- network errors and 5xx answers are retried, waiting longer every time.
+*/
+
+/**
+ * A response that isn't 2xx; status is its HTTP status
+ */
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
+
+/**
+ * fetch() for JSON APIs: resolves with the parsed body, rejects with an
+ * HttpError that has the body's message when the response isn't 2xx. request
+ * makes the request, fetch by default.
+ */
+export async function fetchJson(url, { signal, request = fetch } = {}) {
+  const response = await request(url, { signal });
+  if (!response.ok) {
+    const body = await response.json().catch(() => null);
+    throw new HttpError(
+      response.status,
+      (body && body.message) || `Request failed with ${response.status}`
+    );
+  }
+  return response.json();
+}
+
+// Worth trying again: the network failed (fetch rejects with a TypeError) or
+// the server did. A 4xx would fail the same way every time.
+function isRetryable(error) {
+  return error instanceof TypeError || error.status >= 500;
+}
+
+function abortError() {
+  return new DOMException("The request was aborted", "AbortError");
+}
+
+// Resolves after ms, or rejects as soon as signal aborts.
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(abortError());
+      },
+      { once: true }
+    );
+  });
+}
+
+/**
+ * Fetches url and keeps the answer in a shared cache. Returns
+ * { status, data, error, isValidating, refetch }:
+ *   status: "idle" (url is null), "loading" (nothing to show yet), "success"
+ *     or "error" (the last attempt failed; data is the last good answer)
+ *   isValidating: a request is in flight, also while showing cached data
+ *   refetch(): fetches again now
+ * Options: staleTime, how long (ms) cached data is fresh enough to skip the
+ * request; retries and retryDelay, the first wait (ms), which doubles every
+ * time; fetcher(url, { signal }), fetchJson by default, which may be a new
+ * function on every render (changing it doesn't fetch again); cache.
+ */
+export default function useFetch(
+  url,
+  {
+    staleTime = 0,
+    retries = 2,
+    retryDelay = 500,
+    fetcher = fetchJson,
+    cache = fetchCache,
+  } = {}
+) {
+  const entry = useSyncExternalStore(
+    useCallback((listener) => cache.subscribe(url, listener), [cache, url]),
+    () => cache.get(url)
+  );
+  const [isValidating, setIsValidating] = useState(false);
+  // refetch() bumps it to run the effect again, past the staleTime check.
+  const [reloads, setReloads] = useState(0);
+  const forceRef = useRef(false);
+  // Read by the effect instead of being one of its dependencies: a fetcher
+  // written inline is new on every render, and would abort and restart the
+  // request every time setIsValidating re-renders.
+  const fetcherRef = useRef(fetcher);
+  fetcherRef.current = fetcher;
+  const logLifecycle = useLifecycleLog("useFetch");
+
+  useEffect(() => {
+    const force = forceRef.current;
+    forceRef.current = false;
+    const cached = cache.get(url);
+    if (
+      url === null ||
+      (!force && cached && Date.now() - cached.updatedAt < staleTime)
+    ) {
+      setIsValidating(false);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const { signal } = controller;
+    const startedAt = Date.now();
+    const fetchUrl = fetcherRef.current;
+
+    async function attempt(number) {
+      try {
+        return await fetchUrl(url, { signal });
+      } catch (error) {
+        if (signal.aborted || number > retries || !isRetryable(error)) {
+          throw error;
+        }
+        const delay = retryDelay * 2 ** (number - 1);
+        logLifecycle(`retry ${number} of ${retries} in ${delay} ms`);
+        await wait(delay, signal);
+        return attempt(number + 1);
+      }
+    }
+
+    logLifecycle(`effect run: fetch ${url}`);
+    setIsValidating(true);
+    attempt(1).then(
+      (data) => {
+        if (!signal.aborted) {
+          cache.set(url, { data }, startedAt);
+          setIsValidating(false);
+        }
+      },
+      (error) => {
+        // An aborted request is a cleanup's doing, not an error to show.
+        if (!signal.aborted) {
+          const current = cache.get(url);
+          cache.set(url, { data: current && current.data, error }, startedAt);
+          setIsValidating(false);
+        }
+      }
+    );
+
+    return () => {
+      logLifecycle(`cleanup: abort ${url}`);
+      controller.abort();
+    };
+  }, [url, reloads, cache, retries, retryDelay, staleTime]);
+
+  const refetch = useCallback(() => {
+    forceRef.current = true;
+    setReloads((count) => count + 1);
+  }, []);
+
+  let status = "loading";
+  if (url === null) {
+    status = "idle";
+  } else if (entry && entry.error) {
+    status = "error";
+  } else if (entry) {
+    status = "success";
+  }
+
+  return {
+    status,
+    data: entry ? entry.data : undefined,
+    error: entry ? entry.error : null,
+    isValidating,
+    refetch,
+  };
+}
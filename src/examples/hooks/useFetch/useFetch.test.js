@@ -0,0 +1,257 @@
+import { act, renderHook, screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { createHandlers } from "../../../mocks/handlers";
+import { createMockApi } from "../../../mocks/mockApi";
+import MockApiInspector from "../../../mocks/MockApiInspector";
+import server from "../../../mocks/server";
+import renderWithProviders from "../../../setupTests";
+import fetchCache, { createFetchCache } from "./fetchCache";
+import useFetch, { fetchJson, HttpError } from "./useFetch";
+import UserDirectory from "./UserDirectory";
+
+// The mock API with short latencies; Ervin still answers last.
+const users = [
+  {
+    id: 1,
+    name: "Leanne",
+    email: "leanne@example.com",
+    company: "R",
+    latency: 10,
+  },
+  {
+    id: 2,
+    name: "Ervin",
+    email: "ervin@example.com",
+    company: "D",
+    latency: 150,
+  },
+  {
+    id: 3,
+    name: "Clementine",
+    email: "c@example.com",
+    company: "J",
+    latency: 20,
+  },
+];
+
+let api;
+let cache;
+
+beforeEach(() => {
+  api = createMockApi({ users });
+  server.use(...createHandlers(api));
+  cache = createFetchCache();
+  fetchCache.clear();
+});
+
+function paths() {
+  return api.getSnapshot().requests.map(({ path }) => path);
+}
+
+const wait = (ms) =>
+  act(
+    () =>
+      new Promise((resolve) => {
+        setTimeout(resolve, ms);
+      })
+  );
+
+test("fetchJson rejects with the server's message for a non-2xx answer", async () => {
+  await expect(fetchJson("/api/users/1")).resolves.toMatchObject({
+    name: "Leanne",
+  });
+  const error = await fetchJson("/api/users/9").catch((e) => e);
+  expect(error).toBeInstanceOf(HttpError);
+  expect(error).toMatchObject({
+    status: 404,
+    message: "No user with the id 9",
+  });
+});
+
+test("goes from loading to success, and stays idle without a url", async () => {
+  const { result, rerender } = renderHook(
+    ({ url }) => useFetch(url, { cache }),
+    {
+      initialProps: { url: null },
+    }
+  );
+  expect(result.current).toMatchObject({ status: "idle", data: undefined });
+
+  rerender({ url: "/api/users/1" });
+  expect(result.current).toMatchObject({
+    status: "loading",
+    isValidating: true,
+  });
+  await waitFor(() => expect(result.current.status).toBe("success"));
+  expect(result.current).toMatchObject({
+    data: { id: 1, name: "Leanne" },
+    error: null,
+    isValidating: false,
+  });
+  expect(paths()).toEqual(["/api/users/1"]);
+});
+
+test("aborts the request when the url changes or the component unmounts", async () => {
+  const fetcher = jest.fn(fetchJson);
+  const { result, rerender, unmount } = renderHook(
+    ({ id }) => useFetch(`/api/users/${id}`, { cache, fetcher }),
+    { initialProps: { id: 2 } }
+  );
+  const signalOf = (call) => fetcher.mock.calls[call][1].signal;
+
+  rerender({ id: 3 });
+  expect(signalOf(0).aborted).toBe(true);
+  expect(signalOf(1).aborted).toBe(false);
+  await waitFor(() => expect(result.current.data.name).toBe("Clementine"));
+
+  rerender({ id: 1 });
+  unmount();
+  expect(signalOf(2).aborted).toBe(true);
+});
+
+test("a late answer for an earlier url never shows", async () => {
+  // Without the abort the slow answer still arrives, after the fast one.
+  const fetcher = (url) => fetchJson(url);
+  const { result, rerender } = renderHook(
+    ({ id }) => useFetch(`/api/users/${id}`, { cache, fetcher }),
+    { initialProps: { id: 2 } }
+  );
+  rerender({ id: 3 });
+  await waitFor(() => expect(result.current.data.name).toBe("Clementine"));
+
+  await wait(200);
+  expect(api.getSnapshot().requests).toContainEqual(
+    expect.objectContaining({ path: "/api/users/2", status: 200 })
+  );
+  expect(result.current.data.name).toBe("Clementine");
+});
+
+test("an inline fetcher doesn't restart the request on every render", async () => {
+  const fetcher = jest.fn(fetchJson);
+  const { result, rerender } = renderHook(() =>
+    useFetch("/api/users/1", { cache, fetcher: (...args) => fetcher(...args) })
+  );
+  await waitFor(() => expect(result.current.status).toBe("success"));
+  rerender();
+  await wait(50);
+  expect(fetcher).toHaveBeenCalledTimes(1);
+  expect(fetcher.mock.calls[0][1].signal.aborted).toBe(false);
+});
+
+test("the cache answers in order of the requests, not of the answers", () => {
+  const listener = jest.fn();
+  cache.subscribe("/a", listener);
+  cache.set("/a", { data: "newer" }, 2);
+  cache.set("/a", { data: "older" }, 1);
+  expect(cache.get("/a").data).toBe("newer");
+  expect(listener).toHaveBeenCalledTimes(1);
+});
+
+test("shows cached data right away while it revalidates", async () => {
+  const first = renderHook(() => useFetch("/api/users/1", { cache }));
+  await waitFor(() => expect(first.result.current.status).toBe("success"));
+  first.unmount();
+
+  const { result } = renderHook(() => useFetch("/api/users/1", { cache }));
+  expect(result.current).toMatchObject({
+    status: "success",
+    data: { name: "Leanne" },
+    isValidating: true,
+  });
+  await waitFor(() => expect(result.current.isValidating).toBe(false));
+  expect(paths()).toEqual(["/api/users/1", "/api/users/1"]);
+});
+
+test("skips the request while the data is fresh, unless refetch asks", async () => {
+  const options = { cache, staleTime: 60000 };
+  const first = renderHook(() => useFetch("/api/users/1", options));
+  await waitFor(() => expect(first.result.current.status).toBe("success"));
+
+  const { result } = renderHook(() => useFetch("/api/users/1", options));
+  expect(result.current.isValidating).toBe(false);
+  expect(paths()).toHaveLength(1);
+
+  act(() => result.current.refetch());
+  expect(result.current.isValidating).toBe(true);
+  await waitFor(() => expect(result.current.isValidating).toBe(false));
+  expect(paths()).toHaveLength(2);
+});
+
+test("retries server errors, waiting twice as long every time", async () => {
+  api.failNextRequests(2);
+  const { effectLog } = renderWithProviders(<UserDirectory />, {
+    strict: false,
+  });
+  expect(
+    await screen.findByText("leanne@example.com", {}, { timeout: 3000 })
+  ).toBeInTheDocument();
+  expect(api.getSnapshot().requests.map(({ status }) => status)).toEqual([
+    503, 503, 200, 200,
+  ]);
+  const retries = effectLog
+    .getSnapshot()
+    .entries.map(({ event }) => event)
+    .filter((event) => event.startsWith("retry"));
+  expect(retries).toEqual([
+    "retry 1 of 2 in 500 ms",
+    "retry 2 of 2 in 1000 ms",
+  ]);
+}, 10000);
+
+test("doesn't retry a 404, and keeps the last good data after an error", async () => {
+  const { result, rerender } = renderHook(
+    ({ url }) => useFetch(url, { cache, retryDelay: 5 }),
+    { initialProps: { url: "/api/users/9" } }
+  );
+  await waitFor(() => expect(result.current.status).toBe("error"));
+  expect(result.current.error).toMatchObject({ status: 404 });
+  expect(paths()).toEqual(["/api/users/9"]);
+
+  rerender({ url: "/api/users/1" });
+  await waitFor(() => expect(result.current.status).toBe("success"));
+  api.setDown(true);
+  act(() => result.current.refetch());
+  await waitFor(() => expect(result.current.status).toBe("error"));
+  expect(result.current.error.message).toBe(
+    "The server is down, try again later"
+  );
+  expect(result.current.data).toMatchObject({ name: "Leanne" });
+  // The first load, then a try and two retries.
+  expect(paths().filter((path) => path === "/api/users/1")).toHaveLength(4);
+});
+
+test("the demo switches users, and the inspector makes the server fail", async () => {
+  renderWithProviders(
+    <>
+      <UserDirectory />
+      <MockApiInspector api={api} />
+    </>
+  );
+  userEvent.click(await screen.findByRole("radio", { name: "Ervin" }));
+  userEvent.click(screen.getByRole("radio", { name: "Clementine" }));
+  expect(await screen.findByText("c@example.com")).toBeInTheDocument();
+  await wait(200);
+  expect(screen.queryByText("ervin@example.com")).not.toBeInTheDocument();
+
+  userEvent.click(screen.getByRole("checkbox", { name: "Show the details" }));
+  expect(screen.queryByText("c@example.com")).not.toBeInTheDocument();
+  userEvent.click(screen.getByRole("checkbox", { name: "Show the details" }));
+  expect(screen.getByText("c@example.com")).toBeInTheDocument();
+  expect(screen.getByRole("status")).toHaveTextContent(
+    "Showing the cached user while refreshing…"
+  );
+
+  userEvent.click(screen.getByRole("checkbox", { name: "Server down" }));
+  userEvent.click(screen.getByRole("button", { name: "Reload" }));
+  expect(
+    await screen.findByRole("alert", {}, { timeout: 3000 })
+  ).toHaveTextContent(
+    "Couldn't load the user: The server is down, try again later"
+  );
+  expect(screen.getByText("c@example.com")).toBeInTheDocument();
+  expect(
+    screen
+      .getAllByRole("listitem")
+      .some((item) => item.textContent.includes("GET /api/users/3 → 503"))
+  ).toBe(true);
+}, 10000);
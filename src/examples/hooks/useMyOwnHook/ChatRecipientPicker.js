@@ -0,0 +1,53 @@
+import { useState } from "react";
+import PropTypes from "prop-types";
+import useFriendStatus from "./useFriendStatus";
+import { defaultFriends } from "../../../chat/ChatAPI";
+
+// The chat message recipient picker from MyOwnHook.js, running for real. The
+// recipientID state is passed to useFriendStatus, so picking a different
+// friend unsubscribes from the previous one and subscribes to the new one
+// (watch the ChatAPI inspector next to the demo).
+
+function Circle({ color }) {
+  return (
+    <span
+      className="circle"
+      role="img"
+      aria-label={color === "green" ? "Online" : "Offline"}
+      style={{
+        display: "inline-block",
+        width: "0.75em",
+        height: "0.75em",
+        marginRight: "0.5em",
+        borderRadius: "50%",
+        backgroundColor: color,
+      }}
+    />
+  );
+}
+
+Circle.propTypes = {
+  color: PropTypes.string.isRequired,
+};
+
+export default function ChatRecipientPicker() {
+  const [recipientID, setRecipientID] = useState(defaultFriends[0].id);
+  const isRecipientOnline = useFriendStatus(recipientID);
+
+  return (
+    <>
+      <Circle color={isRecipientOnline ? "green" : "red"} />
+      <select
+        aria-label="Recipient"
+        value={recipientID}
+        onChange={(e) => setRecipientID(Number(e.target.value))}
+      >
+        {defaultFriends.map((friend) => (
+          <option key={friend.id} value={friend.id}>
+            {friend.name}
+          </option>
+        ))}
+      </select>
+    </>
+  );
+}
@@ -0,0 +1,87 @@
+import { act, render, renderHook, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import ChatAPI from "../../../chat/ChatAPI";
+import ChatRecipientPicker from "./ChatRecipientPicker";
+import useFriendStatus from "./useFriendStatus";
+
+let subscribe;
+let unsubscribe;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  ChatAPI.reset();
+  subscribe = jest.spyOn(ChatAPI, "subscribeToFriendStatus");
+  unsubscribe = jest.spyOn(ChatAPI, "unsubscribeFromFriendStatus");
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+function activeFriendIds() {
+  return ChatAPI.getSnapshot().subscriptions.map(({ friendId }) => friendId);
+}
+
+test("useFriendStatus returns null until ChatAPI reports the status", () => {
+  const { result } = renderHook(() => useFriendStatus(2));
+  expect(result.current).toBeNull();
+
+  act(() => {
+    jest.runOnlyPendingTimers();
+  });
+  expect(result.current).toBe(false);
+
+  act(() => {
+    ChatAPI.setFriendStatus(2, true);
+  });
+  expect(result.current).toBe(true);
+});
+
+test("subscribes to the initial recipient on mount", () => {
+  render(<ChatRecipientPicker />);
+
+  expect(subscribe).toHaveBeenCalledTimes(1);
+  expect(subscribe).toHaveBeenCalledWith(1, expect.any(Function));
+  expect(activeFriendIds()).toEqual([1]);
+});
+
+test("switching recipientID unsubscribes from the old friend before subscribing to the new one", () => {
+  render(<ChatRecipientPicker />);
+  const [, firstHandler] = subscribe.mock.calls[0];
+  subscribe.mockClear();
+
+  userEvent.selectOptions(screen.getByRole("combobox"), "Ross");
+
+  expect(unsubscribe).toHaveBeenCalledWith(1, firstHandler);
+  expect(subscribe).toHaveBeenCalledWith(3, expect.any(Function));
+  expect(unsubscribe.mock.invocationCallOrder[0]).toBeLessThan(
+    subscribe.mock.invocationCallOrder[0]
+  );
+  expect(activeFriendIds()).toEqual([3]);
+  expect(ChatAPI.getSnapshot().subscriptions[0].leaked).toBe(false);
+});
+
+test("the circle follows the selected recipient's status", () => {
+  render(<ChatRecipientPicker />);
+  act(() => {
+    jest.runOnlyPendingTimers();
+  });
+  expect(screen.getByRole("img")).toHaveAccessibleName("Online");
+
+  userEvent.selectOptions(screen.getByRole("combobox"), "Rachel");
+  act(() => {
+    jest.runOnlyPendingTimers();
+  });
+  expect(screen.getByRole("img")).toHaveAccessibleName("Offline");
+});
+
+test("unsubscribes from the current recipient on unmount", () => {
+  const { unmount } = render(<ChatRecipientPicker />);
+  userEvent.selectOptions(screen.getByRole("combobox"), "Rachel");
+
+  unmount();
+
+  expect(unsubscribe).toHaveBeenLastCalledWith(2, expect.any(Function));
+  expect(activeFriendIds()).toEqual([]);
+});
@@ -0,0 +1,28 @@
+import PropTypes from "prop-types";
+import useFriendStatus from "./useFriendStatus";
+import { defaultFriends } from "../../../chat/ChatAPI";
+
+// The other useFriendStatus user from the custom Hooks docs. Every item calls
+// the Hook on its own, so each one holds its own, fully isolated subscription.
+export default function FriendListItem({ friend }) {
+  const isOnline = useFriendStatus(friend.id);
+
+  return <li style={{ color: isOnline ? "green" : "black" }}>{friend.name}</li>;
+}
+
+FriendListItem.propTypes = {
+  friend: PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    name: PropTypes.string.isRequired,
+  }).isRequired,
+};
+
+export function FriendList() {
+  return (
+    <ul>
+      {defaultFriends.map((friend) => (
+        <FriendListItem key={friend.id} friend={friend} />
+      ))}
+    </ul>
+  );
+}
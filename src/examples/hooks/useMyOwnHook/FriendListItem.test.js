@@ -0,0 +1,31 @@
+import { act, screen } from "@testing-library/react";
+import ChatAPI from "../../../chat/ChatAPI";
+import renderWithProviders from "../../../setupTests";
+import { FriendList } from "./FriendListItem";
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  ChatAPI.reset();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test("colors every friend by their status", () => {
+  renderWithProviders(<FriendList />);
+  const color = (name) => screen.getByText(name).style.color;
+  expect(color("Phoebe")).toBe("black");
+
+  act(() => {
+    jest.runOnlyPendingTimers();
+  });
+  expect(color("Phoebe")).toBe("green");
+  expect(color("Rachel")).toBe("black");
+  expect(color("Ross")).toBe("green");
+
+  act(() => {
+    ChatAPI.setFriendStatus(2, true);
+  });
+  expect(color("Rachel")).toBe("green");
+});
@@ -1,4 +1,9 @@
-import React, { useState, useEffect } from "react";
+import React, { useEffect } from "react";
+import PropTypes from "prop-types";
+import { useI18n } from "../../../i18n/I18n";
+import usePersistentState from "../../../persistence/usePersistentState";
+import { useLifecycleLog } from "../../../lifecycle/LifecycleLogContext";
+import { useSetDocumentTitle } from "../../../title/DocumentTitle";
 
 /* - Building Your Own Hooks - https://reactjs.org/docs/hooks-custom.html
 Building your own Hooks lets you extract component logic into reusable functions.
@@ -15,11 +20,25 @@ A custom Hook is a JavaScript function whose name starts with ”use” and that
 call other Hooks. For example:
 */
 
-function useMyOwnHook() {
-  const [count, setCount] = useState(0);
+export function useMyOwnHook(key, { initialCount = 0, titlePrefix = "" } = {}) {
+  // useState(initialCount) that also keeps count in the URL under key, see
+  // StateHook.js
+  const [count, setCount] = usePersistentState(key, initialCount, {
+    storage: "query",
+    validate: Number.isInteger,
+  });
+  // Every example shares document.title, so it is set through src/title, and
+  // the effect log next to the demo shows when the effect runs
+  const setDocumentTitle = useSetDocumentTitle();
+  const logLifecycle = useLifecycleLog(`useMyOwnHook("${key}")`);
+  // The playground's text is translated, see StateHook.js
+  const { t } = useI18n();
 
   useEffect(() => {
-    document.title = `You clicked ${count} times (MyOwnHook)`;
+    logLifecycle("effect run");
+    setDocumentTitle(
+      `${titlePrefix}${t("counter.clicked", { count })} (MyOwnHook)`
+    );
   });
 
   return [count, setCount];
@@ -38,19 +57,35 @@ use so that you can tell at a glance that the rules of Hooks apply to it.
 
 Now that we’ve extracted this logic to a useMyOwnHook, we can just use it:
 */
-export default function MyOwnHook() {
-  const [count, setCount] = useMyOwnHook();
+export default function MyOwnHook({ initialCount, titlePrefix }) {
+  const [count, setCount] = useMyOwnHook("my-own-hook-count", {
+    initialCount,
+    titlePrefix,
+  });
+  const { t } = useI18n();
 
   return (
     <div>
-      <p>You clicked {count} times (MyOwnHook)</p>
+      <p>{t("counter.clicked", { count })} (MyOwnHook)</p>
       <button onClick={() => setCount(count + 1)} type="button">
-        Click me
+        {t("counter.clickMe")}
       </button>
     </div>
   );
 }
 
+MyOwnHook.propTypes = {
+  // Where the count starts when the URL doesn't have one yet.
+  initialCount: PropTypes.number,
+  // Put in front of the title, e.g. "Acme | ".
+  titlePrefix: PropTypes.string,
+};
+
+MyOwnHook.defaultProps = {
+  initialCount: 0,
+  titlePrefix: "",
+};
+
 /* Is this code equivalent to the original example? Yes, it works in exactly the
 same way. If you look closely, you’ll notice we didn’t make any changes to the
 behavior. All we did was to extract some code into a separate function. Custom
@@ -65,21 +100,30 @@ calls to Hooks inside of it.
 Do two components using the same Hook share state? No. Custom Hooks are a mechanism
 to reuse stateful logic (such as setting up a subscription and remembering the
 current value), but every time you use a custom Hook, all state and effects
-inside of it are fully isolated. */
+inside of it are fully isolated. (Here each component also passes its own
+URL key, so the two counters stay apart after a reload too.) */
 
-export function MyOwnHook2() {
-  const [count, setCount] = useMyOwnHook();
+export function MyOwnHook2({ initialCount, titlePrefix }) {
+  const [count, setCount] = useMyOwnHook("my-own-hook-2-count", {
+    initialCount,
+    titlePrefix,
+  });
+  const { t } = useI18n();
 
   return (
     <div>
-      <p>You clicked {count} times (MyOwnHook 2)</p>
+      <p>{t("counter.clicked", { count })} (MyOwnHook 2)</p>
       <button onClick={() => setCount(count + 1)} type="button">
-        Click me
+        {t("counter.clickMe")}
       </button>
     </div>
   );
 }
 
+MyOwnHook2.propTypes = MyOwnHook.propTypes;
+
+MyOwnHook2.defaultProps = MyOwnHook.defaultProps;
+
 /* How does a custom Hook get isolated state? Each call to a Hook gets isolated state.
 Because we call it directly, from React’s point of view our component just calls
 useState and useEffect. And as we learned earlier, we can call useState and useEffect
@@ -133,6 +177,10 @@ different friend and update the recipientID state variable, our useFriendStatus
 Hook will unsubscribe from the previously selected friend, and subscribe to the
 status of the newly selected one.
 
+Both run for real next to this file: useFriendStatus.js holds the Hook (built on
+the mock ChatAPI from src/chat), ChatRecipientPicker.js the picker above and
+FriendListItem.js a friend list where every item calls the Hook on its own.
+
 - useYourImagination()
 Custom Hooks offer the flexibility of sharing logic that wasn’t possible in React
 components before. You can write custom Hooks that cover a wide range of use cases
@@ -194,6 +242,10 @@ Now we could use it in our component, and let the reducer drive its state manage
     // ...
   }
 
+This Hook lives in useReducer.js next to this file, and Todos.js turns the
+component above into a full Todos app on top of todosReducer.js that can switch
+between it and React's own useReducer.
+
 The need to manage local state with a reducer in a complex component is common
 enough that we’ve built the useReducer Hook right into React. You’ll find it
 together with other built-in Hooks in the Hooks API reference (https://reactjs.org/docs/hooks-reference.html).
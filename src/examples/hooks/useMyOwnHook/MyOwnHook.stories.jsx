@@ -0,0 +1,54 @@
+import { within, userEvent, waitFor } from "@storybook/testing-library";
+
+import MyOwnHook, { MyOwnHook2 } from "./MyOwnHook";
+import { assertTitle, withFreshExample } from "../storySupport";
+
+export default {
+  title: "Hooks/MyOwnHook",
+  component: MyOwnHook,
+  subcomponents: { MyOwnHook2 },
+  decorators: [withFreshExample("my-own-hook-count", "my-own-hook-2-count")],
+  argTypes: {
+    initialCount: { control: { type: "number", step: 1 } },
+  },
+};
+
+export const Default = (args) => <MyOwnHook {...args} />;
+
+export const Second = (args) => <MyOwnHook2 {...args} />;
+Second.storyName = "MyOwnHook2";
+
+export const Clicking = Default.bind({});
+Clicking.args = {
+  initialCount: 5,
+  titlePrefix: "Acme | ",
+};
+Clicking.play = async ({ canvasElement }) => {
+  const canvas = within(canvasElement);
+  await canvas.findByText("You clicked 5 times (MyOwnHook)");
+  await userEvent.click(canvas.getByRole("button", { name: "Click me" }));
+  await canvas.findByText("You clicked 6 times (MyOwnHook)");
+  await waitFor(() => assertTitle("Acme | You clicked 6 times (MyOwnHook)"));
+};
+
+// Both components call useMyOwnHook, and each call gets its own state.
+export const IsolatedState = (args) => (
+  <>
+    <MyOwnHook {...args} />
+    <MyOwnHook2 {...args} />
+  </>
+);
+IsolatedState.args = {
+  titlePrefix: "Acme | ",
+};
+IsolatedState.play = async ({ canvasElement }) => {
+  const canvas = within(canvasElement);
+  const [first, second] = canvas.getAllByRole("button", { name: "Click me" });
+  await userEvent.click(first);
+  await userEvent.click(first);
+  await userEvent.click(second);
+  await canvas.findByText("You clicked 2 times (MyOwnHook)");
+  await canvas.findByText("You clicked 1 time (MyOwnHook 2)");
+  // Both set the title; the one that mounted last shows.
+  await waitFor(() => assertTitle("Acme | You clicked 1 time (MyOwnHook)"));
+};
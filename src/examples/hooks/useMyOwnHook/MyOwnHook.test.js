@@ -0,0 +1,89 @@
+import { act, renderHook, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import renderWithProviders from "../../../setupTests";
+import { DocumentTitleProvider } from "../../../title/DocumentTitle";
+import MyOwnHook, { MyOwnHook2, useMyOwnHook } from "./MyOwnHook";
+
+beforeEach(() => {
+  document.title = "Playground";
+});
+
+test("MyOwnHook and MyOwnHook2 keep isolated state", () => {
+  renderWithProviders(
+    <>
+      <MyOwnHook />
+      <MyOwnHook2 />
+    </>
+  );
+  const [first, second] = screen.getAllByRole("button", { name: "Click me" });
+
+  userEvent.click(first);
+  userEvent.click(first);
+  userEvent.click(second);
+  expect(
+    screen.getByText("You clicked 2 times (MyOwnHook)")
+  ).toBeInTheDocument();
+  expect(
+    screen.getByText("You clicked 1 time (MyOwnHook 2)")
+  ).toBeInTheDocument();
+  expect(
+    new URLSearchParams(window.location.search).get("my-own-hook-count")
+  ).toBe("1:2");
+});
+
+test("the title follows the counter that mounted last", () => {
+  const { unmount } = renderWithProviders(
+    <>
+      <MyOwnHook titlePrefix="One | " />
+      <MyOwnHook2 titlePrefix="Two | " />
+    </>
+  );
+  expect(document.title).toBe("Two | You clicked 0 times (MyOwnHook)");
+
+  userEvent.click(screen.getAllByRole("button", { name: "Click me" })[0]);
+  expect(document.title).toBe("Two | You clicked 0 times (MyOwnHook)");
+  userEvent.click(screen.getAllByRole("button", { name: "Click me" })[1]);
+  expect(document.title).toBe("Two | You clicked 1 time (MyOwnHook)");
+
+  unmount();
+  expect(document.title).toBe("Playground");
+});
+
+describe("useMyOwnHook", () => {
+  test("counts from initialCount and sets the title after every render", () => {
+    const { result } = renderHook(
+      () => useMyOwnHook("hook-count", { initialCount: 3, titlePrefix: "> " }),
+      { wrapper: DocumentTitleProvider }
+    );
+    expect(result.current[0]).toBe(3);
+    expect(document.title).toBe("> You clicked 3 times (MyOwnHook)");
+
+    act(() => result.current[1](result.current[0] + 1));
+    expect(result.current[0]).toBe(4);
+    expect(document.title).toBe("> You clicked 4 times (MyOwnHook)");
+  });
+
+  test("each call has its own state, shared only through the same key", () => {
+    const { result } = renderHook(() => ({
+      first: useMyOwnHook("first"),
+      second: useMyOwnHook("second"),
+      sameKey: useMyOwnHook("first"),
+    }));
+
+    act(() => result.current.first[1](7));
+    expect(result.current.first[0]).toBe(7);
+    expect(result.current.second[0]).toBe(0);
+    // Two calls with one key read the same URL parameter.
+    expect(result.current.sameKey[0]).toBe(7);
+  });
+
+  test("restores the count from the URL and ignores invalid ones", () => {
+    window.history.replaceState(null, "", "/?kept=1:4&broken=1:1.5");
+    const { result } = renderHook(() => [
+      useMyOwnHook("kept"),
+      useMyOwnHook("broken", { initialCount: 2 }),
+    ]);
+    expect(result.current[0][0]).toBe(4);
+    expect(result.current[1][0]).toBe(2);
+  });
+});
@@ -0,0 +1,141 @@
+import {
+  useEffect,
+  useReducer as useReactReducer,
+  useRef,
+  useState,
+} from "react";
+import PropTypes from "prop-types";
+import useHomemadeReducer from "./useReducer";
+import todosReducer, { filterTodos, filters } from "./todosReducer";
+
+// The Todos component from MyOwnHook.js, grown into a small app on top of
+// todosReducer. It runs on either the homemade useReducer or React's built-in
+// one; both take the same reducer and return the same [state, dispatch] pair.
+
+const implementations = {
+  homemade: { label: "Homemade useReducer", hook: useHomemadeReducer },
+  react: { label: "React.useReducer", hook: useReactReducer },
+};
+
+function Todos({ useReducer, initialTodos, onChange }) {
+  const [todos, dispatch] = useReducer(todosReducer, initialTodos);
+  const [filter, setFilter] = useState("all");
+  const [text, setText] = useState("");
+
+  useEffect(() => {
+    onChange(todos);
+  });
+
+  function handleAddClick(e) {
+    e.preventDefault();
+    if (text.trim() === "") {
+      return;
+    }
+    dispatch({ type: "add", text: text.trim() });
+    setText("");
+  }
+
+  const remaining = filterTodos(todos, "active").length;
+
+  return (
+    <div>
+      <form onSubmit={handleAddClick}>
+        <input
+          aria-label="New todo"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder="What needs to be done?"
+        />{" "}
+        <button type="submit">Add</button>
+      </form>
+      <ul aria-label="Todos">
+        {filterTodos(todos, filter).map((todo) => (
+          <li key={todo.id}>
+            <label htmlFor={`todo-${todo.id}`}>
+              <input
+                id={`todo-${todo.id}`}
+                type="checkbox"
+                checked={todo.completed}
+                onChange={() => dispatch({ type: "toggle", id: todo.id })}
+              />{" "}
+              {todo.completed ? <s>{todo.text}</s> : todo.text}
+            </label>{" "}
+            <button
+              type="button"
+              aria-label={`Delete ${todo.text}`}
+              onClick={() => dispatch({ type: "delete", id: todo.id })}
+            >
+              ×
+            </button>
+          </li>
+        ))}
+      </ul>
+      <p>
+        {remaining} {remaining === 1 ? "item" : "items"} left{" "}
+        {Object.keys(filters).map((name) => (
+          <button
+            key={name}
+            type="button"
+            aria-pressed={filter === name}
+            onClick={() => setFilter(name)}
+          >
+            {name}
+          </button>
+        ))}{" "}
+        <button
+          type="button"
+          onClick={() => dispatch({ type: "clearCompleted" })}
+        >
+          Clear completed
+        </button>
+      </p>
+    </div>
+  );
+}
+
+Todos.propTypes = {
+  useReducer: PropTypes.func.isRequired,
+  initialTodos: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.number.isRequired,
+      text: PropTypes.string.isRequired,
+      completed: PropTypes.bool.isRequired,
+    })
+  ).isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+export default function TodosDemo() {
+  const [implementation, setImplementation] = useState("homemade");
+  const todos = useRef([]);
+
+  return (
+    <div>
+      <fieldset>
+        <legend>Reducer Hook</legend>
+        {Object.entries(implementations).map(([id, { label }]) => (
+          <label key={id} htmlFor={`todos-${id}`}>
+            <input
+              id={`todos-${id}`}
+              type="radio"
+              name="todos-implementation"
+              checked={implementation === id}
+              onChange={() => setImplementation(id)}
+            />{" "}
+            {label}
+          </label>
+        ))}
+      </fieldset>
+      {/* A Hook can't be swapped between renders, so switching remounts
+      Todos with the other Hook and the todos entered so far. */}
+      <Todos
+        key={implementation}
+        useReducer={implementations[implementation].hook}
+        initialTodos={todos.current}
+        onChange={(next) => {
+          todos.current = next;
+        }}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,64 @@
+import { render, screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { expectNoA11yViolations, expectTabOrder } from "../../../setupTests";
+import TodosDemo from "./Todos";
+
+function addTodo(text) {
+  userEvent.type(screen.getByLabelText("New todo"), `${text}{enter}`);
+}
+
+function visibleTodos() {
+  return within(screen.getByRole("list", { name: "Todos" }))
+    .queryAllByRole("listitem")
+    .map((item) => item.textContent.replace(" ×", "").trim());
+}
+
+test("adds, toggles, filters and deletes todos", () => {
+  render(<TodosDemo />);
+  addTodo("Learn Hooks");
+  addTodo("Write a reducer");
+  userEvent.click(screen.getByLabelText("Learn Hooks"));
+
+  expect(screen.getByText(/1 item left/)).toBeInTheDocument();
+
+  userEvent.click(screen.getByRole("button", { name: "active" }));
+  expect(visibleTodos()).toEqual(["Write a reducer"]);
+  userEvent.click(screen.getByRole("button", { name: "completed" }));
+  expect(visibleTodos()).toEqual(["Learn Hooks"]);
+
+  userEvent.click(screen.getByRole("button", { name: "all" }));
+  userEvent.click(
+    screen.getByRole("button", { name: "Delete Write a reducer" })
+  );
+  expect(visibleTodos()).toEqual(["Learn Hooks"]);
+});
+
+test("keeps the todos when switching to React's useReducer", () => {
+  render(<TodosDemo />);
+  addTodo("Learn Hooks");
+
+  userEvent.click(screen.getByLabelText("React.useReducer"));
+  expect(visibleTodos()).toEqual(["Learn Hooks"]);
+
+  addTodo("Compare both Hooks");
+  expect(visibleTodos()).toEqual(["Learn Hooks", "Compare both Hooks"]);
+});
+
+test("passes an accessibility audit and tabs through the controls in order", async () => {
+  const { container } = render(<TodosDemo />);
+  addTodo("Learn Hooks");
+  await expectNoA11yViolations(container);
+
+  // Only the checked radio of a group is a tab stop.
+  expectTabOrder([
+    screen.getByRole("radio", { name: "Homemade useReducer" }),
+    screen.getByRole("textbox", { name: "New todo" }),
+    screen.getByRole("button", { name: "Add" }),
+    screen.getByRole("checkbox", { name: "Learn Hooks" }),
+    screen.getByRole("button", { name: "Delete Learn Hooks" }),
+    screen.getByRole("button", { name: "all" }),
+    screen.getByRole("button", { name: "active" }),
+    screen.getByRole("button", { name: "completed" }),
+    screen.getByRole("button", { name: "Clear completed" }),
+  ]);
+});
@@ -0,0 +1,41 @@
+// The todosReducer from MyOwnHook.js, completed with the “other actions” a
+// Todos app needs. State is the array of todos; every todo gets an id so it
+// can be toggled or deleted. Reducers stay pure, so the id is derived from
+// the current state.
+//   { type: "add", text }
+//   { type: "toggle", id }
+//   { type: "delete", id }
+//   { type: "clearCompleted" }
+export default function todosReducer(state, action) {
+  switch (action.type) {
+    case "add":
+      return [
+        ...state,
+        {
+          id: state.reduce((max, todo) => Math.max(max, todo.id), 0) + 1,
+          text: action.text,
+          completed: false,
+        },
+      ];
+    case "toggle":
+      return state.map((todo) =>
+        todo.id === action.id ? { ...todo, completed: !todo.completed } : todo
+      );
+    case "delete":
+      return state.filter((todo) => todo.id !== action.id);
+    case "clearCompleted":
+      return state.filter((todo) => !todo.completed);
+    default:
+      return state;
+  }
+}
+
+export const filters = {
+  all: () => true,
+  active: (todo) => !todo.completed,
+  completed: (todo) => todo.completed,
+};
+
+export function filterTodos(todos, filter) {
+  return todos.filter(filters[filter]);
+}
@@ -0,0 +1,74 @@
+import { useReducer as useReactReducer } from "react";
+import { act, renderHook } from "@testing-library/react";
+import useHomemadeReducer from "./useReducer";
+import todosReducer, { filterTodos } from "./todosReducer";
+
+const todos = [
+  { id: 1, text: "Learn Hooks", completed: true },
+  { id: 3, text: "Write a custom Hook", completed: false },
+];
+
+describe("todosReducer", () => {
+  test("adds a todo with the next id", () => {
+    expect(todosReducer(todos, { type: "add", text: "Ship it" })).toEqual([
+      ...todos,
+      { id: 4, text: "Ship it", completed: false },
+    ]);
+    expect(todosReducer([], { type: "add", text: "First" })[0].id).toBe(1);
+  });
+
+  test("toggles, deletes and clears completed todos without mutating", () => {
+    const frozen = Object.freeze(todos.map((todo) => Object.freeze(todo)));
+
+    expect(todosReducer(frozen, { type: "toggle", id: 3 })[1].completed).toBe(
+      true
+    );
+    expect(todosReducer(frozen, { type: "delete", id: 1 })).toEqual([todos[1]]);
+    expect(todosReducer(frozen, { type: "clearCompleted" })).toEqual([
+      todos[1],
+    ]);
+  });
+
+  test("returns the same state for unknown actions", () => {
+    expect(todosReducer(todos, { type: "unknown" })).toBe(todos);
+  });
+
+  test("filters todos", () => {
+    expect(filterTodos(todos, "all")).toEqual(todos);
+    expect(filterTodos(todos, "active")).toEqual([todos[1]]);
+    expect(filterTodos(todos, "completed")).toEqual([todos[0]]);
+  });
+});
+
+// The same behaviour is expected from both Hooks driving the reducer.
+describe.each([
+  ["homemade useReducer", useHomemadeReducer],
+  ["React.useReducer", useReactReducer],
+])("todosReducer with %s", (name, useReducer) => {
+  test("starts from the initial state", () => {
+    const { result } = renderHook(() => useReducer(todosReducer, todos));
+    expect(result.current[0]).toBe(todos);
+  });
+
+  test("applies dispatched actions", () => {
+    const { result } = renderHook(() => useReducer(todosReducer, []));
+
+    act(() => result.current[1]({ type: "add", text: "Learn Hooks" }));
+    act(() => result.current[1]({ type: "toggle", id: 1 }));
+
+    expect(result.current[0]).toEqual([
+      { id: 1, text: "Learn Hooks", completed: true },
+    ]);
+  });
+
+  test("applies every action dispatched from the same event", () => {
+    const { result } = renderHook(() => useReducer(todosReducer, []));
+
+    act(() => {
+      result.current[1]({ type: "add", text: "One" });
+      result.current[1]({ type: "add", text: "Two" });
+    });
+
+    expect(result.current[0].map(({ text }) => text)).toEqual(["One", "Two"]);
+  });
+});
@@ -0,0 +1,26 @@
+import { useState, useEffect } from "react";
+import ChatAPI from "../../../chat/ChatAPI";
+import { useLifecycleLog } from "../../../lifecycle/LifecycleLogContext";
+
+// The custom Hook from “Building Your Own Hooks”: the FriendStatus effect from
+// the Effect Hook example, extracted so any component can ask whether a friend
+// is online. It returns null until ChatAPI reports the first status.
+export default function useFriendStatus(friendID) {
+  const [isOnline, setIsOnline] = useState(null);
+  const logLifecycle = useLifecycleLog("useFriendStatus");
+
+  useEffect(() => {
+    function handleStatusChange(status) {
+      setIsOnline(status.isOnline);
+    }
+
+    logLifecycle(`effect run: subscribe to ${friendID}`);
+    ChatAPI.subscribeToFriendStatus(friendID, handleStatusChange);
+    return () => {
+      logLifecycle(`cleanup: unsubscribe from ${friendID}`);
+      ChatAPI.unsubscribeFromFriendStatus(friendID, handleStatusChange);
+    };
+  });
+
+  return isOnline;
+}
@@ -0,0 +1,16 @@
+import { useState } from "react";
+
+// The homemade useReducer sketched at the end of MyOwnHook.js: a reducer-driven
+// state built on nothing but useState. One change from the sketch: dispatch
+// hands the reducer to setState as an updater, so two dispatches from the
+// same event both see the latest state instead of the one from the last
+// render. React's built-in useReducer behaves the same way.
+export default function useReducer(reducer, initialState) {
+  const [state, setState] = useState(initialState);
+
+  function dispatch(action) {
+    setState((currentState) => reducer(currentState, action));
+  }
+
+  return [state, dispatch];
+}
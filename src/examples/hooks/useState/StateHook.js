@@ -1,4 +1,7 @@
-import React, { useState } from "react";
+import React from "react";
+import PropTypes from "prop-types";
+import { useI18n, withI18n } from "../../../i18n/I18n";
+import usePersistentState from "../../../persistence/usePersistentState";
 
 // https://reactjs.org/docs/hooks-state.html
 // Hooks are a new addition in React 16.8. They let you use state and other
@@ -7,7 +10,7 @@ import React, { useState } from "react";
 // we prefer the name “function components”.
 // Hooks don’t work inside classes. But you can use them instead of writing classes.
 
-export default function StateHook() {
+export default function StateHook({ initialCount }) {
   // In a function component, we have no 'this', so we can’t assign or read
   // this.state. Instead, we call the useState Hook directly inside our component,
   // useState declares a “state variable”.
@@ -27,14 +30,25 @@ export default function StateHook() {
   // remember its current value between re-renders, and provide the most recent
   // one to our function. If we want to update the current count, we can call
   // setCount.
-  const [count, setCount] = useState(0);
+  // Not part of the example: the playground keeps count in the URL
+  // (?state-count=1:3) so a demo can be bookmarked or shared. Apart from the
+  // key and options, usePersistentState works exactly like useState(0); here
+  // it starts from the initialCount prop, which is 0 unless a story sets it.
+  const [count, setCount] = usePersistentState("state-count", initialCount, {
+    storage: "query",
+    validate: Number.isInteger,
+  });
+  // Also not part of the example: the playground's text is translated, so
+  // "You clicked {count} times" and "Click me" come from src/i18n's
+  // catalogs, which also get "1 time" right.
+  const { t } = useI18n();
 
   return (
     <div>
       {/* When we want to display the current count in a class, we read
       this.state.count: <p>You clicked {this.state.count} times</p>
       In a function, we can use count directly: */}
-      <p>You clicked {count} times</p>
+      <p>{t("counter.clicked", { count })}</p>
 
       {/* In a class, we need to call this.setState() to update the count state:
       <button onClick={() => this.setState({ count: this.state.count + 1 })}>
@@ -43,12 +57,55 @@ export default function StateHook() {
       In a function, we already have setCount and count as variables so we don’t
       need this: */}
       <button onClick={() => setCount(count + 1)} type="button">
-        Click me
+        {t("counter.clickMe")}
       </button>
     </div>
   );
 }
 
+StateHook.propTypes = {
+  // Where the count starts when the URL doesn't have one yet.
+  initialCount: PropTypes.number,
+};
+
+StateHook.defaultProps = {
+  initialCount: 0,
+};
+
+// The same counter written as a class, reading this.state.count and calling
+// this.setState() where the function above uses count and setCount:
+/* eslint-disable react/destructuring-assignment, react/no-access-state-in-setstate */
+class Example extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      count: 0,
+    };
+  }
+
+  render() {
+    return (
+      <div>
+        <p>{this.props.t("counter.clicked", { count: this.state.count })}</p>
+        <button
+          onClick={() => this.setState({ count: this.state.count + 1 })}
+          type="button"
+        >
+          {this.props.t("counter.clickMe")}
+        </button>
+      </div>
+    );
+  }
+}
+/* eslint-enable react/destructuring-assignment, react/no-access-state-in-setstate */
+
+Example.propTypes = {
+  t: PropTypes.func.isRequired,
+};
+
+// The translated text comes in as the t prop.
+export const StateClass = withI18n(Example);
+
 //  Note: You might be wondering: why is useState not named createState instead?
 // “Create” wouldn’t be quite accurate because the state is only created the
 // first time our component renders. During the next renders, useState gives us
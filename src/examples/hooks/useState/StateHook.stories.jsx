@@ -0,0 +1,36 @@
+import { within, userEvent } from "@storybook/testing-library";
+
+import StateHook from "./StateHook";
+import { withFreshExample } from "../storySupport";
+
+export default {
+  title: "Hooks/StateHook",
+  component: StateHook,
+  decorators: [withFreshExample("state-count")],
+  argTypes: {
+    initialCount: { control: { type: "number", step: 1 } },
+  },
+};
+
+const Template = (args) => <StateHook {...args} />;
+
+export const Default = Template.bind({});
+
+export const StartingAtTen = Template.bind({});
+StartingAtTen.args = {
+  initialCount: 10,
+};
+
+export const Clicking = Template.bind({});
+Clicking.args = {
+  initialCount: 2,
+};
+Clicking.play = async ({ canvasElement }) => {
+  const canvas = within(canvasElement);
+  await canvas.findByText("You clicked 2 times");
+  const button = canvas.getByRole("button", { name: "Click me" });
+  await userEvent.click(button);
+  await userEvent.click(button);
+  await userEvent.click(button);
+  await canvas.findByText("You clicked 5 times");
+};
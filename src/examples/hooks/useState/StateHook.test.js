@@ -0,0 +1,32 @@
+import { screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import renderWithProviders from "../../../setupTests";
+import StateHook, { StateClass } from "./StateHook";
+
+test("StateHook counts clicks and keeps the count in the URL", () => {
+  renderWithProviders(<StateHook />);
+  expect(screen.getByText("You clicked 0 times")).toBeInTheDocument();
+
+  userEvent.click(screen.getByRole("button", { name: "Click me" }));
+  userEvent.click(screen.getByRole("button", { name: "Click me" }));
+  expect(screen.getByText("You clicked 2 times")).toBeInTheDocument();
+  expect(window.location.search).toBe("?state-count=1%3A2");
+});
+
+test("StateHook starts from initialCount unless the URL has a count", () => {
+  const { unmount } = renderWithProviders(<StateHook initialCount={5} />);
+  expect(screen.getByText("You clicked 5 times")).toBeInTheDocument();
+  unmount();
+
+  renderWithProviders(<StateHook initialCount={5} />, {
+    route: "/?state-count=1:8",
+  });
+  expect(screen.getByText("You clicked 8 times")).toBeInTheDocument();
+});
+
+test("StateClass counts clicks in this.state", () => {
+  renderWithProviders(<StateClass />);
+  userEvent.click(screen.getByRole("button", { name: "Click me" }));
+  expect(screen.getByText("You clicked 1 time")).toBeInTheDocument();
+  expect(window.location.search).toBe("");
+});
@@ -0,0 +1,130 @@
+import {
+  createContext,
+  createElement,
+  Fragment,
+  useContext,
+  useEffect,
+  useMemo,
+} from "react";
+import PropTypes from "prop-types";
+import usePersistentState from "../persistence/usePersistentState";
+import locales, {
+  defaultLocale,
+  findLocale,
+  localeDirection,
+  negotiateLocale,
+} from "./locales";
+import { formatMessage } from "./messageFormat";
+
+const I18nContext = createContext(null);
+
+const STORAGE_KEY = "locale";
+
+/**
+ * The translation function for a locale: t(id, values) formats the message
+ * with that id. The result is a string, or a fragment when a value is a
+ * React element, e.g. t("header.welcome", { name: <b>{name}</b> }).
+ */
+export function createTranslator(code) {
+  const { messages } = findLocale(code) || findLocale(defaultLocale);
+  const fallback = findLocale(defaultLocale).messages;
+
+  return function t(id, values) {
+    const message = messages[id] || fallback[id];
+    if (message === undefined) {
+      throw new Error(`No message with the id "${id}"`);
+    }
+    const parts = formatMessage(message, values, code);
+    return parts.every((part) => typeof part === "string")
+      ? parts.join("")
+      : createElement(Fragment, null, ...parts);
+  };
+}
+
+function createI18n(locale, dir, setLocale) {
+  return { locale, dir, locales, setLocale, t: createTranslator(locale) };
+}
+
+// Used outside a provider, e.g. a kit component rendered on its own.
+let defaultI18n = null;
+
+/**
+ * The locale in effect and what goes with it: { locale, dir, locales,
+ * setLocale, t }. Outside an I18nProvider it is English and setLocale does
+ * nothing.
+ */
+export function useI18n() {
+  const i18n = useContext(I18nContext);
+  if (i18n) {
+    return i18n;
+  }
+  if (!defaultI18n) {
+    defaultI18n = createI18n(defaultLocale, "ltr", () => {});
+  }
+  return defaultI18n;
+}
+
+/**
+ * Provides the locale the user picked, kept in localStorage, or the one
+ * closest to the browser's languages until they pick one. The locale prop
+ * fixes it instead (Storybook's toolbar, tests) and dir overrides the
+ * direction that comes with it. Sets lang and dir on the document while
+ * mounted.
+ */
+export function I18nProvider({ locale: fixedLocale, dir: fixedDir, children }) {
+  const [storedLocale, setLocale] = usePersistentState(
+    STORAGE_KEY,
+    negotiateLocale,
+    { storage: "local", validate: (code) => findLocale(code) !== null }
+  );
+  const locale = fixedLocale || storedLocale;
+  const dir = fixedDir || localeDirection(locale);
+
+  useEffect(() => {
+    const root = document.documentElement;
+    const previous = { lang: root.lang, dir: root.dir };
+    root.lang = locale;
+    root.dir = dir;
+    return () => {
+      root.lang = previous.lang;
+      root.dir = previous.dir;
+    };
+  }, [locale, dir]);
+
+  const i18n = useMemo(
+    () => createI18n(locale, dir, setLocale),
+    [locale, dir, setLocale]
+  );
+
+  return <I18nContext.Provider value={i18n}>{children}</I18nContext.Provider>;
+}
+
+I18nProvider.propTypes = {
+  /**
+   * A supported locale's code, used instead of the user's choice
+   */
+  locale: PropTypes.oneOf(locales.map(({ code }) => code)),
+  /**
+   * Writing direction, instead of the locale's own
+   */
+  dir: PropTypes.oneOf(["ltr", "rtl"]),
+  children: PropTypes.node.isRequired,
+};
+
+I18nProvider.defaultProps = {
+  locale: null,
+  dir: null,
+};
+
+/**
+ * Injects the t prop, for class components
+ */
+export function withI18n(Component) {
+  function WithI18n(props) {
+    const { t } = useI18n();
+    // eslint-disable-next-line react/jsx-props-no-spreading
+    return <Component {...props} t={t} />;
+  }
+  WithI18n.displayName = `withI18n(${Component.displayName || Component.name})`;
+  return WithI18n;
+}
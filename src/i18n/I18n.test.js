@@ -0,0 +1,149 @@
+import { render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import renderWithProviders from "../setupTests";
+import StateHook from "../examples/hooks/useState/StateHook";
+import { validateAuthForm } from "../stories/AuthForm";
+import { createTranslator, I18nProvider, useI18n } from "./I18n";
+import LocaleSwitcher from "./LocaleSwitcher";
+import locales, { localeDirection, negotiateLocale } from "./locales";
+import { formatMessage, parseMessage } from "./messageFormat";
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+const format = (...args) => formatMessage(...args).join("");
+
+describe("formatMessage", () => {
+  const clicked = "You clicked {count, plural, one {# time} other {# times}}";
+
+  test("picks the plural branch by the locale's rules", () => {
+    expect(format(clicked, { count: 1 })).toBe("You clicked 1 time");
+    expect(format(clicked, { count: 0 })).toBe("You clicked 0 times");
+    expect(format(clicked, { count: 1234 })).toBe("You clicked 1,234 times");
+    expect(
+      format("{n, plural, one {# vez} other {# veces}}", { n: 1 }, "es")
+    ).toBe("1 vez");
+  });
+
+  test("exact matches, offset, select and nested arguments", () => {
+    const likes =
+      "{count, plural, offset:1 =0 {Nobody} =1 {{name}} one {{name} and # other} other {{name} and # others}}";
+    expect(format(likes, { count: 0, name: "Ana" })).toBe("Nobody");
+    expect(format(likes, { count: 1, name: "Ana" })).toBe("Ana");
+    expect(format(likes, { count: 2, name: "Ana" })).toBe("Ana and 1 other");
+    expect(format(likes, { count: 4, name: "Ana" })).toBe("Ana and 3 others");
+
+    const role = "{role, select, admin {Can edit} other {Can view}}";
+    expect(format(role, { role: "admin" })).toBe("Can edit");
+    expect(format(role, { role: "guest" })).toBe("Can view");
+  });
+
+  test("apostrophes quote braces and #, and stay text otherwise", () => {
+    expect(format("You're in '{braces}'")).toBe("You're in {braces}");
+    expect(format("It''s '#'1 of {n, plural, other {#}}", { n: 2 })).toBe(
+      "It's '#'1 of 2"
+    );
+    expect(format("{n, plural, other {'#' #}}", { n: 2 })).toBe("# 2");
+  });
+
+  test("passes elements through", () => {
+    const name = <b>Jane</b>;
+    expect(formatMessage("Welcome, {name}!", { name })).toEqual([
+      "Welcome, ",
+      name,
+      "!",
+    ]);
+  });
+
+  test("rejects what it can't read", () => {
+    expect(() => parseMessage("Hi {name")).toThrow(SyntaxError);
+    expect(() => parseMessage("Hi }")).toThrow("Unexpected }");
+    expect(() => parseMessage("{n, plural, one {#}}")).toThrow(
+      'A plural needs an "other" branch'
+    );
+    expect(() => parseMessage("{d, date}")).toThrow(
+      'Unsupported argument type "date"'
+    );
+    expect(() => format("Hi {name}")).toThrow("Missing value for {name}");
+  });
+});
+
+test("every catalog has the English messages, and they all parse", () => {
+  const [english, ...others] = locales;
+  const ids = Object.keys(english.messages).sort();
+
+  others.forEach(({ messages }) => {
+    expect(Object.keys(messages).sort()).toEqual(ids);
+  });
+  locales.forEach(({ messages }) => {
+    Object.values(messages).forEach((message) => parseMessage(message));
+  });
+});
+
+test("createTranslator falls back to English and throws on unknown ids", () => {
+  const t = createTranslator("es");
+  expect(t("counter.clicked", { count: 5 })).toBe("Has hecho clic 5 veces");
+  expect(() => t("nope")).toThrow('No message with the id "nope"');
+  expect(
+    validateAuthForm("signup", { name: "", email: "", password: "x" }, t)
+  ).toEqual({
+    name: "Escribe tu nombre",
+    email: "Escribe tu correo electrónico",
+    password: "Usa al menos 8 caracteres",
+  });
+});
+
+test("negotiateLocale and localeDirection", () => {
+  expect(negotiateLocale(["es-MX", "en"])).toBe("es");
+  expect(negotiateLocale(["fr", "en-GB"])).toBe("en");
+  expect(negotiateLocale(["fr"])).toBe("en");
+  expect(localeDirection("ar-EG")).toBe("rtl");
+  expect(localeDirection("es")).toBe("ltr");
+});
+
+function Direction() {
+  const { dir } = useI18n();
+  return <p>{dir}</p>;
+}
+
+test("the switcher translates the examples and remembers the choice", () => {
+  const { unmount } = render(
+    <I18nProvider>
+      <LocaleSwitcher />
+      <StateHook />
+    </I18nProvider>
+  );
+  expect(document.documentElement).toHaveAttribute("lang", "en");
+
+  userEvent.selectOptions(
+    screen.getByRole("combobox", { name: "Language" }),
+    "es"
+  );
+  expect(document.documentElement).toHaveAttribute("lang", "es");
+  userEvent.click(screen.getByRole("button", { name: "Haz clic" }));
+  expect(screen.getByText("Has hecho clic 1 vez")).toBeInTheDocument();
+  unmount();
+  expect(document.documentElement).not.toHaveAttribute("lang", "es");
+
+  render(
+    <I18nProvider>
+      <LocaleSwitcher />
+    </I18nProvider>
+  );
+  expect(screen.getByRole("combobox", { name: "Idioma" })).toHaveValue("es");
+});
+
+test("the locale and dir props fix the language and the direction", () => {
+  renderWithProviders(<Direction />, { locale: "es" });
+  expect(document.documentElement).toHaveAttribute("lang", "es");
+  expect(document.documentElement).toHaveAttribute("dir", "ltr");
+
+  render(
+    <I18nProvider locale="en" dir="rtl">
+      <Direction />
+    </I18nProvider>
+  );
+  expect(document.documentElement).toHaveAttribute("dir", "rtl");
+  expect(screen.getByText("rtl")).toBeInTheDocument();
+});
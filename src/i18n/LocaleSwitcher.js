@@ -0,0 +1,27 @@
+import { useI18n } from "./I18n";
+
+/**
+ * Picks the playground's language; the choice is kept between visits
+ */
+export default function LocaleSwitcher() {
+  const { locale, locales, setLocale, t } = useI18n();
+
+  return (
+    <div className="locale-switcher">
+      <label htmlFor="locale-switcher">
+        {t("locale.label")}{" "}
+        <select
+          id="locale-switcher"
+          value={locale}
+          onChange={(e) => setLocale(e.target.value)}
+        >
+          {locales.map(({ code, name }) => (
+            <option key={code} value={code} lang={code}>
+              {name}
+            </option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+}
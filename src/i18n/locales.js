@@ -0,0 +1,43 @@
+import en from "./messages/en.json";
+import es from "./messages/es.json";
+
+// The languages the playground speaks. Every catalog maps message ids to ICU
+// messages (see messageFormat.js); an id missing from a catalog falls back to
+// the English one. To add a language, add its catalog here.
+//   code: BCP 47 language tag, also stored as the user's choice
+//   name: the language's name in that language, for the switcher
+
+export const defaultLocale = "en";
+
+const locales = [
+  { code: "en", name: "English", messages: en },
+  { code: "es", name: "Español", messages: es },
+];
+
+export default locales;
+
+export function findLocale(code) {
+  return locales.find((locale) => locale.code === code) || null;
+}
+
+/**
+ * The supported locale closest to the user's languages, e.g. "es" for
+ * ["es-MX", "en"]; the default one when none matches
+ */
+export function negotiateLocale(requested = navigator.languages || []) {
+  const match = requested
+    .flatMap((tag) => [tag, tag.split("-")[0]])
+    .find((code) => findLocale(code));
+  return match || defaultLocale;
+}
+
+// Scripts written right to left; no catalog uses one yet, but the layout
+// already follows the direction (see the I18nProvider's dir prop).
+const rtlLanguages = ["ar", "fa", "he", "ur", "yi"];
+
+/**
+ * "rtl" or "ltr", the writing direction of a locale
+ */
+export function localeDirection(code) {
+  return rtlLanguages.includes(code.split("-")[0]) ? "rtl" : "ltr";
+}
@@ -0,0 +1,220 @@
+// A subset of ICU MessageFormat, the syntax of the message catalogs:
+//   {name}                     the value of name
+//   {count, number}            a number, formatted for the locale
+//   {count, plural, =0 {none} one {# item} other {# items}}
+//                              picks a branch by exact value, then by the
+//                              locale's plural category (Intl.PluralRules);
+//                              # is the count, formatted. "offset:1" before
+//                              the branches subtracts 1 from # and the category.
+//   {kind, select, admin {…} other {…}}
+//                              picks the branch named by the value
+// An apostrophe quotes a special character ('{' is a literal brace) and two
+// of them make one; any other apostrophe is plain text, so "You're" is fine.
+//
+// parseMessage turns a message into parts: strings and { type, name, … }
+// objects. formatMessage resolves them for a locale and returns an array,
+// because values can be React elements; join it when they're all text.
+
+function syntaxError(message, index, problem) {
+  return new SyntaxError(`${problem} at ${index} in message "${message}"`);
+}
+
+function parseParts(message, start, { inPlural, nested }) {
+  const parts = [];
+  let text = "";
+  let index = start;
+
+  const flush = () => {
+    if (text) {
+      parts.push(text);
+      text = "";
+    }
+  };
+
+  while (index < message.length) {
+    const char = message[index];
+    if (char === "'") {
+      const next = message[index + 1];
+      if (next === "'") {
+        text += "'";
+        index += 2;
+      } else if (next === "{" || next === "}" || (inPlural && next === "#")) {
+        const end = message.indexOf("'", index + 1);
+        if (end === -1) {
+          text += message.slice(index + 1);
+          index = message.length;
+        } else {
+          text += message.slice(index + 1, end);
+          index = end + 1;
+        }
+      } else {
+        text += char;
+        index += 1;
+      }
+    } else if (char === "{") {
+      flush();
+      const [argument, end] = parseArgument(message, index + 1);
+      parts.push(argument);
+      index = end;
+    } else if (char === "}") {
+      if (!nested) {
+        throw syntaxError(message, index, "Unexpected }");
+      }
+      flush();
+      return [parts, index + 1];
+    } else if (char === "#" && inPlural) {
+      flush();
+      parts.push({ type: "count" });
+      index += 1;
+    } else {
+      text += char;
+      index += 1;
+    }
+  }
+
+  if (nested) {
+    throw syntaxError(message, index, "Missing }");
+  }
+  flush();
+  return [parts, index];
+}
+
+function skipSpace(message, index) {
+  let next = index;
+  while (/\s/.test(message[next] || "")) {
+    next += 1;
+  }
+  return next;
+}
+
+// A run of characters up to a space or one of the given stop characters.
+function readWord(message, index, stops) {
+  let end = index;
+  while (end < message.length && !/\s/.test(message[end])) {
+    if (stops.includes(message[end])) {
+      break;
+    }
+    end += 1;
+  }
+  return [message.slice(index, end), end];
+}
+
+function parseBranches(message, start, type) {
+  const branches = {};
+  let offset = 0;
+  let index = skipSpace(message, start);
+
+  while (message[index] !== "}") {
+    if (index >= message.length) {
+      throw syntaxError(message, index, "Missing }");
+    }
+    const [selector, end] = readWord(message, index, "{}");
+    if (!selector) {
+      throw syntaxError(message, index, "Expected a branch");
+    }
+    if (type === "plural" && selector.startsWith("offset:")) {
+      offset = Number(selector.slice("offset:".length));
+      index = skipSpace(message, end);
+    } else {
+      index = skipSpace(message, end);
+      if (message[index] !== "{") {
+        throw syntaxError(message, index, `Expected { after "${selector}"`);
+      }
+      const [parts, after] = parseParts(message, index + 1, {
+        inPlural: type === "plural",
+        nested: true,
+      });
+      branches[selector] = parts;
+      index = skipSpace(message, after);
+    }
+  }
+
+  if (!branches.other) {
+    throw syntaxError(message, index, `A ${type} needs an "other" branch`);
+  }
+  return [branches, offset, index + 1];
+}
+
+function parseArgument(message, start) {
+  let index = skipSpace(message, start);
+  const [name, afterName] = readWord(message, index, ",}");
+  if (!name) {
+    throw syntaxError(message, index, "Expected an argument name");
+  }
+  index = skipSpace(message, afterName);
+  if (message[index] === "}") {
+    return [{ type: "argument", name }, index + 1];
+  }
+  if (message[index] !== ",") {
+    throw syntaxError(message, index, "Expected , or }");
+  }
+
+  index = skipSpace(message, index + 1);
+  const [type, afterType] = readWord(message, index, ",}");
+  index = skipSpace(message, afterType);
+  if (type === "number" && message[index] === "}") {
+    return [{ type: "number", name }, index + 1];
+  }
+  if ((type === "plural" || type === "select") && message[index] === ",") {
+    const [branches, offset, end] = parseBranches(message, index + 1, type);
+    return [{ type, name, branches, offset }, end];
+  }
+  throw syntaxError(message, index, `Unsupported argument type "${type}"`);
+}
+
+/**
+ * The parts of message; throws a SyntaxError for anything it can't read
+ */
+export function parseMessage(message) {
+  return parseParts(message, 0, { inPlural: false, nested: false })[0];
+}
+
+function formatParts(parts, values, locale, count) {
+  return parts.flatMap((part) => {
+    if (typeof part === "string") {
+      return part;
+    }
+    if (part.type === "count") {
+      return new Intl.NumberFormat(locale).format(count);
+    }
+    if (!(part.name in values)) {
+      throw new Error(`Missing value for {${part.name}}`);
+    }
+    const value = values[part.name];
+
+    switch (part.type) {
+      case "number":
+        return new Intl.NumberFormat(locale).format(value);
+      case "plural": {
+        const offsetValue = value - part.offset;
+        const branch =
+          part.branches[`=${value}`] ||
+          part.branches[new Intl.PluralRules(locale).select(offsetValue)] ||
+          part.branches.other;
+        return formatParts(branch, values, locale, offsetValue);
+      }
+      case "select":
+        return formatParts(
+          part.branches[value] || part.branches.other,
+          values,
+          locale,
+          count
+        );
+      default:
+        return value;
+    }
+  });
+}
+
+const parsed = new Map();
+
+/**
+ * message, formatted for locale with values, as an array of strings and
+ * whatever non-text values were passed in
+ */
+export function formatMessage(message, values = {}, locale = "en") {
+  if (!parsed.has(message)) {
+    parsed.set(message, parseMessage(message));
+  }
+  return formatParts(parsed.get(message), values, locale, null);
+}
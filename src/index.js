@@ -1,17 +1,56 @@
-import React from "react";
-import ReactDOM from "react-dom/client";
 import "./index.css";
 import App from "./App";
+import registerServiceWorker, {
+  listenForInstallPrompt,
+} from "./pwa/registerServiceWorker";
+import renderApp from "./strict/renderApp";
 import reportWebVitals from "./reportWebVitals";
+import createReporter from "./vitals/createReporter";
+import { beaconSink, consoleSink } from "./vitals/sinks";
+import vitalsStore from "./vitals/vitalsStore";
 
-const root = ReactDOM.createRoot(document.getElementById("root"));
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+// The useFetch example talks to a mock API that MSW serves from a service
+// worker (see src/mocks). Only development builds start it: production builds
+// register their own service worker below, and a page only gets one, so there
+// the example answers in the page (src/mocks/mockFetch.js). The app renders
+// once MSW is up, so the example's first requests don't miss it.
+const mockApiStarted =
+  process.env.NODE_ENV === "development"
+    ? import("./mocks/browser").then(({ default: startMockApi }) =>
+        startMockApi()
+      )
+    : Promise.resolve();
 
-// If you want to start measuring performance in your app, pass a function
-// to log results (for example: reportWebVitals(console.log))
-// or send to an analytics endpoint. Learn more: https://bit.ly/CRA-vitals
-reportWebVitals();
+// A mock API that can't start (no service worker over plain http, or in some
+// private windows) only breaks that example, so the app renders anyway.
+// Wrapped in StrictMode unless it was switched off from the app.
+mockApiStarted
+  .catch((error) => {
+    // eslint-disable-next-line no-console
+    console.warn("The mock API didn't start:", error);
+  })
+  .then(() => renderApp(document.getElementById("root"), <App />));
+
+// Production builds work offline and can be installed as an app; the update
+// toast and the install button show up when the service worker or the
+// browser say so. Try it with `npm run deploy-locally`.
+// Learn more: https://cra.link/PWA
+listenForInstallPrompt();
+if (process.env.NODE_ENV === "production" && "serviceWorker" in navigator) {
+  window.addEventListener("load", () => registerServiceWorker());
+}
+
+// Every metric is tagged with the example route it was reported on and shown
+// in the Web Vitals overlay. Development builds also log it, and setting
+// REACT_APP_VITALS_ENDPOINT sends batches of metrics to that URL.
+// Learn more: https://bit.ly/CRA-vitals
+const vitalsSinks = [vitalsStore];
+if (process.env.NODE_ENV === "development") {
+  vitalsSinks.push(consoleSink());
+}
+if (process.env.REACT_APP_VITALS_ENDPOINT) {
+  vitalsSinks.push(
+    beaconSink({ endpoint: process.env.REACT_APP_VITALS_ENDPOINT })
+  );
+}
+reportWebVitals(createReporter({ sinks: vitalsSinks }));
@@ -0,0 +1,69 @@
+import { createContext, useContext, useEffect, useRef } from "react";
+import EffectLogContext from "./effectLog";
+
+// Examples report lifecycle methods and effect runs/cleanups through this
+// context so the catalog can show them in a log next to the demo. Outside a
+// provider the logger does nothing, so the examples run the same anywhere.
+//   class components: static contextType, then this.context("componentDidMount")
+//   function components: const log = useLifecycleLog("Name"); log("effect run")
+// Function components also write to the per-component effect log, with the
+// calls StrictMode's re-run makes marked; the logger gets the same mark as
+// its second argument: log(event, { strictModeRerun }).
+const LifecycleLogContext = createContext(() => {});
+
+export default LifecycleLogContext;
+
+/**
+ * Returns the logger for a function component's effects. Call it before the
+ * component's own effects: it adds an effect of its own that has to run
+ * first to tell StrictMode's re-run apart from a normal one.
+ */
+export function useLifecycleLog(component = "Anonymous") {
+  const logLifecycle = useContext(LifecycleLogContext);
+  const effectLog = useContext(EffectLogContext);
+  // A new object every render: its effects all close over the same one.
+  const render = {};
+  const trace = useRef({ lastRun: null, pending: null, rerun: false }).current;
+
+  function write(event, strictModeRerun) {
+    logLifecycle(event, { strictModeRerun });
+    if (effectLog) {
+      effectLog.log(component, event, { strictModeRerun });
+    }
+  }
+
+  function flush(strictModeRerun) {
+    const { pending } = trace;
+    trace.pending = null;
+    (pending || []).forEach((event) => write(event, strictModeRerun));
+  }
+
+  // StrictMode runs a new component's effects, cleans them up and runs them
+  // again, all within one task. Normally a cleanup is followed by the effects
+  // of a newer render; only StrictMode runs the effects of the same render
+  // twice. So events logged after a cleanup wait until the next run shows
+  // which case it was (or, on a real unmount, until the task is over).
+  useEffect(() => {
+    const rerun = trace.lastRun === render;
+    trace.lastRun = render;
+    flush(rerun);
+    if (rerun) {
+      trace.rerun = true;
+      queueMicrotask(() => {
+        trace.rerun = false;
+      });
+    }
+    return () => {
+      trace.pending = [];
+      queueMicrotask(() => flush(false));
+    };
+  });
+
+  return (event) => {
+    if (trace.pending) {
+      trace.pending.push(event);
+    } else {
+      write(event, trace.rerun);
+    }
+  };
+}
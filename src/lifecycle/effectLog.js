@@ -0,0 +1,46 @@
+import { createContext } from "react";
+
+// A per-component log of effect runs and cleanups, filled by useLifecycleLog
+// and shown next to the running example. Entries:
+//   { id, component, event, strictModeRerun }
+// strictModeRerun marks the cleanup and the second run StrictMode adds when a
+// component mounts in development.
+//   log(component, event, { strictModeRerun })
+//   subscribe/getSnapshot  { entries } for useSyncExternalStore
+//   clear()
+
+const MAX_ENTRIES = 200;
+
+export function createEffectLog() {
+  let nextId = 1;
+  let snapshot = { entries: [] };
+  const listeners = new Set();
+
+  function emitChange(entries) {
+    snapshot = { entries };
+    listeners.forEach((listener) => listener());
+  }
+
+  return {
+    log(component, event, { strictModeRerun = false } = {}) {
+      const entry = { id: nextId, component, event, strictModeRerun };
+      nextId += 1;
+      emitChange([...snapshot.entries, entry].slice(-MAX_ENTRIES));
+    },
+    clear() {
+      emitChange([]);
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot() {
+      return snapshot;
+    },
+  };
+}
+
+// Provided by the catalog around each example; without it nothing is kept.
+const EffectLogContext = createContext(null);
+
+export default EffectLogContext;
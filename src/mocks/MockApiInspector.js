@@ -0,0 +1,82 @@
+import { useSyncExternalStore } from "react";
+import PropTypes from "prop-types";
+import mockApi from "./mockApi";
+import "./mocks.css";
+
+const RECENT_REQUESTS = 8;
+
+/**
+ * Makes the mock API fail on demand and lists the requests it answered, with
+ * each user's latency to tell which answer will arrive first
+ */
+export default function MockApiInspector({ api }) {
+  const { users, failNext, down, requests } = useSyncExternalStore(
+    api.subscribe,
+    api.getSnapshot
+  );
+
+  return (
+    <section className="mock-api-inspector" aria-label="Mock API inspector">
+      <h2>Mock API</h2>
+      <p>
+        Latency:{" "}
+        {users.map(({ name, latency }) => `${name} ${latency} ms`).join(", ")}
+      </p>
+      <fieldset>
+        <legend>Failures</legend>
+        <label htmlFor="mock-api-down">
+          <input
+            id="mock-api-down"
+            type="checkbox"
+            checked={down}
+            onChange={(e) => api.setDown(e.target.checked)}
+          />{" "}
+          Server down
+        </label>
+        <button type="button" onClick={() => api.failNextRequests(2)}>
+          Fail the next 2 requests
+        </button>
+        {failNext > 0 && <span>{failNext} left to fail</span>}
+      </fieldset>
+
+      <h3>Recent requests</h3>
+      {requests.length === 0 ? (
+        <p>No requests yet.</p>
+      ) : (
+        <ol aria-label="Recent requests" className="mock-api-requests">
+          {requests
+            .slice(-RECENT_REQUESTS)
+            .map(({ id, path, status, latency }) => (
+              <li
+                key={id}
+                value={id}
+                className={status >= 400 ? "mock-api-failed" : undefined}
+              >
+                <code>GET {path}</code> → {status} after {latency} ms
+              </li>
+            ))}
+        </ol>
+      )}
+      <button type="button" onClick={api.reset}>
+        Reset the mock API
+      </button>
+    </section>
+  );
+}
+
+MockApiInspector.propTypes = {
+  /**
+   * Mock API to inspect; defaults to the one MSW serves
+   */
+  api: PropTypes.shape({
+    subscribe: PropTypes.func.isRequired,
+    getSnapshot: PropTypes.func.isRequired,
+    failNextRequests: PropTypes.func.isRequired,
+    setDown: PropTypes.func.isRequired,
+    reset: PropTypes.func.isRequired,
+  }),
+};
+
+MockApiInspector.defaultProps = {
+  api: mockApi,
+};
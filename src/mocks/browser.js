@@ -0,0 +1,25 @@
+import { setupWorker } from "msw";
+import { handlers } from "./handlers";
+
+// Serves the mock API in the browser. MSW's service worker
+// (public/mockServiceWorker.js) answers the requests the handlers match and
+// lets every other one through to the network.
+const worker = setupWorker(...handlers);
+
+let started = null;
+
+/**
+ * Starts the mock API once; requests made before it is ready wait for it
+ */
+export default function startMockApi() {
+  if (!started) {
+    started = worker.start({
+      serviceWorker: {
+        url: `${process.env.PUBLIC_URL}/mockServiceWorker.js`,
+      },
+      onUnhandledRequest: "bypass",
+      quiet: true,
+    });
+  }
+  return started;
+}
@@ -0,0 +1,26 @@
+import { rest } from "msw";
+import mockApi from "./mockApi";
+
+// MSW request handlers for the mock API: the same ones answer in the browser
+// (browser.js, through a service worker) and in Jest (server.js).
+//   GET /api/users      [{ id, name }]
+//   GET /api/users/:id  { id, name, email, company }, or 404 { message }
+
+function reply(res, ctx, { status, body, latency }) {
+  return res(ctx.delay(latency), ctx.status(status), ctx.json(body));
+}
+
+/**
+ * The handlers for an api made by createMockApi, for tests that need one of
+ * their own
+ */
+export function createHandlers(api) {
+  return [
+    rest.get("/api/users", (req, res, ctx) => reply(res, ctx, api.listUsers())),
+    rest.get("/api/users/:id", (req, res, ctx) =>
+      reply(res, ctx, api.getUser(Number(req.params.id)))
+    ),
+  ];
+}
+
+export const handlers = createHandlers(mockApi);
@@ -0,0 +1,131 @@
+// The backend the useFetch example talks to, kept in memory and served by MSW
+// (see handlers.js), or in production builds by mockFetch.js, so the demo works
+// without a network. Every user answers
+// after their own latency: switch from a slow one to a fast one and the slow
+// answer arrives last. failNext makes the next requests fail with a 503 to
+// show the retries, and down keeps failing them until it is switched back.
+// Every request is recorded for the inspector.
+//   listUsers() / getUser(id)  { status, body, latency } for the handlers and
+//                              mockFetch
+//   subscribe/getSnapshot      { users, failNext, down, requests }
+//   failNextRequests(count), setDown(down), reset()
+
+export const defaultUsers = [
+  {
+    id: 1,
+    name: "Leanne Graham",
+    email: "leanne@example.com",
+    company: "Romaguera-Crona",
+    latency: 300,
+  },
+  {
+    id: 2,
+    name: "Ervin Howell",
+    email: "ervin@example.com",
+    company: "Deckow-Crist",
+    latency: 1500,
+  },
+  {
+    id: 3,
+    name: "Clementine Bauch",
+    email: "clementine@example.com",
+    company: "Romaguera-Jacobson",
+    latency: 600,
+  },
+];
+
+const LIST_LATENCY = 200;
+const MAX_REQUESTS = 50;
+
+export function createMockApi({ users = defaultUsers } = {}) {
+  let failNext = 0;
+  let down = false;
+  let requests = [];
+  let nextRequestId = 1;
+  let snapshot = null;
+  const listeners = new Set();
+
+  function emitChange() {
+    snapshot = null;
+    listeners.forEach((listener) => listener());
+  }
+
+  // Decides how path is answered and records it.
+  function respond(path, answer) {
+    let response;
+    if (down || failNext > 0) {
+      failNext = Math.max(failNext - 1, 0);
+      response = {
+        status: 503,
+        body: { message: "The server is down, try again later" },
+        latency: answer.latency,
+      };
+    } else {
+      response = answer;
+    }
+    requests = [
+      ...requests,
+      {
+        id: nextRequestId,
+        path,
+        status: response.status,
+        latency: response.latency,
+      },
+    ].slice(-MAX_REQUESTS);
+    nextRequestId += 1;
+    emitChange();
+    return response;
+  }
+
+  return {
+    listUsers() {
+      return respond("/api/users", {
+        status: 200,
+        body: users.map(({ id, name }) => ({ id, name })),
+        latency: LIST_LATENCY,
+      });
+    },
+    getUser(id) {
+      const user = users.find((candidate) => candidate.id === id);
+      if (!user) {
+        return respond(`/api/users/${id}`, {
+          status: 404,
+          body: { message: `No user with the id ${id}` },
+          latency: LIST_LATENCY,
+        });
+      }
+      const { latency, ...body } = user;
+      return respond(`/api/users/${id}`, { status: 200, body, latency });
+    },
+    failNextRequests(count) {
+      failNext = count;
+      emitChange();
+    },
+    setDown(value) {
+      down = value;
+      emitChange();
+    },
+    reset() {
+      failNext = 0;
+      down = false;
+      requests = [];
+      nextRequestId = 1;
+      emitChange();
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot() {
+      if (!snapshot) {
+        snapshot = { users, failNext, down, requests };
+      }
+      return snapshot;
+    },
+  };
+}
+
+// The instance the handlers serve and the inspector shows.
+const mockApi = createMockApi();
+
+export default mockApi;
@@ -0,0 +1,62 @@
+import mockApi from "./mockApi";
+
+// The mock API answered in the page, for production builds: their offline
+// service worker controls the page, and a page only gets one, so MSW can't
+// serve the API there. mockFetch answers the routes handlers.js does, after the
+// same latencies, the way fetch() would: with a Response, or an AbortError once
+// the signal aborts. Other URLs go to the network.
+
+function abortError() {
+  return new DOMException("The request was aborted", "AbortError");
+}
+
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener(
+        "abort",
+        () => {
+          clearTimeout(timer);
+          reject(abortError());
+        },
+        { once: true }
+      );
+    }
+  });
+}
+
+// Same routes as handlers.js; null for any other path.
+function answer(api, path) {
+  if (path === "/api/users") {
+    return api.listUsers();
+  }
+  const match = /^\/api\/users\/([^/]+)$/.exec(path);
+  return match ? api.getUser(Number(match[1])) : null;
+}
+
+/**
+ * A fetch() that answers the routes of api, made by createMockApi, in the page
+ */
+export function createMockFetch(api = mockApi) {
+  return async function mockFetch(url, options = {}) {
+    const { signal } = options;
+    if (signal && signal.aborted) {
+      throw abortError();
+    }
+    const { pathname } = new URL(url, window.location.href);
+    const response = answer(api, pathname);
+    if (!response) {
+      return fetch(url, options);
+    }
+    await delay(response.latency, signal);
+    return new Response(JSON.stringify(response.body), {
+      status: response.status,
+      headers: { "Content-Type": "application/json" },
+    });
+  };
+}
+
+const mockFetch = createMockFetch();
+
+export default mockFetch;
@@ -0,0 +1,64 @@
+import { fetchJson, HttpError } from "../examples/hooks/useFetch/useFetch";
+import { createMockApi } from "./mockApi";
+import { createMockFetch } from "./mockFetch";
+
+const users = [
+  {
+    id: 1,
+    name: "Leanne",
+    email: "leanne@example.com",
+    company: "R",
+    latency: 10,
+  },
+];
+
+let api;
+let mockFetch;
+
+beforeEach(() => {
+  api = createMockApi({ users });
+  mockFetch = createMockFetch(api);
+});
+
+test("answers the mock API's routes in the page, as MSW does", async () => {
+  await expect(
+    fetchJson("/api/users", { request: mockFetch })
+  ).resolves.toEqual([{ id: 1, name: "Leanne" }]);
+  await expect(
+    fetchJson("/api/users/1", { request: mockFetch })
+  ).resolves.toEqual({
+    id: 1,
+    name: "Leanne",
+    email: "leanne@example.com",
+    company: "R",
+  });
+
+  const error = await fetchJson("/api/users/9", { request: mockFetch }).catch(
+    (e) => e
+  );
+  expect(error).toBeInstanceOf(HttpError);
+  expect(error).toMatchObject({
+    status: 404,
+    message: "No user with the id 9",
+  });
+
+  api.setDown(true);
+  await expect(
+    fetchJson("/api/users/1", { request: mockFetch })
+  ).rejects.toMatchObject({ status: 503 });
+  expect(api.getSnapshot().requests.map(({ status }) => status)).toEqual([
+    200, 200, 404, 503,
+  ]);
+});
+
+test("rejects with an AbortError when the signal aborts", async () => {
+  const controller = new AbortController();
+  const response = mockFetch("/api/users/1", { signal: controller.signal });
+  controller.abort();
+  await expect(response).rejects.toMatchObject({ name: "AbortError" });
+
+  await expect(
+    mockFetch("/api/users", { signal: controller.signal })
+  ).rejects.toMatchObject({ name: "AbortError" });
+  expect(api.getSnapshot().requests).toHaveLength(1);
+});
@@ -0,0 +1,7 @@
+import { setupServer } from "msw/node";
+import { handlers } from "./handlers";
+
+// Serves the mock API to the tests; setupTests.js starts it for every file.
+const server = setupServer(...handlers);
+
+export default server;
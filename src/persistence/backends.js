@@ -0,0 +1,129 @@
+// Where usePersistentState keeps its values. Every backend stores strings
+// under a key and has the same shape:
+//   { read(key), write(key, value), remove(key), subscribe(key, listener) }
+// subscribe calls the listener whenever the value may have changed: after a
+// write in this tab and, for the Web Storage backends, after a write in
+// another tab (the storage event) or, for the query backend, after the user
+// goes back or forward through history.
+
+function createListeners() {
+  const listeners = new Map();
+
+  return {
+    add(key, listener) {
+      const forKey = listeners.get(key) || new Set();
+      forKey.add(listener);
+      listeners.set(key, forKey);
+      return () => forKey.delete(listener);
+    },
+    notify(key) {
+      (listeners.get(key) || []).forEach((listener) => listener());
+    },
+  };
+}
+
+// getStorage is called on every access: merely touching window.localStorage
+// throws when storage is disabled, and such failures read as "nothing stored"
+// instead of breaking the page.
+export function createStorageBackend(getStorage) {
+  const listeners = createListeners();
+
+  function storage() {
+    try {
+      return getStorage();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return {
+    read(key) {
+      try {
+        return storage()?.getItem(key) ?? null;
+      } catch (error) {
+        return null;
+      }
+    },
+    write(key, value) {
+      try {
+        storage()?.setItem(key, value);
+      } catch (error) {
+        // Quota exceeded or storage disabled: the state still lives in memory.
+      }
+      listeners.notify(key);
+    },
+    remove(key) {
+      try {
+        storage()?.removeItem(key);
+      } catch (error) {
+        // See write().
+      }
+      listeners.notify(key);
+    },
+    subscribe(key, listener) {
+      const unsubscribe = listeners.add(key, listener);
+      // A null key means the other tab cleared the whole storage.
+      const onStorage = (event) => {
+        if (
+          event.storageArea === storage() &&
+          (event.key === null || event.key === key)
+        ) {
+          listener();
+        }
+      };
+      window.addEventListener("storage", onStorage);
+      return () => {
+        window.removeEventListener("storage", onStorage);
+        unsubscribe();
+      };
+    },
+  };
+}
+
+// Keeps values in the query string, so the page URL carries them and can be
+// bookmarked or shared. Writes replace the current history entry instead of
+// pushing one per change, and leave the path and the hash (where the hash
+// router keeps its route) alone.
+export function createQueryBackend() {
+  const listeners = createListeners();
+
+  function update(key, value) {
+    const url = new URL(window.location.href);
+    if (value === null) {
+      url.searchParams.delete(key);
+    } else {
+      url.searchParams.set(key, value);
+    }
+    window.history.replaceState(window.history.state, "", url.href);
+    listeners.notify(key);
+  }
+
+  return {
+    read(key) {
+      return new URLSearchParams(window.location.search).get(key);
+    },
+    write(key, value) {
+      update(key, value);
+    },
+    remove(key) {
+      update(key, null);
+    },
+    subscribe(key, listener) {
+      const unsubscribe = listeners.add(key, listener);
+      const onPopState = () => listener();
+      window.addEventListener("popstate", onPopState);
+      return () => {
+        window.removeEventListener("popstate", onPopState);
+        unsubscribe();
+      };
+    },
+  };
+}
+
+const backends = {
+  local: createStorageBackend(() => window.localStorage),
+  session: createStorageBackend(() => window.sessionStorage),
+  query: createQueryBackend(),
+};
+
+export default backends;
@@ -0,0 +1,92 @@
+import {
+  useCallback,
+  useMemo,
+  useRef,
+  useState,
+  useSyncExternalStore,
+} from "react";
+import backends from "./backends";
+
+// Values are stored as "<version>:<JSON>", e.g. "1:3" for a count of 3: short
+// enough to read in a shared URL, and tagged with the schema version of the
+// state that wrote them.
+export function encode(value, version) {
+  return `${version}:${JSON.stringify(value)}`;
+}
+
+// Returns { value } for a usable stored value and null for anything else:
+// nothing stored, unparsable text, a value validate() rejects, or one from
+// another schema version that migrate() can't (or isn't there to) convert.
+export function decode(raw, { version, migrate, validate }) {
+  const match = raw === null ? null : /^(\d+):([\s\S]*)$/.exec(raw);
+  if (!match) {
+    return null;
+  }
+  let value;
+  try {
+    value = JSON.parse(match[2]);
+  } catch (error) {
+    return null;
+  }
+  const storedVersion = Number(match[1]);
+  if (storedVersion !== version) {
+    if (!migrate) {
+      return null;
+    }
+    value = migrate(value, storedVersion);
+    if (value === undefined) {
+      return null;
+    }
+  }
+  return !validate || validate(value) ? { value } : null;
+}
+
+/**
+ * useState that keeps its value in a backend, so it survives reloads and
+ * follows changes made elsewhere: in another component using the same key,
+ * in another tab (local and session storage) or through the browser's back
+ * and forward buttons (query).
+ *   storage: "local", "session", "query" or a backend object
+ *   version: schema version written with every value
+ *   migrate(value, storedVersion): converts a value written by another
+ *     version; return undefined to drop it
+ *   validate(value): rejects stored values, e.g. hand-edited URLs
+ * Until something is stored, the state is initialState.
+ */
+export default function usePersistentState(
+  key,
+  initialState,
+  { storage = "local", version = 1, migrate, validate } = {}
+) {
+  const backend = typeof storage === "string" ? backends[storage] : storage;
+  const [initial] = useState(initialState);
+
+  // The setter reads the latest options without changing identity, like the
+  // one useState returns.
+  const options = { version, migrate, validate };
+  const latest = useRef(options);
+  latest.current = options;
+
+  const subscribe = useCallback(
+    (listener) => backend.subscribe(key, listener),
+    [backend, key]
+  );
+  const raw = useSyncExternalStore(subscribe, () => backend.read(key));
+
+  const state = useMemo(() => {
+    const stored = decode(raw, { version, migrate, validate });
+    return stored ? stored.value : initial;
+  }, [raw, initial, version, migrate, validate]);
+
+  const setState = useCallback(
+    (next) => {
+      const stored = decode(backend.read(key), latest.current);
+      const previous = stored ? stored.value : initial;
+      const value = typeof next === "function" ? next(previous) : next;
+      backend.write(key, encode(value, latest.current.version));
+    },
+    [backend, key, initial]
+  );
+
+  return [state, setState];
+}
@@ -0,0 +1,112 @@
+import { act, render, renderHook, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import StateHook from "../examples/hooks/useState/StateHook";
+import usePersistentState, { decode, encode } from "./usePersistentState";
+
+afterEach(() => {
+  localStorage.clear();
+  sessionStorage.clear();
+  window.history.replaceState(null, "", "/");
+});
+
+describe("encode/decode", () => {
+  test("round-trips values tagged with their version", () => {
+    expect(encode({ count: 3 }, 2)).toBe('2:{"count":3}');
+    expect(decode('2:{"count":3}', { version: 2 })).toEqual({
+      value: { count: 3 },
+    });
+  });
+
+  test("rejects unusable values", () => {
+    expect(decode(null, { version: 1 })).toBeNull();
+    expect(decode("3", { version: 1 })).toBeNull();
+    expect(decode("1:{", { version: 1 })).toBeNull();
+    const validate = Number.isInteger;
+    expect(decode('1:"3"', { version: 1, validate })).toBeNull();
+  });
+
+  test("migrates values written by another version", () => {
+    const migrate = (value, from) =>
+      from === 1 ? { count: value } : undefined;
+    expect(decode("1:3", { version: 2, migrate })).toEqual({
+      value: { count: 3 },
+    });
+    expect(decode("0:3", { version: 2, migrate })).toBeNull();
+    expect(decode("1:3", { version: 2 })).toBeNull();
+  });
+});
+
+test("starts from initialState and persists updates", () => {
+  const { result } = renderHook(() => usePersistentState("count", 0));
+  expect(result.current[0]).toBe(0);
+
+  act(() => result.current[1]((count) => count + 1));
+  expect(result.current[0]).toBe(1);
+  expect(localStorage.getItem("count")).toBe("1:1");
+});
+
+test("restores stored values and falls back when the version changed", () => {
+  localStorage.setItem("count", "1:5");
+  const { result, rerender } = renderHook(
+    ({ version }) => usePersistentState("count", 0, { version }),
+    { initialProps: { version: 1 } }
+  );
+  expect(result.current[0]).toBe(5);
+
+  rerender({ version: 2 });
+  expect(result.current[0]).toBe(0);
+});
+
+test("keeps components using the same key in sync", () => {
+  const first = renderHook(() => usePersistentState("name", "Mary"));
+  const second = renderHook(() => usePersistentState("name", "Mary"));
+
+  act(() => first.result.current[1]("Jane"));
+  expect(second.result.current[0]).toBe("Jane");
+});
+
+test("follows writes from other tabs through the storage event", () => {
+  const { result } = renderHook(() =>
+    usePersistentState("count", 0, { storage: "session" })
+  );
+
+  act(() => {
+    sessionStorage.setItem("count", "1:7");
+    window.dispatchEvent(
+      new StorageEvent("storage", {
+        key: "count",
+        storageArea: sessionStorage,
+      })
+    );
+  });
+  expect(result.current[0]).toBe(7);
+});
+
+test("keeps query state in the URL without touching the route", () => {
+  window.history.replaceState(null, "", "/examples/state-hook#/ignored");
+  const { result } = renderHook(() =>
+    usePersistentState("count", 0, { storage: "query" })
+  );
+
+  act(() => result.current[1](2));
+  expect(window.location.pathname).toBe("/examples/state-hook");
+  expect(window.location.search).toBe("?count=1%3A2");
+  expect(window.location.hash).toBe("#/ignored");
+
+  act(() => {
+    window.history.replaceState(null, "", "/examples/state-hook?count=1:4");
+    window.dispatchEvent(new PopStateEvent("popstate"));
+  });
+  expect(result.current[0]).toBe(4);
+});
+
+test("the State Hook counter can be opened from a shared link", () => {
+  window.history.replaceState(null, "", "/?state-count=1:41");
+  render(<StateHook />);
+  expect(screen.getByText("You clicked 41 times")).toBeInTheDocument();
+
+  userEvent.click(screen.getByRole("button", { name: "Click me" }));
+  expect(new URLSearchParams(window.location.search).get("state-count")).toBe(
+    "1:42"
+  );
+});
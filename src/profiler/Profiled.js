@@ -0,0 +1,49 @@
+import { Profiler, useCallback, useRef } from "react";
+import PropTypes from "prop-types";
+import findRenderCauses from "./renderCauses";
+
+/**
+ * Wraps children in a React.Profiler and records every commit, with the state
+ * changes that caused it, into session
+ */
+export default function Profiled({ id, session, children }) {
+  const container = useRef(null);
+
+  const handleRender = useCallback(
+    (
+      profilerId,
+      phase,
+      actualDuration,
+      baseDuration,
+      startTime,
+      commitTime
+    ) => {
+      session.record({
+        phase,
+        actualDuration,
+        baseDuration,
+        startTime,
+        commitTime,
+        causes: phase === "mount" ? [] : findRenderCauses(container.current),
+      });
+    },
+    [session]
+  );
+
+  return (
+    <Profiler id={id} onRender={handleRender}>
+      <div ref={container} className="profiler-target">
+        {children}
+      </div>
+    </Profiler>
+  );
+}
+
+Profiled.propTypes = {
+  id: PropTypes.string.isRequired,
+  /**
+   * Session created by createProfilerSession()
+   */
+  session: PropTypes.shape({ record: PropTypes.func.isRequired }).isRequired,
+  children: PropTypes.node.isRequired,
+};
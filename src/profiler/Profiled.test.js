@@ -0,0 +1,126 @@
+import React, { StrictMode, useState } from "react";
+import { render, screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import PropTypes from "prop-types";
+import createProfilerSession from "./createProfilerSession";
+import Profiled from "./Profiled";
+import ProfilerOverlay from "./ProfilerOverlay";
+
+function Counter({ label }) {
+  const [count, setCount] = useState(0);
+  return (
+    <button type="button" onClick={() => setCount(count + 1)}>
+      {label} {count}
+    </button>
+  );
+}
+
+Counter.propTypes = {
+  label: PropTypes.string.isRequired,
+};
+
+class Toggle extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { on: false };
+  }
+
+  render() {
+    const { on } = this.state;
+    return (
+      <button type="button" onClick={() => this.setState({ on: !on })}>
+        {on ? "On" : "Off"}
+      </button>
+    );
+  }
+}
+
+function renderProfiled(children) {
+  const session = createProfilerSession("test");
+  render(
+    <StrictMode>
+      <Profiled id="test" session={session}>
+        {children}
+      </Profiled>
+      <ProfilerOverlay session={session} />
+    </StrictMode>
+  );
+  return session;
+}
+
+function causes(session) {
+  return session
+    .getSnapshot()
+    .commits.map(({ phase, causes: list }) => [
+      phase,
+      list.map(({ component, hook, prev, next }) =>
+        [component, hook, prev, next].join(" ")
+      ),
+    ]);
+}
+
+test("counts commits, not StrictMode's double renders", () => {
+  const session = renderProfiled(<Counter label="A" />);
+  userEvent.click(screen.getByRole("button", { name: "A 0" }));
+
+  const { totals, commits } = session.getSnapshot();
+  expect(totals).toMatchObject({ commits: 2, mounts: 1, updates: 1 });
+  expect(commits[1].actualDuration).toBeGreaterThanOrEqual(0);
+  expect(commits[1].baseDuration).toBeGreaterThanOrEqual(0);
+});
+
+test("names the state change behind every commit", () => {
+  const session = renderProfiled(
+    <>
+      <Counter label="A" />
+      <div>
+        <Counter label="B" />
+      </div>
+      <Toggle />
+    </>
+  );
+  userEvent.click(screen.getByRole("button", { name: "A 0" }));
+  userEvent.click(screen.getByRole("button", { name: "B 0" }));
+  userEvent.click(screen.getByRole("button", { name: "B 1" }));
+  userEvent.click(screen.getByRole("button", { name: "Off" }));
+
+  expect(causes(session)).toEqual([
+    ["mount", []],
+    ["update", ["Counter useState #1 0 1"]],
+    ["update", ["Counter useState #1 0 1"]],
+    ["update", ["Counter useState #1 1 2"]],
+    ["update", ["Toggle this.state.on false true"]],
+  ]);
+
+  const table = screen.getByRole("table", { name: "Commits" });
+  expect(within(table).getAllByRole("row")).toHaveLength(6);
+  expect(table).toHaveTextContent("Toggle this.state.on: false → true");
+});
+
+test("exports the session as JSON", () => {
+  jest.useFakeTimers();
+  const session = renderProfiled(<Counter label="A" />);
+  const createObjectURL = jest.fn(() => "blob:profile");
+  URL.createObjectURL = createObjectURL;
+  const revokeObjectURL = jest.fn();
+  URL.revokeObjectURL = revokeObjectURL;
+  const click = jest
+    .spyOn(HTMLAnchorElement.prototype, "click")
+    .mockImplementation(() => {});
+
+  userEvent.click(screen.getByRole("button", { name: "Export JSON" }));
+
+  expect(createObjectURL.mock.calls[0][0].type).toBe("application/json");
+  expect(click).toHaveBeenCalled();
+  expect(revokeObjectURL).not.toHaveBeenCalled();
+  jest.runOnlyPendingTimers();
+  expect(revokeObjectURL).toHaveBeenCalledWith("blob:profile");
+  jest.useRealTimers();
+  expect(session.toJSON()).toMatchObject({
+    example: "test",
+    totals: { commits: 1 },
+  });
+  expect(JSON.parse(JSON.stringify(session))).toMatchObject({
+    example: "test",
+  });
+});
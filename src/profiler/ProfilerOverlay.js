@@ -0,0 +1,101 @@
+import { useSyncExternalStore } from "react";
+import PropTypes from "prop-types";
+import "./profiler.css";
+
+function formatDuration(ms) {
+  return `${ms.toFixed(2)} ms`;
+}
+
+function describeCauses({ phase, causes }) {
+  if (phase === "mount") {
+    return "mount";
+  }
+  if (causes.length === 0) {
+    return "no state change below: props, context or a parent render";
+  }
+  return causes
+    .map(
+      ({ component, hook, prev, next }) =>
+        `${component} ${hook}: ${prev} → ${next}`
+    )
+    .join("; ");
+}
+
+function downloadJSON(fileName, data) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  // Revoking right away can cancel the download in Firefox and Safari.
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Commit counts, durations and render causes of a profiler session, with
+ * buttons to export it as JSON or start over
+ */
+export default function ProfilerOverlay({ session }) {
+  const { commits, totals } = useSyncExternalStore(
+    session.subscribe,
+    session.getSnapshot
+  );
+
+  function handleExport() {
+    const data = session.toJSON();
+    downloadJSON(`profile-${data.example}-${Date.now()}.json`, data);
+  }
+
+  return (
+    <section className="profiler-overlay" aria-label="Render profiler">
+      <h2>Render profiler</h2>
+      <p>
+        {totals.commits} commits: {totals.mounts} mounts, {totals.updates}{" "}
+        updates, {formatDuration(totals.actualDuration)} rendering in total.
+      </p>
+      <table aria-label="Commits">
+        <thead>
+          <tr>
+            <th scope="col">#</th>
+            <th scope="col">Phase</th>
+            <th scope="col">Actual</th>
+            <th scope="col">Base</th>
+            <th scope="col">Cause</th>
+          </tr>
+        </thead>
+        <tbody>
+          {commits.map((commit) => (
+            <tr key={commit.id}>
+              <td>{commit.id}</td>
+              <td>{commit.phase}</td>
+              <td>{formatDuration(commit.actualDuration)}</td>
+              <td>{formatDuration(commit.baseDuration)}</td>
+              <td>{describeCauses(commit)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button type="button" onClick={handleExport}>
+        Export JSON
+      </button>{" "}
+      <button type="button" onClick={session.clear}>
+        Clear
+      </button>
+    </section>
+  );
+}
+
+ProfilerOverlay.propTypes = {
+  /**
+   * Session created by createProfilerSession()
+   */
+  session: PropTypes.shape({
+    subscribe: PropTypes.func.isRequired,
+    getSnapshot: PropTypes.func.isRequired,
+    clear: PropTypes.func.isRequired,
+    toJSON: PropTypes.func.isRequired,
+  }).isRequired,
+};
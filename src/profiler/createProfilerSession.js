@@ -0,0 +1,63 @@
+// Collects the commits React.Profiler reports for one example. Counts are per
+// commit, not per call of a render function, so StrictMode rendering every
+// component twice in development doesn't double them; a commit only shows up
+// twice when the example really commits twice, e.g. when an effect that
+// StrictMode re-runs sets state.
+//   record(commit)  { phase, actualDuration, baseDuration, startTime,
+//                     commitTime, causes }
+//   subscribe/getSnapshot  { commits, totals } for useSyncExternalStore
+//   clear()
+//   toJSON()  the session as a plain object, ready to export
+
+const MAX_COMMITS = 200;
+
+const emptyTotals = { commits: 0, actualDuration: 0, mounts: 0, updates: 0 };
+
+export default function createProfilerSession(example) {
+  const startedAt = new Date().toISOString();
+  let nextId = 1;
+  let snapshot = { commits: [], totals: emptyTotals };
+  const listeners = new Set();
+
+  function emitChange(next) {
+    snapshot = next;
+    listeners.forEach((listener) => listener());
+  }
+
+  return {
+    record(commit) {
+      const entry = { id: nextId, ...commit };
+      nextId += 1;
+      const { totals } = snapshot;
+      emitChange({
+        // Older commits are dropped from the list, not from the totals.
+        commits: [...snapshot.commits, entry].slice(-MAX_COMMITS),
+        totals: {
+          commits: totals.commits + 1,
+          actualDuration: totals.actualDuration + commit.actualDuration,
+          mounts: totals.mounts + (commit.phase === "mount" ? 1 : 0),
+          updates: totals.updates + (commit.phase === "mount" ? 0 : 1),
+        },
+      });
+    },
+    clear() {
+      emitChange({ commits: [], totals: emptyTotals });
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot() {
+      return snapshot;
+    },
+    toJSON() {
+      return {
+        example,
+        startedAt,
+        exportedAt: new Date().toISOString(),
+        totals: snapshot.totals,
+        commits: snapshot.commits,
+      };
+    },
+  };
+}
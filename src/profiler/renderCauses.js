@@ -0,0 +1,167 @@
+// Works out which state change made React re-render a subtree. React.Profiler
+// only reports how long a commit took, so this reads React's own fiber tree,
+// the same data React DevTools uses. It relies on React internals that the
+// development build exposes, which is why the profiler is development only.
+//
+// Every component has two fibers: the one on screen ("current") and its
+// alternate, which holds the previous render. After a commit, comparing the
+// two shows which state hooks (or which keys of a class's state) changed.
+
+// Fiber tags, see react-reconciler's ReactWorkTags.
+const FunctionComponent = 0;
+const ClassComponent = 1;
+const HostRoot = 3;
+const ForwardRef = 11;
+const SimpleMemoComponent = 15;
+
+const hookComponents = [FunctionComponent, ForwardRef, SimpleMemoComponent];
+
+function fiberOf(node) {
+  const key = Object.keys(node).find((k) => k.startsWith("__reactFiber$"));
+  return key ? node[key] : null;
+}
+
+// A DOM node keeps the fiber that created it, which may be either tree's
+// copy. The root always knows which tree is on screen, so look the node up
+// from there.
+function currentFiberOf(node) {
+  let fiber = fiberOf(node);
+  while (fiber && fiber.tag !== HostRoot) {
+    fiber = fiber.return;
+  }
+  const stack = fiber ? [fiber.stateNode.current] : [];
+  while (stack.length) {
+    const next = stack.pop();
+    if (next.stateNode === node) {
+      return next;
+    }
+    if (next.sibling) {
+      stack.push(next.sibling);
+    }
+    if (next.child) {
+      stack.push(next.child);
+    }
+  }
+  return null;
+}
+
+function nameOf({ type }) {
+  if (typeof type === "function") {
+    return type.displayName || type.name || "Anonymous";
+  }
+  if (type && type.render) {
+    return type.displayName || type.render.name || "ForwardRef";
+  }
+  return "Anonymous";
+}
+
+// Short, JSON-safe previews of the values that changed.
+export function preview(value) {
+  if (typeof value === "function") {
+    return `ƒ ${value.name || "anonymous"}()`;
+  }
+  try {
+    const json = JSON.stringify(value);
+    if (json === undefined) {
+      return String(value);
+    }
+    return json.length > 60 ? `${json.slice(0, 57)}...` : json;
+  } catch (error) {
+    return Object.prototype.toString.call(value);
+  }
+}
+
+// useState and useReducer hooks have an update queue with a reducer;
+// useState's is React's basicStateReducer. Other hooks (effects, refs, memos)
+// don't hold state that can schedule a render of their own.
+function hookKind(hook) {
+  const { queue } = hook;
+  if (!queue) {
+    return null;
+  }
+  if (typeof queue.lastRenderedReducer === "function") {
+    return queue.lastRenderedReducer.name === "basicStateReducer"
+      ? "useState"
+      : "useReducer";
+  }
+  if (typeof queue.getSnapshot === "function") {
+    return "useSyncExternalStore";
+  }
+  return null;
+}
+
+function hookChanges(fiber, component) {
+  const changes = [];
+  const counts = {};
+  let hook = fiber.memoizedState;
+  let previous = fiber.alternate.memoizedState;
+  while (hook && previous) {
+    const kind = hookKind(hook);
+    if (kind) {
+      counts[kind] = (counts[kind] || 0) + 1;
+      if (!Object.is(hook.memoizedState, previous.memoizedState)) {
+        changes.push({
+          component,
+          hook: `${kind} #${counts[kind]}`,
+          prev: preview(previous.memoizedState),
+          next: preview(hook.memoizedState),
+        });
+      }
+    }
+    hook = hook.next;
+    previous = previous.next;
+  }
+  return changes;
+}
+
+function classStateChanges(fiber, component) {
+  const state = fiber.memoizedState || {};
+  const previous = fiber.alternate.memoizedState || {};
+  const keys = new Set([...Object.keys(previous), ...Object.keys(state)]);
+  return [...keys]
+    .filter((key) => !Object.is(state[key], previous[key]))
+    .map((key) => ({
+      component,
+      hook: `this.state.${key}`,
+      prev: preview(previous[key]),
+      next: preview(state[key]),
+    }));
+}
+
+/**
+ * Lists the state changes committed in the subtree below node by the last
+ * commit, as { component, hook, prev, next } entries. Call it from a
+ * Profiler's onRender, which React runs right after the commit.
+ */
+export default function findRenderCauses(node) {
+  const root = node && currentFiberOf(node);
+  if (!root || !root.alternate || root.child === root.alternate.child) {
+    return [];
+  }
+  const changes = [];
+  const stack = [root.child];
+  while (stack.length) {
+    const fiber = stack.pop();
+    const { alternate } = fiber;
+    if (fiber.sibling) {
+      stack.push(fiber.sibling);
+    }
+    // Only fibers that took part in this commit are worth comparing: a
+    // subtree React skipped still shares its child list with the alternate,
+    // and its alternates may be several commits old.
+    if (alternate) {
+      if (fiber.memoizedState !== alternate.memoizedState) {
+        const component = nameOf(fiber);
+        if (hookComponents.includes(fiber.tag)) {
+          changes.push(...hookChanges(fiber, component));
+        } else if (fiber.tag === ClassComponent) {
+          changes.push(...classStateChanges(fiber, component));
+        }
+      }
+      if (fiber.child && fiber.child !== alternate.child) {
+        stack.push(fiber.child);
+      }
+    }
+  }
+  return changes;
+}
@@ -0,0 +1,42 @@
+import { useSyncExternalStore } from "react";
+import PropTypes from "prop-types";
+import { useI18n } from "../i18n/I18n";
+import pwaStore from "./pwaStore";
+import "./pwa.css";
+
+/**
+ * Offers to install the playground as an app. Renders nothing until the
+ * browser says it can be installed (beforeinstallprompt), and again once it
+ * has been or the user said no.
+ */
+export default function InstallButton({ store }) {
+  const { installable } = useSyncExternalStore(
+    store.subscribe,
+    store.getSnapshot
+  );
+  const { t } = useI18n();
+  if (!installable) {
+    return null;
+  }
+
+  return (
+    <button type="button" className="install-button" onClick={store.install}>
+      {t("pwa.install")}
+    </button>
+  );
+}
+
+InstallButton.propTypes = {
+  /**
+   * Store the button reads, created by createPwaStore()
+   */
+  store: PropTypes.shape({
+    subscribe: PropTypes.func.isRequired,
+    getSnapshot: PropTypes.func.isRequired,
+    install: PropTypes.func.isRequired,
+  }),
+};
+
+InstallButton.defaultProps = {
+  store: pwaStore,
+};
@@ -0,0 +1,51 @@
+import { useSyncExternalStore } from "react";
+import PropTypes from "prop-types";
+import { useI18n } from "../i18n/I18n";
+import pwaStore from "./pwaStore";
+import "./pwa.css";
+
+/**
+ * Says when a new version of the app has been downloaded, with a button that
+ * reloads into it
+ */
+export default function UpdateToast({ store }) {
+  const { updateAvailable } = useSyncExternalStore(
+    store.subscribe,
+    store.getSnapshot
+  );
+  const { t } = useI18n();
+
+  // The status region stays mounted so screen readers announce the message
+  // when it appears.
+  return (
+    <div className="update-toast" role="status">
+      {updateAvailable && (
+        <>
+          <p>{t("pwa.updateAvailable")}</p>
+          <button type="button" onClick={store.update}>
+            {t("pwa.reload")}
+          </button>{" "}
+          <button type="button" onClick={store.dismissUpdate}>
+            {t("pwa.later")}
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+UpdateToast.propTypes = {
+  /**
+   * Store the toast reads, created by createPwaStore()
+   */
+  store: PropTypes.shape({
+    subscribe: PropTypes.func.isRequired,
+    getSnapshot: PropTypes.func.isRequired,
+    update: PropTypes.func.isRequired,
+    dismissUpdate: PropTypes.func.isRequired,
+  }),
+};
+
+UpdateToast.defaultProps = {
+  store: pwaStore,
+};
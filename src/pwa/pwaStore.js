@@ -0,0 +1,69 @@
+// What the app knows about its service worker and about being installed,
+// exposed through the useSyncExternalStore contract for the update toast and
+// the install button. registerServiceWorker and listenForInstallPrompt feed it.
+//   subscribe/getSnapshot  { updateAvailable, installable }
+//   updateWaiting(activate)  a new version is installed and waits; activate()
+//     switches to it
+//   update()  calls that activate, dismissUpdate() hides the toast instead
+//   installPromptReceived(event)  keeps a beforeinstallprompt event
+//   install()  shows the browser's install dialog, resolves to its outcome
+//   installed()  the app was installed, so the button goes away
+
+export function createPwaStore() {
+  let snapshot = { updateAvailable: false, installable: false };
+  let activateUpdate = null;
+  let installPrompt = null;
+  const listeners = new Set();
+
+  function emitChange(changes) {
+    snapshot = { ...snapshot, ...changes };
+    listeners.forEach((listener) => listener());
+  }
+
+  return {
+    updateWaiting(activate) {
+      activateUpdate = activate;
+      emitChange({ updateAvailable: true });
+    },
+    update() {
+      if (activateUpdate) {
+        activateUpdate();
+      }
+    },
+    dismissUpdate() {
+      emitChange({ updateAvailable: false });
+    },
+    installPromptReceived(event) {
+      installPrompt = event;
+      emitChange({ installable: true });
+    },
+    async install() {
+      if (!installPrompt) {
+        return "unavailable";
+      }
+      // A prompt can only be shown once; the browser fires a new
+      // beforeinstallprompt if the user may be asked again.
+      const prompt = installPrompt;
+      installPrompt = null;
+      emitChange({ installable: false });
+      prompt.prompt();
+      const { outcome } = await prompt.userChoice;
+      return outcome;
+    },
+    installed() {
+      installPrompt = null;
+      emitChange({ installable: false });
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot() {
+      return snapshot;
+    },
+  };
+}
+
+const pwaStore = createPwaStore();
+
+export default pwaStore;
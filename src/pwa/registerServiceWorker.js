@@ -0,0 +1,51 @@
+import { Workbox } from "workbox-window";
+import pwaStore from "./pwaStore";
+
+/**
+ * Registers src/service-worker.js (built into service-worker.js) and tells
+ * store when a new version is waiting. Updating asks the waiting worker to
+ * take over and reloads the page once it has, so the page and the cache it
+ * runs from are always the same version. A registration that fails (a
+ * missing service-worker.js, a browser that blocks service workers) is logged;
+ * the app keeps working, just not offline. Takes a workbox-window Workbox,
+ * tests pass a fake one.
+ */
+export default function registerServiceWorker({
+  store = pwaStore,
+  workbox = new Workbox(`${process.env.PUBLIC_URL}/service-worker.js`),
+  reload = () => window.location.reload(),
+  logger = console,
+} = {}) {
+  workbox.addEventListener("waiting", () => {
+    store.updateWaiting(() => {
+      workbox.addEventListener("controlling", reload);
+      workbox.messageSkipWaiting();
+    });
+  });
+  return workbox.register().catch((error) => {
+    logger.error("Error during service worker registration:", error);
+  });
+}
+
+/**
+ * Keeps the browser from showing its own install banner and hands the
+ * beforeinstallprompt event to store, for the install button. Returns a
+ * function that stops listening.
+ */
+export function listenForInstallPrompt({
+  store = pwaStore,
+  target = window,
+} = {}) {
+  const onBeforeInstallPrompt = (event) => {
+    event.preventDefault();
+    store.installPromptReceived(event);
+  };
+  const onAppInstalled = () => store.installed();
+
+  target.addEventListener("beforeinstallprompt", onBeforeInstallPrompt);
+  target.addEventListener("appinstalled", onAppInstalled);
+  return () => {
+    target.removeEventListener("beforeinstallprompt", onBeforeInstallPrompt);
+    target.removeEventListener("appinstalled", onAppInstalled);
+  };
+}
@@ -0,0 +1,125 @@
+import { act, render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { createPwaStore } from "./pwaStore";
+import registerServiceWorker, {
+  listenForInstallPrompt,
+} from "./registerServiceWorker";
+import InstallButton from "./InstallButton";
+import UpdateToast from "./UpdateToast";
+
+// Stands in for workbox-window's Workbox: fire(type) dispatches to the
+// listeners registerServiceWorker added.
+function createFakeWorkbox() {
+  const target = new EventTarget();
+  return {
+    addEventListener: (type, listener) =>
+      target.addEventListener(type, listener),
+    fire: (type) => target.dispatchEvent(new Event(type)),
+    messageSkipWaiting: jest.fn(),
+    register: jest.fn(() => Promise.resolve()),
+  };
+}
+
+function installPromptEvent(outcome) {
+  return Object.assign(new Event("beforeinstallprompt", { cancelable: true }), {
+    prompt: jest.fn(),
+    userChoice: Promise.resolve({ outcome, platform: "web" }),
+  });
+}
+
+test("a waiting worker shows the toast, and Reload activates it before reloading", async () => {
+  const store = createPwaStore();
+  const workbox = createFakeWorkbox();
+  const reload = jest.fn();
+  await registerServiceWorker({ store, workbox, reload });
+  expect(workbox.register).toHaveBeenCalled();
+
+  render(<UpdateToast store={store} />);
+  expect(screen.getByRole("status")).toBeEmptyDOMElement();
+
+  act(() => workbox.fire("waiting"));
+  expect(screen.getByRole("status")).toHaveTextContent(
+    "A new version of the playground is available."
+  );
+
+  userEvent.click(screen.getByRole("button", { name: "Reload" }));
+  expect(workbox.messageSkipWaiting).toHaveBeenCalledTimes(1);
+  expect(reload).not.toHaveBeenCalled();
+  workbox.fire("controlling");
+  expect(reload).toHaveBeenCalledTimes(1);
+});
+
+test("a failed registration is logged instead of rejecting", async () => {
+  const workbox = createFakeWorkbox();
+  const error = new Error("Failed to register: 404");
+  workbox.register.mockReturnValue(Promise.reject(error));
+  const logger = { error: jest.fn() };
+
+  await expect(
+    registerServiceWorker({ store: createPwaStore(), workbox, logger })
+  ).resolves.toBeUndefined();
+  expect(logger.error).toHaveBeenCalledWith(
+    "Error during service worker registration:",
+    error
+  );
+});
+
+test("Later hides the toast without updating", () => {
+  const store = createPwaStore();
+  const activate = jest.fn();
+  render(<UpdateToast store={store} />);
+
+  act(() => store.updateWaiting(activate));
+  userEvent.click(screen.getByRole("button", { name: "Later" }));
+  expect(screen.getByRole("status")).toBeEmptyDOMElement();
+  expect(activate).not.toHaveBeenCalled();
+});
+
+test("the install button shows the deferred prompt once", async () => {
+  const store = createPwaStore();
+  const stopListening = listenForInstallPrompt({ store });
+  render(<InstallButton store={store} />);
+  expect(screen.queryByRole("button")).not.toBeInTheDocument();
+
+  const event = installPromptEvent("accepted");
+  act(() => {
+    window.dispatchEvent(event);
+  });
+  expect(event.defaultPrevented).toBe(true);
+
+  userEvent.click(screen.getByRole("button", { name: "Install app" }));
+  expect(event.prompt).toHaveBeenCalledTimes(1);
+  expect(screen.queryByRole("button")).not.toBeInTheDocument();
+  await expect(store.install()).resolves.toBe("unavailable");
+
+  stopListening();
+  act(() => {
+    window.dispatchEvent(installPromptEvent("accepted"));
+  });
+  expect(screen.queryByRole("button")).not.toBeInTheDocument();
+});
+
+test("install resolves to the user's choice and appinstalled hides the button", async () => {
+  const store = createPwaStore();
+  const stopListening = listenForInstallPrompt({ store });
+  render(<InstallButton store={store} />);
+
+  act(() => {
+    window.dispatchEvent(installPromptEvent("dismissed"));
+  });
+  let outcome;
+  await act(async () => {
+    outcome = await store.install();
+  });
+  expect(outcome).toBe("dismissed");
+
+  act(() => {
+    window.dispatchEvent(installPromptEvent("accepted"));
+  });
+  expect(screen.getByRole("button", { name: "Install app" })).toBeVisible();
+  act(() => {
+    window.dispatchEvent(new Event("appinstalled"));
+  });
+  expect(screen.queryByRole("button")).not.toBeInTheDocument();
+  stopListening();
+});
@@ -1,12 +1,18 @@
+// Collects the Core Web Vitals (CLS, FID, LCP, plus INP, which replaces FID)
+// and the FCP and TTFB diagnostics with the web-vitals v3 on* API. Each
+// callback may run more than once per page, e.g. when CLS grows.
 const reportWebVitals = (onPerfEntry) => {
   if (onPerfEntry && onPerfEntry instanceof Function) {
-    import("web-vitals").then(({ getCLS, getFID, getFCP, getLCP, getTTFB }) => {
-      getCLS(onPerfEntry);
-      getFID(onPerfEntry);
-      getFCP(onPerfEntry);
-      getLCP(onPerfEntry);
-      getTTFB(onPerfEntry);
-    });
+    import("web-vitals").then(
+      ({ onCLS, onFCP, onFID, onINP, onLCP, onTTFB }) => {
+        onCLS(onPerfEntry);
+        onFCP(onPerfEntry);
+        onFID(onPerfEntry);
+        onINP(onPerfEntry);
+        onLCP(onPerfEntry);
+        onTTFB(onPerfEntry);
+      }
+    );
   }
 };
 
@@ -0,0 +1,106 @@
+import { createContext, useContext, useEffect, useMemo, useState } from "react";
+import PropTypes from "prop-types";
+import createHistory from "./history";
+
+const RouterContext = createContext(null);
+
+/**
+ * Keeps the current path in state and re-renders on navigation.
+ */
+export function RouterProvider({ history, children }) {
+  const [router] = useState(() => history || createHistory());
+  const [path, setPath] = useState(() => router.getPath());
+
+  useEffect(() => {
+    // The path may have changed between the first render and subscribing.
+    setPath(router.getPath());
+    return router.listen(setPath);
+  }, [router]);
+
+  const value = useMemo(
+    () => ({
+      path,
+      mode: router.mode,
+      navigate: (to, { replace = false } = {}) =>
+        replace ? router.replace(to) : router.push(to),
+      href: router.href,
+    }),
+    [path, router]
+  );
+
+  return (
+    <RouterContext.Provider value={value}>{children}</RouterContext.Provider>
+  );
+}
+
+RouterProvider.propTypes = {
+  /**
+   * History created by createHistory(); defaults to the one picked for the
+   * current environment
+   */
+  history: PropTypes.shape({
+    mode: PropTypes.string.isRequired,
+    getPath: PropTypes.func.isRequired,
+    push: PropTypes.func.isRequired,
+    replace: PropTypes.func.isRequired,
+    href: PropTypes.func.isRequired,
+    listen: PropTypes.func.isRequired,
+  }),
+  children: PropTypes.node.isRequired,
+};
+
+RouterProvider.defaultProps = {
+  history: null,
+};
+
+export function useRouter() {
+  const router = useContext(RouterContext);
+  if (!router) {
+    throw new Error("useRouter must be used within a <RouterProvider>");
+  }
+  return router;
+}
+
+/**
+ * Anchor that navigates client-side, but still works as a plain link when
+ * opened in a new tab.
+ */
+export function Link({ to, children, ...props }) {
+  const { navigate, href, path } = useRouter();
+
+  // The query string can change without a re-render (usePersistentState writes
+  // it), so the href is brought up to date right before a new tab or the
+  // context menu's "Copy link" reads it.
+  function updateHref(event) {
+    event.currentTarget.setAttribute("href", href(to));
+  }
+
+  function handleClick(event) {
+    updateHref(event);
+    const modified =
+      event.metaKey || event.altKey || event.ctrlKey || event.shiftKey;
+    if (event.defaultPrevented || event.button !== 0 || modified) {
+      return;
+    }
+    event.preventDefault();
+    navigate(to);
+  }
+
+  return (
+    <a
+      href={href(to)}
+      onClick={handleClick}
+      onAuxClick={updateHref}
+      onContextMenu={updateHref}
+      aria-current={path === to ? "page" : undefined}
+      {...props}
+    >
+      {children}
+    </a>
+  );
+}
+
+Link.propTypes = {
+  to: PropTypes.string.isRequired,
+  children: PropTypes.node.isRequired,
+};
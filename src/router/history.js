@@ -0,0 +1,134 @@
+// A tiny history abstraction so the playground can route without a router
+// dependency. Both flavours expose the same shape:
+//   { mode, getPath(), push(path), replace(path), listen(listener), href(path) }
+// The "browser" history uses the History API and real paths under the public
+// URL. The "hash" history keeps the route after "#", which works with any
+// static server, e.g. the `serve -ns build` deploy. Both keep the query string
+// in the URLs they navigate to and the hrefs they make, as it holds the state
+// of every example (see usePersistentState's "query" storage).
+
+function normalizePath(path) {
+  if (!path) {
+    return "/";
+  }
+  const withSlash = path.startsWith("/") ? path : `/${path}`;
+  return withSlash.length > 1 ? withSlash.replace(/\/+$/, "") : withSlash;
+}
+
+function stripBasename(pathname, basename) {
+  if (basename && pathname.startsWith(basename)) {
+    return pathname.slice(basename.length);
+  }
+  return pathname;
+}
+
+function createListeners() {
+  const listeners = new Set();
+
+  return {
+    add(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    notify(path) {
+      listeners.forEach((listener) => listener(path));
+    },
+  };
+}
+
+// PUBLIC_URL may be empty, a path or a full URL; only its path matters here.
+function toBasePath(basename) {
+  if (!basename) {
+    return "";
+  }
+  const { pathname } = new URL(basename, window.location.origin);
+  return pathname.replace(/\/+$/, "");
+}
+
+export function createBrowserHistory(basename = "") {
+  const base = toBasePath(basename);
+  const listeners = createListeners();
+
+  function getPath() {
+    return normalizePath(stripBasename(window.location.pathname, base));
+  }
+
+  function navigate(method, path) {
+    const next = normalizePath(path);
+    if (next === getPath()) {
+      return;
+    }
+    window.history[method](null, "", `${base}${next}${window.location.search}`);
+    listeners.notify(next);
+  }
+
+  return {
+    mode: "browser",
+    getPath,
+    push: (path) => navigate("pushState", path),
+    replace: (path) => navigate("replaceState", path),
+    href: (path) => `${base}${normalizePath(path)}${window.location.search}`,
+    listen(listener) {
+      const onPopState = () => listener(getPath());
+      window.addEventListener("popstate", onPopState);
+      const unlisten = listeners.add(listener);
+      return () => {
+        window.removeEventListener("popstate", onPopState);
+        unlisten();
+      };
+    },
+  };
+}
+
+export function createHashHistory() {
+  function getPath() {
+    return normalizePath(window.location.hash.replace(/^#/, ""));
+  }
+
+  function navigate(path, replace) {
+    const next = normalizePath(path);
+    if (next === getPath()) {
+      return;
+    }
+    if (replace) {
+      window.location.replace(`#${next}`);
+    } else {
+      window.location.hash = next;
+    }
+  }
+
+  return {
+    mode: "hash",
+    getPath,
+    push: (path) => navigate(path, false),
+    replace: (path) => navigate(path, true),
+    href: (path) => `${window.location.search}#${normalizePath(path)}`,
+    listen(listener) {
+      const onHashChange = () => listener(getPath());
+      window.addEventListener("hashchange", onHashChange);
+      return () => window.removeEventListener("hashchange", onHashChange);
+    },
+  };
+}
+
+// Picks the history flavour. REACT_APP_ROUTER_MODE=hash|browser forces one;
+// otherwise a URL that already carries a "#/" route keeps using the hash (so
+// shared hash links keep working), and browsers without pushState fall back
+// to it as well.
+export default function createHistory(
+  mode = process.env.REACT_APP_ROUTER_MODE,
+  basename = process.env.PUBLIC_URL
+) {
+  const supportsHistory =
+    typeof window !== "undefined" &&
+    window.history &&
+    typeof window.history.pushState === "function";
+
+  if (mode === "hash" || !supportsHistory) {
+    return createHashHistory();
+  }
+  if (mode !== "browser" && window.location.hash.startsWith("#/")) {
+    return createHashHistory();
+  }
+  return createBrowserHistory(basename);
+}
@@ -0,0 +1,56 @@
+/* eslint-disable no-restricted-globals */
+// Built by react-scripts (Workbox InjectManifest) into service-worker.js,
+// which src/pwa/registerServiceWorker.js registers in production builds.
+// Nothing in here runs in development or in tests.
+import { clientsClaim } from "workbox-core";
+import { ExpirationPlugin } from "workbox-expiration";
+import { createHandlerBoundToURL, precacheAndRoute } from "workbox-precaching";
+import { offlineFallback } from "workbox-recipes";
+import { registerRoute } from "workbox-routing";
+import { NetworkOnly, StaleWhileRevalidate } from "workbox-strategies";
+
+clientsClaim();
+
+// Every file the build emits. Its URLs are revisioned, so a new build
+// installs a new worker that waits until the page asks it to take over (see
+// the message listener below).
+// eslint-disable-next-line no-underscore-dangle
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Navigations to the app's routes get the precached index.html, so every
+// example opens offline. Paths starting with /_ and paths with a file
+// extension aren't routes and go to the network.
+const fileExtension = /\/[^/?]+\.[^/]+$/;
+registerRoute(({ request, url }) => {
+  if (request.mode !== "navigate") {
+    return false;
+  }
+  if (url.pathname.startsWith("/_") || url.pathname.match(fileExtension)) {
+    return false;
+  }
+  return true;
+}, createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`));
+
+// The files in public/ aren't part of the build's manifest.
+registerRoute(
+  ({ url }) =>
+    url.origin === self.location.origin &&
+    /\.(png|ico|json)$/.test(url.pathname),
+  new StaleWhileRevalidate({
+    cacheName: "public-files",
+    plugins: [new ExpirationPlugin({ maxEntries: 20 })],
+  })
+);
+
+// Any other navigation goes to the network, and when that fails gets
+// public/offline.html instead of the browser's error page.
+registerRoute(({ request }) => request.mode === "navigate", new NetworkOnly());
+offlineFallback({ pageFallback: "offline.html" });
+
+// The update toast's Reload button: activate now instead of waiting for every
+// tab to close.
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  }
+});
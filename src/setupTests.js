@@ -2,4 +2,112 @@
 // allows you to do things like:
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
-import '@testing-library/jest-dom';
+import "@testing-library/jest-dom";
+import { StrictMode } from "react";
+import PropTypes from "prop-types";
+import { render } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { axe, toHaveNoViolations } from "jest-axe";
+import { axeRules } from "./a11y/allowlist";
+import ErrorLoggerContext from "./errors/ErrorLoggerContext";
+import { createMemoryLogger } from "./errors/errorLoggers";
+import { I18nProvider } from "./i18n/I18n";
+import EffectLogContext, { createEffectLog } from "./lifecycle/effectLog";
+import mockApi from "./mocks/mockApi";
+import server from "./mocks/server";
+import { RouterProvider } from "./router/Router";
+import { DocumentTitleProvider } from "./title/DocumentTitle";
+
+expect.extend(toHaveNoViolations);
+
+// The counters keep their count in the URL, and the router reads it too, so
+// every test starts from a clean one.
+afterEach(() => {
+  window.history.replaceState(null, "", "/");
+});
+
+// The mock API answers fetch() as it does in the browser; a request it has no
+// handler for fails the test.
+beforeAll(() => server.listen({ onUnhandledRequest: "error" }));
+afterEach(() => {
+  server.resetHandlers();
+  mockApi.reset();
+});
+afterAll(() => server.close());
+
+function createProviders({ strict, locale, effectLog, errorLogger }) {
+  function Providers({ children }) {
+    const tree = (
+      <ErrorLoggerContext.Provider value={errorLogger}>
+        <I18nProvider locale={locale}>
+          <DocumentTitleProvider>
+            <RouterProvider>
+              <EffectLogContext.Provider value={effectLog}>
+                {children}
+              </EffectLogContext.Provider>
+            </RouterProvider>
+          </DocumentTitleProvider>
+        </I18nProvider>
+      </ErrorLoggerContext.Provider>
+    );
+    return strict ? <StrictMode>{tree}</StrictMode> : tree;
+  }
+
+  Providers.propTypes = {
+    children: PropTypes.node.isRequired,
+  };
+
+  return Providers;
+}
+
+/**
+ * Renders ui inside the providers the app gives every example: StrictMode
+ * (pass strict: false to leave it out), the locale (English unless you pass
+ * another), the document title stack, the router at route, an error logger
+ * and an effect log. Returns what render returns,
+ * plus the effect log and the error logger to assert on.
+ */
+export default function renderWithProviders(
+  ui,
+  { route = "/", strict = true, locale = "en", ...options } = {}
+) {
+  window.history.replaceState(null, "", route);
+  const effectLog = createEffectLog();
+  const errorLogger = createMemoryLogger();
+  const wrapper = createProviders({ strict, locale, effectLog, errorLogger });
+
+  return { ...render(ui, { wrapper, ...options }), effectLog, errorLogger };
+}
+
+/**
+ * Runs axe on container (the whole document by default) and fails on any
+ * violation, except for the rules in allow, given as { [ruleId]: reason }.
+ * jsdom doesn't lay anything out, so color-contrast is only checked in
+ * Storybook's Accessibility panel.
+ */
+export async function expectNoA11yViolations(
+  container = document.body,
+  { allow } = {}
+) {
+  expect(await axe(container, { rules: axeRules(allow) })).toHaveNoViolations();
+}
+
+/**
+ * Tabs from the start of the document through every element in expected, in
+ * order, checking that each one gets the focus and that nothing else is
+ * focusable after them, then Shift+Tabs back through them in reverse
+ */
+export function expectTabOrder(expected) {
+  document.activeElement.blur();
+  expected.forEach((element) => {
+    userEvent.tab();
+    expect(element).toHaveFocus();
+  });
+  userEvent.tab();
+  expect(document.body).toHaveFocus();
+
+  [...expected].reverse().forEach((element) => {
+    userEvent.tab({ shift: true });
+    expect(element).toHaveFocus();
+  });
+}
@@ -0,0 +1,231 @@
+import { useEffect, useRef } from "react";
+import PropTypes from "prop-types";
+
+import { createTranslator, useI18n } from "../i18n/I18n";
+import Button from "./Button";
+import Form, { FormActions } from "./Form";
+import TextField from "./TextField";
+import { themePropType } from "./ThemeProvider";
+import useForm from "./useForm";
+import "./auth.css";
+
+// Labels are message ids, see src/i18n/messages.
+const fields = {
+  name: { label: "auth.name", type: "text", autoComplete: "name" },
+  email: { label: "auth.email", type: "email", autoComplete: "email" },
+  password: { label: "auth.password", type: "password" },
+};
+
+// The fields of each mode; its text is under auth.<mode>.* in the catalogs.
+const modes = {
+  login: ["email", "password"],
+  signup: ["name", "email", "password"],
+};
+
+const english = createTranslator("en");
+
+export const minPasswordLength = 8;
+
+/**
+ * The form's errors by field name, worded by t (English by default); empty
+ * when the values can be submitted
+ */
+export function validateAuthForm(mode, values, t = english) {
+  const errors = {};
+  if (mode === "signup" && !values.name.trim()) {
+    errors.name = t("auth.error.nameRequired");
+  }
+  if (!values.email.trim()) {
+    errors.email = t("auth.error.emailRequired");
+  } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(values.email.trim())) {
+    errors.email = t("auth.error.emailInvalid");
+  }
+  if (!values.password) {
+    errors.password = t("auth.error.passwordRequired");
+  } else if (mode === "signup" && values.password.length < minPasswordLength) {
+    errors.password = t("auth.error.passwordTooShort", {
+      min: minPasswordLength,
+    });
+  }
+  return errors;
+}
+
+/**
+ * Login or signup form; errors from onSubmit show on their field when they
+ * name one, and above the form otherwise
+ */
+function AuthForm({ mode, onSubmit, onCancel, onSwitchMode, theme }) {
+  const { t } = useI18n();
+  const { field, formError, submitting, handleSubmit } = useForm({
+    initialValues: { name: "", email: "", password: "" },
+    validate: (values) => validateAuthForm(mode, values, t),
+    onSubmit: (values) => onSubmit({ ...values, email: values.email.trim() }),
+  });
+
+  return (
+    <Form
+      className="storybook-form storybook-auth-form"
+      title={t(`auth.${mode}.title`)}
+      error={formError}
+      onSubmit={handleSubmit}
+      theme={theme}
+    >
+      {modes[mode].map((name) => (
+        <TextField
+          key={name}
+          label={t(fields[name].label)}
+          type={fields[name].type}
+          autoComplete={
+            fields[name].autoComplete ||
+            (mode === "signup" ? "new-password" : "current-password")
+          }
+          // eslint-disable-next-line react/jsx-props-no-spreading
+          {...field(name)}
+        />
+      ))}
+      <FormActions>
+        <Button
+          primary
+          type="submit"
+          label={t(`auth.${mode}.submit`)}
+          loading={submitting}
+        />
+        {onCancel && <Button label={t("auth.cancel")} onClick={onCancel} />}
+      </FormActions>
+      {onSwitchMode && (
+        <p className="storybook-auth-form__switch">
+          {t(`auth.${mode}.switchPrompt`)}{" "}
+          <Button
+            variant="ghost"
+            size="small"
+            label={t(`auth.${mode}.switchLabel`)}
+            onClick={() => onSwitchMode(mode === "login" ? "signup" : "login")}
+          />
+        </p>
+      )}
+    </Form>
+  );
+}
+
+export default AuthForm;
+
+AuthForm.propTypes = {
+  /**
+   * Which form to show
+   */
+  mode: PropTypes.oneOf(Object.keys(modes)),
+  /**
+   * Called with the field values once they are valid; a rejected promise
+   * shows its error message, on the field named by error.field if there is one
+   */
+  onSubmit: PropTypes.func.isRequired,
+  /**
+   * Adds a Cancel button
+   */
+  onCancel: PropTypes.func,
+  /**
+   * Adds a link to the other form; called with its mode
+   */
+  onSwitchMode: PropTypes.func,
+  /**
+   * Theme for the form, by name or as a theme object; defaults to the
+   * surrounding ThemeProvider's
+   */
+  theme: themePropType,
+};
+
+AuthForm.defaultProps = {
+  mode: "login",
+  onCancel: null,
+  onSwitchMode: null,
+  theme: null,
+};
+
+const focusable = [
+  "a[href]",
+  "button:not([disabled])",
+  "input:not([disabled])",
+  "select:not([disabled])",
+  "textarea:not([disabled])",
+  '[tabindex]:not([tabindex="-1"])',
+].join(", ");
+
+/**
+ * AuthForm in a modal dialog: it takes the focus when it opens, keeps Tab and
+ * Shift+Tab inside, closes on Escape and gives the focus back to whatever had
+ * it before, usually the button that opened it
+ */
+export function AuthDialog({ mode, onSubmit, onClose, onSwitchMode }) {
+  const ref = useRef();
+  const { t } = useI18n();
+
+  // Declared before the effect that moves the focus in, so it sees the opener.
+  useEffect(() => {
+    const opener = document.activeElement;
+    return () => opener && opener.focus();
+  }, []);
+
+  useEffect(() => {
+    ref.current.querySelector("input").focus();
+  }, [mode]);
+
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if (event.key === "Escape") {
+        onClose();
+        return;
+      }
+      if (event.key !== "Tab") {
+        return;
+      }
+      const elements = [...ref.current.querySelectorAll(focusable)];
+      const first = elements[0];
+      const last = elements[elements.length - 1];
+      const inside = ref.current.contains(document.activeElement);
+      if (event.shiftKey && (!inside || document.activeElement === first)) {
+        event.preventDefault();
+        last.focus();
+      } else if (
+        !event.shiftKey &&
+        (!inside || document.activeElement === last)
+      ) {
+        event.preventDefault();
+        first.focus();
+      }
+    };
+    document.addEventListener("keydown", onKeyDown);
+    return () => document.removeEventListener("keydown", onKeyDown);
+  }, [onClose]);
+
+  return (
+    <div className="storybook-auth-backdrop">
+      <div
+        ref={ref}
+        className="storybook-auth-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-label={t(`auth.${mode}.title`)}
+      >
+        <AuthForm
+          key={mode}
+          mode={mode}
+          onSubmit={onSubmit}
+          onCancel={onClose}
+          onSwitchMode={onSwitchMode}
+        />
+      </div>
+    </div>
+  );
+}
+
+AuthDialog.propTypes = {
+  mode: AuthForm.propTypes.mode,
+  onSubmit: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onSwitchMode: PropTypes.func,
+};
+
+AuthDialog.defaultProps = {
+  mode: "login",
+  onSwitchMode: null,
+};
@@ -0,0 +1,65 @@
+import { within, userEvent } from "@storybook/testing-library";
+
+import { a11yAllowlist, primaryButtonContrast } from "../a11y/allowlist";
+import { AuthError } from "./auth";
+import AuthForm from "./AuthForm";
+import { themeNames } from "./themes";
+
+export default {
+  title: "Example/AuthForm",
+  component: AuthForm,
+  // Every form ends in a primary submit button.
+  parameters: {
+    a11y: a11yAllowlist(primaryButtonContrast),
+  },
+  argTypes: {
+    theme: { control: "select", options: themeNames },
+  },
+};
+
+const Template = (args) => <AuthForm {...args} />;
+
+export const Login = Template.bind({});
+Login.args = {
+  mode: "login",
+};
+
+export const Signup = Template.bind({});
+Signup.args = {
+  mode: "signup",
+};
+
+export const ValidationErrors = Template.bind({});
+ValidationErrors.args = {
+  mode: "signup",
+};
+ValidationErrors.play = async ({ canvasElement }) => {
+  const canvas = within(canvasElement);
+  await userEvent.type(canvas.getByLabelText("Email"), "jane@");
+  await userEvent.type(canvas.getByLabelText("Password"), "short");
+  await userEvent.click(canvas.getByRole("button", { name: "Sign up" }));
+  await canvas.findByText("Enter an email like jane@example.com");
+};
+
+// onSubmit rejects the way an adapter does when the credentials are wrong.
+export const SubmitError = Template.bind({});
+SubmitError.args = {
+  mode: "login",
+  onSubmit: () => Promise.reject(new AuthError("Wrong email or password")),
+};
+SubmitError.play = async ({ canvasElement }) => {
+  const canvas = within(canvasElement);
+  await userEvent.type(canvas.getByLabelText("Email"), "jane@example.com");
+  await userEvent.type(canvas.getByLabelText("Password"), "hunter22");
+  await userEvent.click(canvas.getByRole("button", { name: "Log in" }));
+  await canvas.findByRole("alert");
+};
+
+export const EmailTaken = Template.bind({});
+EmailTaken.args = {
+  mode: "signup",
+  onSubmit: () =>
+    Promise.reject(
+      new AuthError("There is already an account for this email", "email")
+    ),
+};
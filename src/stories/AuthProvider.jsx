@@ -0,0 +1,126 @@
+import { createContext, useContext, useEffect, useMemo, useState } from "react";
+import PropTypes from "prop-types";
+
+const AuthContext = createContext(null);
+
+// setTimeout fires right away when given more than this, about 24.8 days, so
+// longer sessions wait for their expiry in steps.
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+const restoring = { status: "restoring", session: null, expired: false };
+
+function signedIn(session) {
+  return { status: "signedIn", session, expired: false };
+}
+
+function signedOut(expired = false) {
+  return { status: "signedOut", session: null, expired };
+}
+
+/**
+ * Keeps track of who is signed in. The adapter does the signing in; the
+ * provider restores the previous session on mount and signs out when the
+ * session's token expires.
+ */
+function AuthProvider({ adapter, children }) {
+  const [state, setState] = useState(restoring);
+  const { session } = state;
+
+  useEffect(() => {
+    let current = true;
+    setState(restoring);
+    adapter
+      .restore()
+      .then((restored) => {
+        if (current) {
+          setState(restored ? signedIn(restored) : signedOut());
+        }
+      })
+      // A session that can't be read back is as good as none.
+      .catch(() => {
+        if (current) {
+          setState(signedOut());
+        }
+      });
+    return () => {
+      current = false;
+    };
+  }, [adapter]);
+
+  useEffect(() => {
+    if (!session) {
+      return undefined;
+    }
+    let timeout;
+    const expireWhenDue = () => {
+      const remaining = session.expiresAt - Date.now();
+      if (remaining > MAX_TIMEOUT) {
+        timeout = setTimeout(expireWhenDue, MAX_TIMEOUT);
+        return;
+      }
+      timeout = setTimeout(() => {
+        adapter.logout(session).catch(() => {});
+        setState(signedOut(true));
+      }, remaining);
+    };
+    expireWhenDue();
+    return () => clearTimeout(timeout);
+  }, [adapter, session]);
+
+  const value = useMemo(
+    () => ({
+      status: state.status,
+      user: session ? session.user : null,
+      session,
+      expired: state.expired,
+      async login(credentials) {
+        const started = await adapter.login(credentials);
+        setState(signedIn(started));
+        return started.user;
+      },
+      async signup(details) {
+        const started = await adapter.signup(details);
+        setState(signedIn(started));
+        return started.user;
+      },
+      // Never rejects: the header calls it without waiting, and a sign out
+      // the adapter couldn't record should still sign the user out here.
+      async logout() {
+        await adapter.logout(session).catch(() => {});
+        setState(signedOut());
+      },
+    }),
+    [adapter, state, session]
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+export default AuthProvider;
+
+AuthProvider.propTypes = {
+  /**
+   * Does the signing in, e.g. createMockAuthAdapter()
+   */
+  adapter: PropTypes.shape({
+    login: PropTypes.func.isRequired,
+    signup: PropTypes.func.isRequired,
+    logout: PropTypes.func.isRequired,
+    restore: PropTypes.func.isRequired,
+  }).isRequired,
+  children: PropTypes.node.isRequired,
+};
+
+/**
+ * The auth state of the closest AuthProvider: { status, user, session,
+ * expired, login, signup, logout }. status is "restoring" until the previous
+ * session has been looked up, then "signedIn" or "signedOut"; expired tells a
+ * sign out because the token ran out from one the user asked for.
+ */
+export function useAuth() {
+  const auth = useContext(AuthContext);
+  if (!auth) {
+    throw new Error("useAuth must be used within an <AuthProvider>");
+  }
+  return auth;
+}
@@ -0,0 +1,236 @@
+import {
+  act,
+  render,
+  renderHook,
+  screen,
+  waitFor,
+  within,
+} from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { expectNoA11yViolations } from "../setupTests";
+import { AuthError, createMockAuthAdapter } from "./auth";
+import { validateAuthForm } from "./AuthForm";
+import AuthProvider, { useAuth } from "./AuthProvider";
+import Page from "./Page";
+
+function renderPage(adapter) {
+  render(
+    <AuthProvider adapter={adapter}>
+      <Page />
+    </AuthProvider>
+  );
+}
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test("the mock adapter signs in known users and saves the session", async () => {
+  const adapter = createMockAuthAdapter({ latency: 0 });
+
+  await expect(
+    adapter.login({ email: "jane@example.com", password: "nope" })
+  ).rejects.toThrow(new AuthError("Wrong email or password"));
+
+  const session = await adapter.login({
+    email: "Jane@Example.com",
+    password: "password123",
+  });
+  expect(session.user).toEqual({ name: "Jane Doe", email: "jane@example.com" });
+  expect(await createMockAuthAdapter().restore()).toEqual(session);
+
+  await adapter.logout(session);
+  expect(await adapter.restore()).toBeNull();
+});
+
+test("the mock adapter drops expired sessions on restore", async () => {
+  const adapter = createMockAuthAdapter({ latency: 0, tokenLifetime: -1 });
+  await adapter.login({ email: "jane@example.com", password: "password123" });
+
+  expect(await adapter.restore()).toBeNull();
+  expect(localStorage.getItem("acme-session")).toBeNull();
+});
+
+test("the mock adapter takes any email the form accepts", async () => {
+  const adapter = createMockAuthAdapter({ latency: 0, storage: null });
+  const session = await adapter.signup({
+    name: "Łukasz",
+    email: "łukasz@przykład.pl",
+    password: "password123",
+  });
+  expect(session.user.email).toBe("łukasz@przykład.pl");
+});
+
+test("signup rejects taken emails on the email field", async () => {
+  const adapter = createMockAuthAdapter({ latency: 0, storage: null });
+  const error = await adapter
+    .signup({ name: "Jane", email: "jane@example.com", password: "whatever1" })
+    .catch((rejected) => rejected);
+
+  expect(error).toBeInstanceOf(AuthError);
+  expect(error.field).toBe("email");
+});
+
+test("validateAuthForm checks every field the mode shows", () => {
+  expect(
+    validateAuthForm("login", { name: "", email: "", password: "" })
+  ).toEqual({ email: "Enter your email", password: "Enter your password" });
+  expect(
+    validateAuthForm("signup", { name: " ", email: "jane@", password: "short" })
+  ).toEqual({
+    name: "Enter your name",
+    email: "Enter an email like jane@example.com",
+    password: "Use at least 8 characters",
+  });
+  expect(
+    validateAuthForm("signup", {
+      name: "Jane",
+      email: "jane@example.com",
+      password: "password123",
+    })
+  ).toEqual({});
+});
+
+test("logging in through the header's form", async () => {
+  renderPage(createMockAuthAdapter({ latency: 0 }));
+  userEvent.click(await screen.findByRole("button", { name: "Log in" }));
+
+  const dialog = screen.getByRole("dialog", { name: "Log in" });
+  expect(within(dialog).getByLabelText("Email")).toHaveFocus();
+
+  userEvent.click(within(dialog).getByRole("button", { name: "Log in" }));
+  const email = within(dialog).getByLabelText("Email");
+  expect(email).toHaveAttribute("aria-invalid", "true");
+  expect(email).toHaveAccessibleDescription("Enter your email");
+
+  userEvent.type(email, "jane@example.com");
+  expect(email).toHaveAttribute("aria-invalid", "false");
+  userEvent.type(within(dialog).getByLabelText("Password"), "hunter22");
+  userEvent.click(within(dialog).getByRole("button", { name: "Log in" }));
+  expect(await within(dialog).findByRole("alert")).toHaveTextContent(
+    "Wrong email or password"
+  );
+
+  userEvent.clear(within(dialog).getByLabelText("Password"));
+  userEvent.type(within(dialog).getByLabelText("Password"), "password123");
+  userEvent.click(within(dialog).getByRole("button", { name: "Log in" }));
+
+  expect(await screen.findByText("Jane Doe")).toBeInTheDocument();
+  expect(screen.queryByRole("dialog")).not.toBeInTheDocument();
+});
+
+test("signing up, switching over from the login form", async () => {
+  renderPage(createMockAuthAdapter({ latency: 0, storage: null }));
+  userEvent.click(await screen.findByRole("button", { name: "Log in" }));
+  userEvent.click(
+    within(screen.getByRole("dialog")).getByRole("button", { name: "Sign up" })
+  );
+
+  const dialog = screen.getByRole("dialog", { name: "Create an account" });
+  userEvent.type(within(dialog).getByLabelText("Name"), "John Roe");
+  userEvent.type(within(dialog).getByLabelText("Email"), "john@example.com");
+  userEvent.type(within(dialog).getByLabelText("Password"), "correct horse");
+  userEvent.click(within(dialog).getByRole("button", { name: "Sign up" }));
+
+  expect(await screen.findByText("John Roe")).toBeInTheDocument();
+  userEvent.click(screen.getByRole("button", { name: /Account menu/ }));
+  userEvent.click(screen.getByRole("menuitem", { name: "Log out" }));
+  expect(
+    await screen.findByRole("button", { name: "Log in" })
+  ).toBeInTheDocument();
+});
+
+test("a session that can't be restored leaves the user signed out", async () => {
+  const adapter = createMockAuthAdapter({ latency: 0, storage: null });
+  adapter.restore = () => Promise.reject(new Error("Storage is blocked"));
+  const { result } = renderHook(() => useAuth(), {
+    wrapper: ({ children }) => (
+      <AuthProvider adapter={adapter}>{children}</AuthProvider>
+    ),
+  });
+
+  expect(result.current.status).toBe("restoring");
+  await waitFor(() => expect(result.current.status).toBe("signedOut"));
+});
+
+test("logging out signs out even when the adapter fails to", async () => {
+  const adapter = createMockAuthAdapter({ latency: 0, storage: null });
+  adapter.logout = jest.fn(() => Promise.reject(new Error("Offline")));
+  await adapter.login({ email: "jane@example.com", password: "password123" });
+  renderPage(adapter);
+
+  userEvent.click(await screen.findByRole("button", { name: /Account menu/ }));
+  userEvent.click(screen.getByRole("menuitem", { name: "Log out" }));
+  expect(
+    await screen.findByRole("button", { name: "Log in" })
+  ).toBeInTheDocument();
+  expect(adapter.logout).toHaveBeenCalled();
+});
+
+test("restores the session and signs out when the token expires", async () => {
+  const adapter = createMockAuthAdapter({ latency: 0, tokenLifetime: 100 });
+  await adapter.login({ email: "jane@example.com", password: "password123" });
+  renderPage(adapter);
+
+  expect(await screen.findByText("Jane Doe")).toBeInTheDocument();
+  expect(await screen.findByRole("status")).toHaveTextContent(
+    "Your session expired"
+  );
+  expect(screen.getByRole("button", { name: "Log in" })).toBeInTheDocument();
+  await waitFor(() => expect(localStorage.getItem("acme-session")).toBeNull());
+});
+
+test("a session that lasts longer than setTimeout can wait stays signed in", async () => {
+  const adapter = createMockAuthAdapter({
+    latency: 0,
+    tokenLifetime: 30 * 24 * 60 * 60 * 1000,
+  });
+  await adapter.login({ email: "jane@example.com", password: "password123" });
+  renderPage(adapter);
+
+  expect(await screen.findByText("Jane Doe")).toBeInTheDocument();
+  await act(
+    () =>
+      new Promise((resolve) => {
+        setTimeout(resolve, 50);
+      })
+  );
+  expect(screen.getByText("Jane Doe")).toBeInTheDocument();
+  expect(screen.queryByRole("status")).not.toBeInTheDocument();
+});
+
+test("Escape closes the form and gives the focus back", async () => {
+  renderPage(createMockAuthAdapter({ latency: 0 }));
+  const opener = await screen.findByRole("button", { name: "Sign up" });
+  userEvent.click(opener);
+  userEvent.keyboard("{Escape}");
+
+  expect(screen.queryByRole("dialog")).not.toBeInTheDocument();
+  expect(opener).toHaveFocus();
+});
+
+test("Tab and Shift+Tab stay inside the form", async () => {
+  renderPage(createMockAuthAdapter({ latency: 0 }));
+  userEvent.click(await screen.findByRole("button", { name: "Log in" }));
+  const dialog = screen.getByRole("dialog", { name: "Log in" });
+  const email = within(dialog).getByLabelText("Email");
+  const switchMode = within(dialog).getByRole("button", { name: "Sign up" });
+  expect(email).toHaveFocus();
+
+  userEvent.tab({ shift: true });
+  expect(switchMode).toHaveFocus();
+  userEvent.tab();
+  expect(email).toHaveFocus();
+});
+
+test("the page passes an accessibility audit, with and without the form", async () => {
+  renderPage(createMockAuthAdapter({ latency: 0 }));
+  userEvent.click(await screen.findByRole("button", { name: "Log in" }));
+  const dialog = screen.getByRole("dialog", { name: "Log in" });
+  userEvent.click(within(dialog).getByRole("button", { name: "Log in" }));
+  expect(within(dialog).getByLabelText("Email")).toBeInvalid();
+  await expectNoA11yViolations();
+
+  userEvent.keyboard("{Escape}");
+  await expectNoA11yViolations();
+});
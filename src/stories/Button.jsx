@@ -1,34 +1,112 @@
 import PropTypes from "prop-types";
+import { themePropType, themeProps } from "./ThemeProvider";
 import "./button.css";
 
+export const variants = ["primary", "secondary", "outline", "ghost", "danger"];
+
 /**
  * Primary UI component for user interaction
  */
-function Button({ primary, backgroundColor, size, label, ...props }) {
-  const mode = primary
-    ? "storybook-button--primary"
-    : "storybook-button--secondary";
+function Button({
+  primary,
+  variant,
+  backgroundColor,
+  size,
+  label,
+  leadingIcon,
+  trailingIcon,
+  loading,
+  disabled,
+  fullWidth,
+  as: Element,
+  theme,
+  onClick,
+  ...props
+}) {
+  const mode = variant || (primary ? "primary" : "secondary");
+  const isButton = Element === "button";
+  // Loading buttons can't be pressed either, but stay focusable so screen
+  // readers can still find them and hear that they are busy.
+  const inactive = disabled || loading;
+  const { style: themeStyle, ...themeAttributes } = themeProps(theme);
+  const style =
+    themeStyle || backgroundColor
+      ? { ...themeStyle, ...(backgroundColor && { backgroundColor }) }
+      : undefined;
+
+  // Only <button> has a disabled attribute. Anything else (a link, most
+  // often) is marked aria-disabled, taken out of the tab order and has its
+  // clicks swallowed, so a disabled link doesn't navigate.
+  const stateProps = isButton
+    ? { type: "button", disabled }
+    : {
+        "aria-disabled": disabled || undefined,
+        tabIndex: disabled ? -1 : undefined,
+      };
+
+  const handleClick = (event) => {
+    if (inactive) {
+      event.preventDefault();
+      return;
+    }
+    if (onClick) {
+      onClick(event);
+    }
+  };
+
+  // Element is whatever `as` names, so the spread attributes are the same ones
+  // the <button> got before.
+  /* eslint-disable react/jsx-props-no-spreading */
   return (
-    <button
-      type="button"
-      className={["storybook-button", `storybook-button--${size}`, mode].join(
-        " "
-      )}
-      style={backgroundColor && { backgroundColor }}
+    <Element
+      className={[
+        "storybook-button",
+        `storybook-button--${size}`,
+        `storybook-button--${mode}`,
+        fullWidth && "storybook-button--full-width",
+        loading && "storybook-button--loading",
+      ]
+        .filter(Boolean)
+        .join(" ")}
+      style={style}
+      aria-busy={loading || undefined}
+      onClick={handleClick}
+      {...stateProps}
+      {...themeAttributes}
       {...props}
     >
-      {label}
-    </button>
+      {loading ? (
+        <span className="storybook-button__spinner" aria-hidden="true" />
+      ) : (
+        leadingIcon && (
+          <span className="storybook-button__icon" aria-hidden="true">
+            {leadingIcon}
+          </span>
+        )
+      )}
+      <span className="storybook-button__label">{label}</span>
+      {trailingIcon && (
+        <span className="storybook-button__icon" aria-hidden="true">
+          {trailingIcon}
+        </span>
+      )}
+    </Element>
   );
+  /* eslint-enable react/jsx-props-no-spreading */
 }
 
 export default Button;
 
 Button.propTypes = {
   /**
-   * Is this the principal call to action on the page?
+   * Is this the principal call to action on the page? Shorthand for
+   * variant="primary"
    */
   primary: PropTypes.bool,
+  /**
+   * Visual style; wins over primary when both are given
+   */
+  variant: PropTypes.oneOf(variants),
   /**
    * What background color to use
    */
@@ -41,6 +119,37 @@ Button.propTypes = {
    * Button contents
    */
   label: PropTypes.string.isRequired,
+  /**
+   * Icon before the label; decorative, the label names the button
+   */
+  leadingIcon: PropTypes.node,
+  /**
+   * Icon after the label; decorative, the label names the button
+   */
+  trailingIcon: PropTypes.node,
+  /**
+   * Shows a spinner in place of the leading icon, sets aria-busy and ignores
+   * clicks until it is done
+   */
+  loading: PropTypes.bool,
+  /**
+   * Can't be pressed or focused
+   */
+  disabled: PropTypes.bool,
+  /**
+   * Stretch to the width of the container
+   */
+  fullWidth: PropTypes.bool,
+  /**
+   * Element or component to render instead of a <button>, e.g. "a" together
+   * with an href
+   */
+  as: PropTypes.elementType,
+  /**
+   * Theme for this button alone, by name or as a theme object; defaults to
+   * the surrounding ThemeProvider's
+   */
+  theme: themePropType,
   /**
    * Optional click handler
    */
@@ -50,6 +159,14 @@ Button.propTypes = {
 Button.defaultProps = {
   backgroundColor: null,
   primary: false,
+  variant: null,
   size: "medium",
+  leadingIcon: null,
+  trailingIcon: null,
+  loading: false,
+  disabled: false,
+  fullWidth: false,
+  as: "button",
+  theme: null,
   onClick: undefined,
 };
@@ -1,4 +1,20 @@
-import Button from "./Button";
+import { a11yAllowlist, primaryButtonContrast } from "../a11y/allowlist";
+import Button, { variants } from "./Button";
+import { themeNames } from "./themes";
+
+const PlusIcon = () => (
+  <svg viewBox="0 0 16 16" fill="currentColor">
+    <path d="M7 2h2v5h5v2H9v5H7V9H2V7h5z" />
+  </svg>
+);
+
+const ArrowIcon = () => (
+  <svg viewBox="0 0 16 16" fill="currentColor">
+    <path d="M9 3l5 5-5 5-1.4-1.4L10.2 9H2V7h8.2L7.6 4.4z" />
+  </svg>
+);
+
+const icons = { none: null, plus: <PlusIcon />, arrow: <ArrowIcon /> };
 
 // More on default export: https://storybook.js.org/docs/react/writing-stories/introduction#default-export
 export default {
@@ -7,6 +23,20 @@ export default {
   // More on argTypes: https://storybook.js.org/docs/react/api/argtypes
   argTypes: {
     backgroundColor: { control: "color" },
+    theme: { control: "select", options: themeNames },
+    variant: { control: "select", options: variants },
+    // Icons are elements, so pick them by name.
+    leadingIcon: {
+      options: Object.keys(icons),
+      mapping: icons,
+      control: "select",
+    },
+    trailingIcon: {
+      options: Object.keys(icons),
+      mapping: icons,
+      control: "select",
+    },
+    as: { control: "select", options: ["button", "a", "span"] },
   },
 };
 
@@ -19,6 +49,10 @@ Primary.args = {
   primary: true,
   label: "Button",
 };
+// More on accessibility checks: https://storybook.js.org/addons/@storybook/addon-a11y
+Primary.parameters = {
+  a11y: a11yAllowlist(primaryButtonContrast),
+};
 
 export const Secondary = Template.bind({});
 Secondary.args = {
@@ -36,3 +70,127 @@ Small.args = {
   size: "small",
   label: "Button",
 };
+
+// A theme prop overrides the toolbar's theme for this button only.
+export const DarkTheme = Template.bind({});
+DarkTheme.args = {
+  primary: true,
+  label: "Button",
+  theme: "dark",
+};
+
+export const Outline = Template.bind({});
+Outline.args = {
+  variant: "outline",
+  label: "Button",
+};
+
+export const Ghost = Template.bind({});
+Ghost.args = {
+  variant: "ghost",
+  label: "Button",
+};
+
+export const Danger = Template.bind({});
+Danger.args = {
+  variant: "danger",
+  label: "Delete",
+};
+
+export const WithIcons = Template.bind({});
+WithIcons.args = {
+  primary: true,
+  label: "Add and continue",
+  leadingIcon: "plus",
+  trailingIcon: "arrow",
+};
+WithIcons.parameters = Primary.parameters;
+
+export const Loading = Template.bind({});
+Loading.args = {
+  primary: true,
+  label: "Saving",
+  loading: true,
+};
+Loading.parameters = Primary.parameters;
+
+export const Disabled = Template.bind({});
+Disabled.args = {
+  primary: true,
+  label: "Button",
+  disabled: true,
+};
+
+export const FullWidth = Template.bind({});
+FullWidth.args = {
+  primary: true,
+  label: "Button",
+  fullWidth: true,
+};
+FullWidth.parameters = Primary.parameters;
+
+// Rendered as a real link: it navigates, and disabled links stop doing so.
+export const AsLink = Template.bind({});
+AsLink.args = {
+  variant: "outline",
+  label: "Read the docs",
+  as: "a",
+  href: "https://storybook.js.org/docs",
+  trailingIcon: "arrow",
+};
+
+// Every variant in every state and size, on one screen for visual review.
+const sizes = ["small", "medium", "large"];
+
+const states = {
+  default: {},
+  icons: { leadingIcon: <PlusIcon />, trailingIcon: <ArrowIcon /> },
+  loading: { loading: true },
+  disabled: { disabled: true },
+  link: { as: "a", href: "#" },
+  "full width": { fullWidth: true },
+};
+
+export const AllCombinations = (args) => (
+  <table style={{ borderSpacing: 12 }}>
+    <thead>
+      <tr>
+        <th scope="col">Variant</th>
+        {Object.keys(states).map((state) => (
+          <th key={state} scope="col">
+            {state}
+          </th>
+        ))}
+      </tr>
+    </thead>
+    {sizes.map((size) => (
+      <tbody key={size}>
+        <tr>
+          <th scope="rowgroup" colSpan={Object.keys(states).length + 1}>
+            {size}
+          </th>
+        </tr>
+        {variants.map((variant) => (
+          <tr key={variant}>
+            <th scope="row">{variant}</th>
+            {Object.entries(states).map(([state, props]) => (
+              <td key={state}>
+                <Button
+                  {...args}
+                  size={size}
+                  variant={variant}
+                  label={variant}
+                  {...props}
+                />
+              </td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    ))}
+  </table>
+);
+AllCombinations.parameters = {
+  ...Primary.parameters,
+  controls: { include: ["theme"] },
+};
@@ -0,0 +1,75 @@
+import { render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { expectNoA11yViolations } from "../setupTests";
+import Button, { variants } from "./Button";
+
+test("variant wins over primary and icons stay out of the accessible name", () => {
+  render(
+    <Button
+      label="Delete"
+      primary
+      variant="danger"
+      leadingIcon={<svg data-testid="icon" />}
+    />
+  );
+  const button = screen.getByRole("button", { name: "Delete" });
+  expect(button).toHaveClass("storybook-button--danger");
+  expect(button).not.toHaveClass("storybook-button--primary");
+  expect(screen.getByTestId("icon").parentElement).toHaveAttribute(
+    "aria-hidden",
+    "true"
+  );
+});
+
+test("a loading button is busy, stays focusable and ignores clicks", () => {
+  const onClick = jest.fn();
+  render(
+    <Button
+      label="Save"
+      loading
+      leadingIcon={<svg data-testid="icon" />}
+      onClick={onClick}
+    />
+  );
+  const button = screen.getByRole("button", { name: "Save" });
+  expect(button).toHaveAttribute("aria-busy", "true");
+  expect(button).toBeEnabled();
+  expect(screen.queryByTestId("icon")).not.toBeInTheDocument();
+
+  userEvent.click(button);
+  expect(onClick).not.toHaveBeenCalled();
+});
+
+test("renders as a link, and a disabled link can't be followed or focused", () => {
+  const { rerender } = render(<Button as="a" href="#docs" label="Docs" />);
+  const link = screen.getByRole("link", { name: "Docs" });
+  expect(link).toHaveAttribute("href", "#docs");
+  expect(link).not.toHaveAttribute("type");
+
+  rerender(<Button as="a" href="#docs" label="Docs" disabled />);
+  expect(link).toHaveAttribute("aria-disabled", "true");
+  expect(link).toHaveAttribute("tabindex", "-1");
+  userEvent.click(link);
+  expect(window.location.hash).toBe("");
+});
+
+test("every variant and state passes an accessibility audit", async () => {
+  const { container } = render(
+    <>
+      {variants.map((variant) => (
+        <p key={variant}>
+          <Button variant={variant} label={variant} />
+          <Button variant={variant} label="Loading" loading />
+          <Button variant={variant} label="Disabled" disabled />
+          <Button variant={variant} label="Link" as="a" href="#docs" />
+          <Button
+            variant={variant}
+            label="Add"
+            leadingIcon={<svg viewBox="0 0 16 16" />}
+          />
+        </p>
+      ))}
+    </>
+  );
+  await expectNoA11yViolations(container);
+});
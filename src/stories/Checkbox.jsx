@@ -0,0 +1,57 @@
+import {
+  Field,
+  FieldLabel,
+  FieldMessages,
+  fieldDefaultProps,
+  fieldPropTypes,
+  useField,
+} from "./Field";
+
+/**
+ * Checkbox with its label beside it, and a description and error below
+ */
+function Checkbox({
+  label,
+  description,
+  error,
+  required,
+  disabled,
+  id,
+  theme,
+  ...props
+}) {
+  const { controlId, descriptionId, errorId, aria } = useField({
+    id,
+    description,
+    error,
+  });
+
+  return (
+    <Field kind="checkbox" error={error} disabled={disabled} theme={theme}>
+      <label htmlFor={controlId}>
+        <input
+          id={controlId}
+          className="storybook-field__checkbox"
+          type="checkbox"
+          required={required}
+          disabled={disabled}
+          {...aria}
+          {...props}
+        />
+        <FieldLabel label={label} required={required} />
+      </label>
+      <FieldMessages
+        description={description}
+        descriptionId={descriptionId}
+        error={error}
+        errorId={errorId}
+      />
+    </Field>
+  );
+}
+
+export default Checkbox;
+
+Checkbox.propTypes = fieldPropTypes;
+
+Checkbox.defaultProps = fieldDefaultProps;
@@ -0,0 +1,49 @@
+import { within, userEvent } from "@storybook/testing-library";
+
+import Checkbox from "./Checkbox";
+import { themeNames } from "./themes";
+
+export default {
+  title: "Example/Checkbox",
+  component: Checkbox,
+  argTypes: {
+    theme: { control: "select", options: themeNames },
+  },
+};
+
+const Template = (args) => <Checkbox {...args} />;
+
+export const Default = Template.bind({});
+Default.args = {
+  label: "Remember me",
+};
+
+export const WithDescription = Template.bind({});
+WithDescription.args = {
+  label: "Send me the newsletter",
+  description: "One email a month, unsubscribe any time",
+};
+
+export const Invalid = Template.bind({});
+Invalid.args = {
+  label: "I accept the terms",
+  required: true,
+  error: "Accept the terms to continue",
+};
+
+export const Disabled = Template.bind({});
+Disabled.args = {
+  label: "Remember me",
+  defaultChecked: true,
+  disabled: true,
+};
+
+export const Toggling = Template.bind({});
+Toggling.args = {
+  label: "Remember me",
+};
+Toggling.play = async ({ canvasElement }) => {
+  const canvas = within(canvasElement);
+  await userEvent.click(canvas.getByLabelText("Remember me"));
+  await canvas.findByRole("checkbox", { checked: true });
+};
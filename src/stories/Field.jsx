@@ -0,0 +1,171 @@
+import { useId } from "react";
+import PropTypes from "prop-types";
+
+import { themePropType, themeProps } from "./ThemeProvider";
+import "./form.css";
+
+// Shared by TextField, Checkbox, Select and RadioGroup: every control has a
+// label, and optionally a description and an error, both of which screen
+// readers announce with the control through aria-describedby.
+
+/**
+ * Ids for the control and its messages, and the aria attributes that tie
+ * them together
+ */
+export function useField({ id, description, error }) {
+  const generatedId = useId();
+  const controlId = id || generatedId;
+  const descriptionId = description ? `${controlId}-description` : undefined;
+  const errorId = error ? `${controlId}-error` : undefined;
+
+  return {
+    controlId,
+    descriptionId,
+    errorId,
+    aria: {
+      "aria-describedby":
+        [descriptionId, errorId].filter(Boolean).join(" ") || undefined,
+      "aria-invalid": Boolean(error),
+    },
+  };
+}
+
+/**
+ * Root element of a field, with the modifier classes its state calls for
+ */
+export function Field({ as: Element, kind, error, disabled, theme, children }) {
+  const themed = themeProps(theme);
+  return (
+    <Element
+      className={[
+        "storybook-field",
+        `storybook-field--${kind}`,
+        error && "storybook-field--invalid",
+        disabled && "storybook-field--disabled",
+      ]
+        .filter(Boolean)
+        .join(" ")}
+      data-theme={themed["data-theme"]}
+      style={themed.style}
+    >
+      {children}
+    </Element>
+  );
+}
+
+Field.propTypes = {
+  as: PropTypes.elementType,
+  kind: PropTypes.string.isRequired,
+  error: PropTypes.node,
+  disabled: PropTypes.bool,
+  theme: themePropType,
+  children: PropTypes.node.isRequired,
+};
+
+Field.defaultProps = {
+  as: "div",
+  error: null,
+  disabled: false,
+  theme: null,
+};
+
+/**
+ * The label text, marking required fields
+ */
+export function FieldLabel({ label, required }) {
+  return (
+    <span className="storybook-field__label">
+      {label}
+      {required && (
+        <span className="storybook-field__required" aria-hidden="true">
+          {" "}
+          *
+        </span>
+      )}
+    </span>
+  );
+}
+
+FieldLabel.propTypes = {
+  label: PropTypes.node.isRequired,
+  required: PropTypes.bool,
+};
+
+FieldLabel.defaultProps = {
+  required: false,
+};
+
+/**
+ * The description and error below a control
+ */
+export function FieldMessages({ description, descriptionId, error, errorId }) {
+  return (
+    <>
+      {description && (
+        <p id={descriptionId} className="storybook-field__description">
+          {description}
+        </p>
+      )}
+      {error && (
+        <p id={errorId} className="storybook-field__error">
+          {error}
+        </p>
+      )}
+    </>
+  );
+}
+
+FieldMessages.propTypes = {
+  description: PropTypes.node,
+  descriptionId: PropTypes.string,
+  error: PropTypes.node,
+  errorId: PropTypes.string,
+};
+
+FieldMessages.defaultProps = {
+  description: null,
+  descriptionId: undefined,
+  error: null,
+  errorId: undefined,
+};
+
+/**
+ * Props every field takes, documented once for all of them
+ */
+export const fieldPropTypes = {
+  /**
+   * Names the control
+   */
+  label: PropTypes.node.isRequired,
+  /**
+   * Hint shown below the control
+   */
+  description: PropTypes.node,
+  /**
+   * What is wrong with the value; marks the control invalid
+   */
+  error: PropTypes.node,
+  /**
+   * Marks the field as required
+   */
+  required: PropTypes.bool,
+  disabled: PropTypes.bool,
+  /**
+   * Id of the control; generated when left out
+   */
+  id: PropTypes.string,
+  /**
+   * Theme for this field alone, by name or as a theme object; defaults to the
+   * surrounding ThemeProvider's
+   */
+  theme: themePropType,
+};
+
+export const fieldDefaultProps = {
+  description: null,
+  error: null,
+  required: false,
+  disabled: false,
+  id: undefined,
+  theme: null,
+};
@@ -0,0 +1,74 @@
+import { useId } from "react";
+import PropTypes from "prop-types";
+
+import { themePropType, themeProps } from "./ThemeProvider";
+import "./form.css";
+
+/**
+ * Form with a title and an error for the form as a whole. Validation is left
+ * to the fields (see useForm), so the browser's own is turned off.
+ */
+function Form({ title, error, onSubmit, theme, children, ...props }) {
+  const id = useId();
+
+  return (
+    <form
+      className="storybook-form"
+      aria-labelledby={title ? `${id}-title` : undefined}
+      noValidate
+      onSubmit={onSubmit}
+      {...themeProps(theme)}
+      {...props}
+    >
+      {title && (
+        <h2 id={`${id}-title`} className="storybook-form__title">
+          {title}
+        </h2>
+      )}
+      {error && (
+        <p className="storybook-form__error" role="alert">
+          {error}
+        </p>
+      )}
+      {children}
+    </form>
+  );
+}
+
+export default Form;
+
+Form.propTypes = {
+  /**
+   * Heading that also names the form
+   */
+  title: PropTypes.node,
+  /**
+   * Error that isn't about any one field, announced when it appears
+   */
+  error: PropTypes.node,
+  onSubmit: PropTypes.func,
+  /**
+   * Theme for the form, by name or as a theme object; defaults to the
+   * surrounding ThemeProvider's
+   */
+  theme: themePropType,
+  children: PropTypes.node.isRequired,
+};
+
+Form.defaultProps = {
+  title: null,
+  error: null,
+  onSubmit: undefined,
+  theme: null,
+};
+
+/**
+ * Row of buttons at the end of a form
+ */
+export function FormActions({ children }) {
+  return <div className="storybook-form__actions">{children}</div>;
+}
+
+FormActions.propTypes = {
+  children: PropTypes.node.isRequired,
+};
@@ -0,0 +1,157 @@
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { within, userEvent } from "@storybook/testing-library";
+
+import { a11yAllowlist, primaryButtonContrast } from "../a11y/allowlist";
+import Button from "./Button";
+import Checkbox from "./Checkbox";
+import Form, { FormActions } from "./Form";
+import RadioGroup from "./RadioGroup";
+import Select from "./Select";
+import TextField from "./TextField";
+import { themeNames } from "./themes";
+import useForm from "./useForm";
+
+export default {
+  title: "Example/Form",
+  component: Form,
+  // The form ends in a primary submit button.
+  parameters: {
+    a11y: a11yAllowlist(primaryButtonContrast),
+  },
+  argTypes: {
+    theme: { control: "select", options: themeNames },
+    failWith: { control: "text" },
+  },
+};
+
+function validate(values) {
+  const errors = {};
+  if (!values.name.trim()) {
+    errors.name = "Enter your name";
+  }
+  if (!values.plan) {
+    errors.plan = "Pick a plan";
+  }
+  if (!values.contact) {
+    errors.contact = "Pick how we should contact you";
+  }
+  if (!values.terms) {
+    errors.terms = "Accept the terms to continue";
+  }
+  return errors;
+}
+
+// A form built from every field, validated with useForm. failWith makes the
+// submit fail with that message, the way a server error would.
+const SubscriptionForm = ({ failWith, onSubmit, ...args }) => {
+  const [saved, setSaved] = useState(null);
+  const form = useForm({
+    initialValues: { name: "", plan: "", contact: "", terms: false },
+    validate,
+    onSubmit: async (values) => {
+      onSubmit(values);
+      if (failWith) {
+        throw new Error(failWith);
+      }
+      setSaved(values);
+    },
+  });
+
+  return (
+    <Form {...args} onSubmit={form.handleSubmit} error={form.formError}>
+      <TextField label="Name" required {...form.field("name")} />
+      <Select
+        label="Plan"
+        placeholder="Pick a plan"
+        options={["Free", "Pro", "Team"]}
+        required
+        {...form.field("plan")}
+      />
+      <RadioGroup
+        label="Contact me by"
+        options={["Email", "Phone"]}
+        required
+        {...form.field("contact")}
+      />
+      <Checkbox
+        label="I accept the terms"
+        description="You can cancel at any time"
+        required
+        {...form.checkbox("terms")}
+      />
+      <FormActions>
+        <Button
+          primary
+          type="submit"
+          label="Subscribe"
+          loading={form.submitting}
+        />
+      </FormActions>
+      {saved && (
+        <p role="status">
+          Subscribed {saved.name} to {saved.plan}.
+        </p>
+      )}
+    </Form>
+  );
+};
+
+SubscriptionForm.propTypes = {
+  failWith: PropTypes.string,
+  onSubmit: PropTypes.func,
+};
+
+SubscriptionForm.defaultProps = {
+  failWith: null,
+  onSubmit: () => {},
+};
+
+const Template = (args) => <SubscriptionForm {...args} />;
+
+async function fillIn(canvas) {
+  await userEvent.type(canvas.getByRole("textbox", { name: /Name/ }), "Jane");
+  await userEvent.selectOptions(
+    canvas.getByRole("combobox", { name: /Plan/ }),
+    "Pro"
+  );
+  await userEvent.click(canvas.getByRole("radio", { name: "Email" }));
+  await userEvent.click(canvas.getByRole("checkbox", { name: /terms/ }));
+  await userEvent.click(canvas.getByRole("button", { name: "Subscribe" }));
+}
+
+export const Subscription = Template.bind({});
+Subscription.args = {
+  title: "Subscribe",
+};
+
+export const ValidationErrors = Template.bind({});
+ValidationErrors.args = {
+  title: "Subscribe",
+};
+ValidationErrors.play = async ({ canvasElement }) => {
+  const canvas = within(canvasElement);
+  await userEvent.click(canvas.getByRole("button", { name: "Subscribe" }));
+  await canvas.findByText("Accept the terms to continue");
+};
+
+export const Submitted = Template.bind({});
+Submitted.args = {
+  title: "Subscribe",
+};
+Submitted.play = async ({ canvasElement }) => {
+  const canvas = within(canvasElement);
+  await fillIn(canvas);
+  await canvas.findByRole("status");
+};
+
+export const ServerError = Template.bind({});
+ServerError.args = {
+  title: "Subscribe",
+  failWith: "Subscriptions are closed for today",
+};
+ServerError.play = async ({ canvasElement }) => {
+  const canvas = within(canvasElement);
+  await fillIn(canvas);
+  await canvas.findByRole("alert");
+};
@@ -0,0 +1,137 @@
+/* eslint-disable react/jsx-props-no-spreading -- useForm's field props are
+   made to be spread */
+import { act, render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import Checkbox from "./Checkbox";
+import Form from "./Form";
+import RadioGroup from "./RadioGroup";
+import Select from "./Select";
+import TextField from "./TextField";
+import useForm from "./useForm";
+
+test("descriptions and errors are tied to their control", () => {
+  render(
+    <>
+      <TextField label="Email" description="We never share it" error="Bad" />
+      <Checkbox label="Remember me" />
+    </>
+  );
+
+  const email = screen.getByRole("textbox", { name: "Email" });
+  expect(email).toBeInvalid();
+  expect(email).toHaveAccessibleDescription("We never share it Bad");
+
+  const remember = screen.getByRole("checkbox", { name: "Remember me" });
+  expect(remember).toBeValid();
+  expect(remember).not.toHaveAttribute("aria-describedby");
+});
+
+test("Select and RadioGroup take strings or option objects", () => {
+  render(
+    <>
+      <Select
+        label="Plan"
+        placeholder="Pick a plan"
+        defaultValue=""
+        options={["Free", { value: "pro", label: "Pro", disabled: true }]}
+      />
+      <RadioGroup
+        label="Contact me by"
+        description="About your account only"
+        options={["Email", "Phone"]}
+        value="Phone"
+        onChange={() => {}}
+      />
+    </>
+  );
+
+  expect(screen.getByRole("option", { name: "Pro" })).toBeDisabled();
+  expect(screen.getByRole("combobox", { name: "Plan" })).toHaveValue("");
+
+  expect(
+    screen.getByRole("group", { name: "Contact me by" })
+  ).toHaveAccessibleDescription("About your account only");
+  expect(screen.getByRole("radio", { name: "Phone" })).toBeChecked();
+  expect(screen.getByRole("radio", { name: "Email" })).toHaveAttribute(
+    "name",
+    screen.getByRole("radio", { name: "Phone" }).name
+  );
+});
+
+// eslint-disable-next-line react/prop-types
+function TestForm({ onSubmit }) {
+  const form = useForm({
+    initialValues: { name: "", contact: "", terms: false },
+    validate: (values) => ({
+      ...(!values.name && { name: "Enter your name" }),
+      ...(!values.contact && { contact: "Pick one" }),
+      ...(!values.terms && { terms: "Accept the terms" }),
+    }),
+    onSubmit,
+  });
+  return (
+    <Form title="Join" onSubmit={form.handleSubmit} error={form.formError}>
+      <RadioGroup
+        label="Contact me by"
+        options={["Email", "Phone"]}
+        {...form.field("contact")}
+      />
+      <TextField label="Name" {...form.field("name")} />
+      <Checkbox label="Terms" {...form.checkbox("terms")} />
+      <button type="submit">Join</button>
+    </Form>
+  );
+}
+
+test("useForm validates on submit, focuses the first invalid field and revalidates on change", async () => {
+  const onSubmit = jest.fn();
+  render(<TestForm onSubmit={onSubmit} />);
+  expect(screen.getByRole("form", { name: "Join" })).toBeInTheDocument();
+
+  userEvent.click(screen.getByRole("button", { name: "Join" }));
+  expect(onSubmit).not.toHaveBeenCalled();
+  expect(screen.getByRole("radio", { name: "Email" })).toHaveFocus();
+  // The error describes the group; radio buttons don't take aria-invalid.
+  expect(
+    screen.getByRole("group", { name: "Contact me by" })
+  ).toHaveAccessibleDescription("Pick one");
+  screen
+    .getAllByRole("radio")
+    .forEach((radio) => expect(radio).not.toHaveAttribute("aria-invalid"));
+  expect(screen.getByRole("textbox", { name: "Name" })).toBeInvalid();
+
+  userEvent.type(screen.getByRole("textbox", { name: "Name" }), "Jane");
+  expect(screen.getByRole("textbox", { name: "Name" })).toBeValid();
+  expect(screen.getByText("Accept the terms")).toBeInTheDocument();
+
+  userEvent.click(screen.getByRole("radio", { name: "Phone" }));
+  expect(
+    screen.getByRole("group", { name: "Contact me by" })
+  ).not.toHaveAccessibleDescription("Pick one");
+  userEvent.click(screen.getByRole("checkbox", { name: "Terms" }));
+  await act(async () => {
+    userEvent.click(screen.getByRole("button", { name: "Join" }));
+  });
+  expect(onSubmit).toHaveBeenCalledWith({
+    name: "Jane",
+    contact: "Phone",
+    terms: true,
+  });
+});
+
+test("useForm shows submit errors on their field or for the whole form", async () => {
+  const fieldError = Object.assign(new Error("Name taken"), { field: "name" });
+  const errors = [fieldError, new Error("Server down")];
+  render(<TestForm onSubmit={() => Promise.reject(errors.shift())} />);
+  userEvent.type(screen.getByRole("textbox", { name: "Name" }), "Jane");
+  userEvent.click(screen.getByRole("radio", { name: "Email" }));
+  userEvent.click(screen.getByRole("checkbox", { name: "Terms" }));
+
+  userEvent.click(screen.getByRole("button", { name: "Join" }));
+  expect(await screen.findByText("Name taken")).toBeInTheDocument();
+  expect(screen.getByRole("textbox", { name: "Name" })).toHaveFocus();
+
+  userEvent.click(screen.getByRole("button", { name: "Join" }));
+  expect(await screen.findByRole("alert")).toHaveTextContent("Server down");
+  expect(screen.queryByText("Name taken")).not.toBeInTheDocument();
+});
@@ -1,18 +1,56 @@
+import { useEffect, useId, useRef, useState } from "react";
 import PropTypes from "prop-types";
 
+import { useI18n } from "../i18n/I18n";
 import Button from "./Button";
+import { themePropType, themeProps } from "./ThemeProvider";
+import UserMenu from "./UserMenu";
 import "./header.css";
 
-function Header({ user, onLogin, onLogout, onCreateAccount }) {
+/**
+ * Site header with the logo, primary navigation and the user's account
+ * actions. On narrow screens the navigation collapses behind a menu button.
+ */
+function Header({
+  user,
+  navItems,
+  onLogin,
+  onLogout,
+  onCreateAccount,
+  onProfile,
+  onSettings,
+  theme,
+}) {
+  const id = useId();
+  const [menuOpen, setMenuOpen] = useState(false);
+  const toggleRef = useRef();
+  const { t } = useI18n();
+
+  useEffect(() => {
+    if (!menuOpen) {
+      return undefined;
+    }
+    const onKeyDown = (event) => {
+      if (event.key === "Escape") {
+        setMenuOpen(false);
+        toggleRef.current.focus();
+      }
+    };
+    document.addEventListener("keydown", onKeyDown);
+    return () => document.removeEventListener("keydown", onKeyDown);
+  }, [menuOpen]);
+
   return (
-    <header>
+    <header className="storybook-header" {...themeProps(theme)}>
       <div className="wrapper">
-        <div>
+        <div className="storybook-header__brand">
           <svg
             width="32"
             height="32"
             viewBox="0 0 32 32"
             xmlns="http://www.w3.org/2000/svg"
+            role="img"
+            aria-label={t("header.logo")}
           >
             <g fill="none" fillRule="evenodd">
               <path
@@ -31,22 +69,72 @@ function Header({ user, onLogin, onLogout, onCreateAccount }) {
           </svg>
           <h1>Acme</h1>
         </div>
-        <div>
+        {navItems.length > 0 && (
+          <nav
+            className="storybook-header__nav"
+            aria-label={t("header.primaryNav")}
+          >
+            <button
+              ref={toggleRef}
+              type="button"
+              className="storybook-header__menu-toggle"
+              aria-label={t("header.menu")}
+              aria-expanded={menuOpen}
+              aria-controls={`${id}-nav`}
+              onClick={() => setMenuOpen(!menuOpen)}
+            >
+              <svg viewBox="0 0 16 16" aria-hidden="true">
+                <path d="M1 3h14v2H1zm0 4h14v2H1zm0 4h14v2H1z" />
+              </svg>
+            </button>
+            <ul
+              id={`${id}-nav`}
+              className={[
+                "storybook-header__nav-list",
+                menuOpen && "storybook-header__nav-list--open",
+              ]
+                .filter(Boolean)
+                .join(" ")}
+            >
+              {navItems.map(({ label, href, current }) => (
+                <li key={href}>
+                  <a
+                    href={href}
+                    aria-current={current ? "page" : undefined}
+                    onClick={() => setMenuOpen(false)}
+                  >
+                    {label}
+                  </a>
+                </li>
+              ))}
+            </ul>
+          </nav>
+        )}
+        <div className="storybook-header__account">
           {user ? (
             <>
               <span className="welcome">
-                Welcome, <b>{user.name}</b>!
+                {t("header.welcome", { name: <b>{user.name}</b> })}
               </span>
-              <Button size="small" onClick={onLogout} label="Log out" />
+              <UserMenu
+                user={user}
+                onProfile={onProfile}
+                onSettings={onSettings}
+                onLogout={onLogout}
+              />
             </>
           ) : (
             <>
-              <Button size="small" onClick={onLogin} label="Log in" />
+              <Button
+                size="small"
+                onClick={onLogin}
+                label={t("header.logIn")}
+              />
               <Button
                 primary
                 size="small"
                 onClick={onCreateAccount}
-                label="Sign up"
+                label={t("header.signUp")}
               />
             </>
           )}
@@ -60,11 +148,38 @@ export default Header;
 
 Header.propTypes = {
   user: PropTypes.shape({ name: PropTypes.string.isRequired }),
+  /**
+   * Primary navigation links; current marks the page you are on
+   */
+  navItems: PropTypes.arrayOf(
+    PropTypes.shape({
+      label: PropTypes.string.isRequired,
+      href: PropTypes.string.isRequired,
+      current: PropTypes.bool,
+    })
+  ),
   onLogin: PropTypes.func.isRequired,
   onLogout: PropTypes.func.isRequired,
   onCreateAccount: PropTypes.func.isRequired,
+  /**
+   * Called from the user menu's Profile item
+   */
+  onProfile: PropTypes.func,
+  /**
+   * Called from the user menu's Settings item
+   */
+  onSettings: PropTypes.func,
+  /**
+   * Theme for the header, by name or as a theme object; defaults to the
+   * surrounding ThemeProvider's
+   */
+  theme: themePropType,
 };
 
 Header.defaultProps = {
   user: null,
+  navItems: [],
+  onProfile: undefined,
+  onSettings: undefined,
+  theme: null,
 };
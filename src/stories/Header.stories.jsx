@@ -1,4 +1,15 @@
+import { within, userEvent } from "@storybook/testing-library";
+
+import { a11yAllowlist, primaryButtonContrast } from "../a11y/allowlist";
 import Header from "./Header";
+import { themeNames } from "./themes";
+
+const navItems = [
+  { label: "Products", href: "#products", current: true },
+  { label: "Pricing", href: "#pricing" },
+  { label: "Docs", href: "#docs" },
+  { label: "Blog", href: "#blog" },
+];
 
 export default {
   title: "Example/Header",
@@ -7,6 +18,9 @@ export default {
     // More on Story layout: https://storybook.js.org/docs/react/configure/story-layout
     layout: "fullscreen",
   },
+  argTypes: {
+    theme: { control: "select", options: themeNames },
+  },
 };
 
 const Template = (args) => <Header {...args} />;
@@ -20,3 +34,59 @@ LoggedIn.args = {
 
 export const LoggedOut = Template.bind({});
 LoggedOut.args = {};
+// The "Sign up" button is a primary one.
+LoggedOut.parameters = {
+  a11y: a11yAllowlist(primaryButtonContrast),
+};
+
+export const HighContrast = Template.bind({});
+HighContrast.args = {
+  theme: "high-contrast",
+};
+
+export const WithNavigation = Template.bind({});
+WithNavigation.args = {
+  ...LoggedIn.args,
+  navItems,
+};
+
+export const UserMenuOpen = Template.bind({});
+UserMenuOpen.args = WithNavigation.args;
+UserMenuOpen.play = async ({ canvasElement }) => {
+  const canvas = within(canvasElement);
+  await userEvent.click(
+    canvas.getByRole("button", { name: "Account menu for Jane Doe" })
+  );
+  await canvas.findByRole("menuitem", { name: "Profile" });
+};
+
+// More on viewports: https://storybook.js.org/docs/react/essentials/viewport
+export const Tablet = Template.bind({});
+Tablet.args = WithNavigation.args;
+Tablet.parameters = {
+  viewport: { defaultViewport: "tablet" },
+};
+
+export const Mobile = Template.bind({});
+Mobile.args = WithNavigation.args;
+Mobile.parameters = {
+  viewport: { defaultViewport: "mobile1" },
+};
+
+export const MobileLoggedOut = Template.bind({});
+MobileLoggedOut.args = {
+  navItems,
+};
+MobileLoggedOut.parameters = {
+  ...Mobile.parameters,
+  ...LoggedOut.parameters,
+};
+
+export const MobileMenuOpen = Template.bind({});
+MobileMenuOpen.args = WithNavigation.args;
+MobileMenuOpen.parameters = Mobile.parameters;
+MobileMenuOpen.play = async ({ canvasElement }) => {
+  const canvas = within(canvasElement);
+  await userEvent.click(canvas.getByRole("button", { name: "Menu" }));
+  await canvas.findByRole("button", { name: "Menu", expanded: true });
+};
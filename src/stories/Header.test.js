@@ -0,0 +1,130 @@
+import { render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { expectNoA11yViolations, expectTabOrder } from "../setupTests";
+import Header from "./Header";
+import { initials } from "./UserMenu";
+
+const navItems = [
+  { label: "Products", href: "#products", current: true },
+  { label: "Docs", href: "#docs" },
+];
+
+function renderHeader({ user, navItems: items, onSettings, onLogout } = {}) {
+  render(
+    <Header
+      user={user}
+      navItems={items}
+      onLogin={() => {}}
+      onLogout={onLogout || (() => {})}
+      onCreateAccount={() => {}}
+      onSettings={onSettings}
+    />
+  );
+}
+
+test("renders the navigation behind a menu button that Escape closes", () => {
+  renderHeader({ navItems });
+
+  const nav = screen.getByRole("navigation", { name: "Primary" });
+  expect(nav).toContainElement(screen.getByRole("link", { name: "Products" }));
+  expect(screen.getByRole("link", { name: "Products" })).toHaveAttribute(
+    "aria-current",
+    "page"
+  );
+
+  const toggle = screen.getByRole("button", { name: "Menu" });
+  expect(toggle).toHaveAttribute("aria-expanded", "false");
+  userEvent.click(toggle);
+  expect(toggle).toHaveAttribute("aria-expanded", "true");
+  expect(
+    document.getElementById(toggle.getAttribute("aria-controls"))
+  ).toHaveClass("storybook-header__nav-list--open");
+
+  userEvent.tab();
+  expect(screen.getByRole("link", { name: "Products" })).toHaveFocus();
+  userEvent.keyboard("{Escape}");
+  expect(toggle).toHaveAttribute("aria-expanded", "false");
+  expect(toggle).toHaveFocus();
+});
+
+test("leaves the navigation out without navItems", () => {
+  renderHeader();
+  expect(screen.queryByRole("navigation")).not.toBeInTheDocument();
+});
+
+test("the user menu works from the keyboard", () => {
+  const onSettings = jest.fn();
+  renderHeader({ user: { name: "Jane Doe" }, onSettings });
+
+  const button = screen.getByRole("button", {
+    name: "Account menu for Jane Doe",
+  });
+  expect(button).toHaveTextContent("JD");
+  button.focus();
+
+  userEvent.keyboard("{ArrowDown}");
+  expect(button).toHaveAttribute("aria-expanded", "true");
+  expect(screen.getByRole("menuitem", { name: "Profile" })).toHaveFocus();
+
+  userEvent.keyboard("{ArrowUp}");
+  expect(screen.getByRole("menuitem", { name: "Log out" })).toHaveFocus();
+  userEvent.keyboard("{Home}{ArrowDown}");
+  expect(screen.getByRole("menuitem", { name: "Settings" })).toHaveFocus();
+
+  userEvent.keyboard("{Escape}");
+  expect(screen.queryByRole("menu")).not.toBeInTheDocument();
+  expect(button).toHaveFocus();
+
+  userEvent.keyboard("{ArrowUp}");
+  expect(screen.getByRole("menuitem", { name: "Log out" })).toHaveFocus();
+  userEvent.keyboard("{ArrowUp}{Enter}");
+  expect(onSettings).toHaveBeenCalledTimes(1);
+  expect(screen.queryByRole("menu")).not.toBeInTheDocument();
+  expect(button).toHaveFocus();
+});
+
+test("the user menu closes on a click outside it", () => {
+  const onLogout = jest.fn();
+  renderHeader({ user: { name: "Jane Doe" }, onLogout });
+
+  userEvent.click(screen.getByRole("button", { name: /Account menu/ }));
+  expect(screen.getByRole("menu", { name: "Jane Doe" })).toBeInTheDocument();
+  userEvent.click(screen.getByRole("banner"));
+  expect(screen.queryByRole("menu")).not.toBeInTheDocument();
+
+  userEvent.click(screen.getByRole("button", { name: /Account menu/ }));
+  userEvent.click(screen.getByRole("menuitem", { name: "Log out" }));
+  expect(onLogout).toHaveBeenCalledTimes(1);
+});
+
+test("initials takes the first letter of the first two words", () => {
+  expect(initials("Jane Doe")).toBe("JD");
+  expect(initials("  ada  lovelace byron")).toBe("AL");
+  expect(initials("Cher")).toBe("C");
+});
+
+test("passes an accessibility audit signed out, signed in and with the menus open", async () => {
+  renderHeader({ navItems });
+  expect(screen.getByRole("img", { name: "Acme logo" })).toBeInTheDocument();
+  userEvent.click(screen.getByRole("button", { name: "Menu" }));
+  await expectNoA11yViolations();
+});
+
+test("passes an accessibility audit with the user menu open", async () => {
+  renderHeader({ user: { name: "Jane Doe" }, navItems });
+  userEvent.click(screen.getByRole("button", { name: /Account menu/ }));
+  await expectNoA11yViolations();
+});
+
+test("tabs through the navigation before the account actions", () => {
+  renderHeader({ navItems });
+  userEvent.click(screen.getByRole("button", { name: "Menu" }));
+
+  expectTabOrder([
+    screen.getByRole("button", { name: "Menu" }),
+    screen.getByRole("link", { name: "Products" }),
+    screen.getByRole("link", { name: "Docs" }),
+    screen.getByRole("button", { name: "Log in" }),
+    screen.getByRole("button", { name: "Sign up" }),
+  ]);
+});
@@ -1,21 +1,51 @@
-import React from "react";
+import { useState } from "react";
 
+import { useI18n } from "../i18n/I18n";
+import { AuthDialog } from "./AuthForm";
+import { useAuth } from "./AuthProvider";
 import Header from "./Header";
+import { themePropType, themeProps } from "./ThemeProvider";
 import "./page.css";
 
-function Page() {
-  const [user, setUser] = React.useState();
+/**
+ * Example page with a working login and signup; needs an AuthProvider
+ */
+function Page({ theme }) {
+  const { user, expired, login, signup, logout } = useAuth();
+  // Which auth form is open, if any: "login" or "signup".
+  const [dialog, setDialog] = useState(null);
+  const { t } = useI18n();
+  const closeDialog = () => setDialog(null);
+
+  const handleSubmit = async (values) => {
+    await (dialog === "login" ? login(values) : signup(values));
+    closeDialog();
+  };
 
   return (
-    <article>
+    <div className="storybook-page" {...themeProps(theme)}>
       <Header
         user={user}
-        onLogin={() => setUser({ name: "Jane Doe" })}
-        onLogout={() => setUser(undefined)}
-        onCreateAccount={() => setUser({ name: "Jane Doe" })}
+        onLogin={() => setDialog("login")}
+        onLogout={logout}
+        onCreateAccount={() => setDialog("signup")}
       />
+      {dialog && (
+        <AuthDialog
+          mode={dialog}
+          onSubmit={handleSubmit}
+          onClose={closeDialog}
+          onSwitchMode={setDialog}
+        />
+      )}
 
-      <section>
+      {/* The page's main landmark; a section still, for page.css. */}
+      <section role="main">
+        {expired && !user && (
+          <p className="storybook-page__notice" role="status">
+            {t("page.sessionExpired")}
+          </p>
+        )}
         <h2>Pages in Storybook</h2>
         <p>
           We recommend building UIs with a{" "}
@@ -82,8 +112,20 @@ function Page() {
           Viewports addon in the toolbar
         </div>
       </section>
-    </article>
+    </div>
   );
 }
 
 export default Page;
+
+Page.propTypes = {
+  /**
+   * Theme for the whole page, header included, by name or as a theme object;
+   * defaults to the surrounding ThemeProvider's
+   */
+  theme: themePropType,
+};
+
+Page.defaultProps = {
+  theme: null,
+};
@@ -1,6 +1,31 @@
+import { useState } from "react";
+import PropTypes from "prop-types";
 import { within, userEvent } from "@storybook/testing-library";
 
+import { a11yAllowlist, primaryButtonContrast } from "../a11y/allowlist";
+import { createMockAuthAdapter } from "./auth";
+import AuthProvider from "./AuthProvider";
 import Page from "./Page";
+import { themeNames } from "./themes";
+
+// Every story gets its own mock backend, keeping the session in memory so
+// signing in on one story doesn't sign in the others. parameters.auth holds
+// options for createMockAuthAdapter.
+const MockAuthProvider = ({ options, children }) => {
+  const [adapter] = useState(() =>
+    createMockAuthAdapter({ storage: null, ...options })
+  );
+  return <AuthProvider adapter={adapter}>{children}</AuthProvider>;
+};
+
+MockAuthProvider.propTypes = {
+  options: PropTypes.shape({}),
+  children: PropTypes.node.isRequired,
+};
+
+MockAuthProvider.defaultProps = {
+  options: {},
+};
 
 export default {
   title: "Example/Page",
@@ -9,16 +34,74 @@ export default {
     // More on Story layout: https://storybook.js.org/docs/react/configure/story-layout
     layout: "fullscreen",
   },
+  argTypes: {
+    theme: { control: "select", options: themeNames },
+  },
+  decorators: [
+    (Story, { parameters }) => (
+      <MockAuthProvider options={parameters.auth}>
+        <Story />
+      </MockAuthProvider>
+    ),
+  ],
 };
 
 const Template = (args) => <Page {...args} />;
 
+async function logIn(canvas, { email, password }) {
+  await userEvent.click(canvas.getByRole("button", { name: /Log in/i }));
+  const dialog = within(canvas.getByRole("dialog", { name: "Log in" }));
+  await userEvent.type(dialog.getByLabelText("Email"), email);
+  await userEvent.type(dialog.getByLabelText("Password"), password);
+  await userEvent.click(dialog.getByRole("button", { name: "Log in" }));
+}
+
 // More on interaction testing: https://storybook.js.org/docs/react/writing-tests/interaction-testing
 export const LoggedOut = Template.bind({});
+// Signed out, the header shows the primary "Sign up" button.
+LoggedOut.parameters = {
+  a11y: a11yAllowlist(primaryButtonContrast),
+};
 
 export const LoggedIn = Template.bind({});
 LoggedIn.play = async ({ canvasElement }) => {
   const canvas = within(canvasElement);
-  const loginButton = await canvas.getByRole("button", { name: /Log in/i });
-  await userEvent.click(loginButton);
+  await logIn(canvas, { email: "jane@example.com", password: "password123" });
+  await canvas.findByRole("button", { name: "Account menu for Jane Doe" });
+};
+
+export const SignedUp = Template.bind({});
+SignedUp.play = async ({ canvasElement }) => {
+  const canvas = within(canvasElement);
+  await userEvent.click(canvas.getByRole("button", { name: /Sign up/i }));
+  const dialog = within(
+    canvas.getByRole("dialog", { name: "Create an account" })
+  );
+  await userEvent.type(dialog.getByLabelText("Name"), "John Roe");
+  await userEvent.type(dialog.getByLabelText("Email"), "john@example.com");
+  await userEvent.type(dialog.getByLabelText("Password"), "correct horse");
+  await userEvent.click(dialog.getByRole("button", { name: "Sign up" }));
+  await canvas.findByText("John Roe");
+};
+
+export const WrongPassword = Template.bind({});
+WrongPassword.play = async ({ canvasElement }) => {
+  const canvas = within(canvasElement);
+  await logIn(canvas, { email: "jane@example.com", password: "hunter22" });
+  await canvas.findByRole("alert");
+};
+WrongPassword.parameters = LoggedOut.parameters;
+
+// The token only lasts five seconds, after which the page signs out and says
+// why.
+export const SessionExpired = Template.bind({});
+SessionExpired.parameters = {
+  ...LoggedOut.parameters,
+  auth: { tokenLifetime: 5000 },
+};
+SessionExpired.play = LoggedIn.play;
+
+export const Dark = Template.bind({});
+Dark.args = {
+  theme: "dark",
 };
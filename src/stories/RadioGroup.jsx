@@ -0,0 +1,111 @@
+import PropTypes from "prop-types";
+
+import {
+  Field,
+  FieldLabel,
+  FieldMessages,
+  fieldDefaultProps,
+  fieldPropTypes,
+  useField,
+} from "./Field";
+import { normalizeOptions, optionsPropType } from "./Select";
+
+/**
+ * Radio buttons in a fieldset, with the label as its legend. The messages,
+ * the error included, describe the group: radio buttons can't be aria-invalid.
+ */
+function RadioGroup({
+  label,
+  description,
+  error,
+  required,
+  disabled,
+  id,
+  theme,
+  name,
+  options,
+  value,
+  onChange,
+  ...props
+}) {
+  const {
+    controlId,
+    descriptionId,
+    errorId,
+    aria: { "aria-describedby": describedBy },
+  } = useField({
+    id,
+    description,
+    error,
+  });
+
+  return (
+    <Field kind="radio-group" error={error} disabled={disabled} theme={theme}>
+      <fieldset
+        id={controlId}
+        disabled={disabled}
+        aria-describedby={describedBy}
+        {...props}
+      >
+        <legend>
+          <FieldLabel label={label} required={required} />
+        </legend>
+        {normalizeOptions(options).map((option, index) => (
+          <label
+            key={option.value}
+            htmlFor={`${controlId}-${index}`}
+            className="storybook-field__option"
+          >
+            <input
+              id={`${controlId}-${index}`}
+              className="storybook-field__radio"
+              type="radio"
+              name={name || controlId}
+              value={option.value}
+              checked={value === undefined ? undefined : value === option.value}
+              required={required}
+              disabled={option.disabled}
+              onChange={onChange}
+            />
+            {option.label}
+          </label>
+        ))}
+      </fieldset>
+      <FieldMessages
+        description={description}
+        descriptionId={descriptionId}
+        error={error}
+        errorId={errorId}
+      />
+    </Field>
+  );
+}
+
+export default RadioGroup;
+
+RadioGroup.propTypes = {
+  ...fieldPropTypes,
+  /**
+   * Name shared by the radio buttons; generated when left out
+   */
+  name: PropTypes.string,
+  /**
+   * Strings, or { value, label, disabled } objects
+   */
+  options: optionsPropType.isRequired,
+  /**
+   * Value of the checked option; leave out for an uncontrolled group
+   */
+  value: PropTypes.string,
+  /**
+   * Called with the change event of the radio button that got checked
+   */
+  onChange: PropTypes.func,
+};
+
+RadioGroup.defaultProps = {
+  ...fieldDefaultProps,
+  name: undefined,
+  value: undefined,
+  onChange: undefined,
+};
@@ -0,0 +1,47 @@
+import { within, userEvent } from "@storybook/testing-library";
+
+import RadioGroup from "./RadioGroup";
+import { themeNames } from "./themes";
+
+export default {
+  title: "Example/RadioGroup",
+  component: RadioGroup,
+  argTypes: {
+    theme: { control: "select", options: themeNames },
+  },
+  args: {
+    label: "Contact me by",
+    options: [
+      { value: "email", label: "Email" },
+      { value: "phone", label: "Phone" },
+      { value: "mail", label: "Mail", disabled: true },
+    ],
+  },
+};
+
+const Template = (args) => <RadioGroup {...args} />;
+
+export const Default = Template.bind({});
+
+export const WithDescription = Template.bind({});
+WithDescription.args = {
+  description: "We only get in touch about your account",
+};
+
+export const Invalid = Template.bind({});
+Invalid.args = {
+  required: true,
+  error: "Pick how we should contact you",
+};
+
+export const Disabled = Template.bind({});
+Disabled.args = {
+  disabled: true,
+};
+
+export const Choosing = Template.bind({});
+Choosing.play = async ({ canvasElement }) => {
+  const canvas = within(canvasElement);
+  await userEvent.click(canvas.getByRole("radio", { name: "Phone" }));
+  await canvas.findByRole("radio", { name: "Phone", checked: true });
+};
@@ -0,0 +1,109 @@
+import PropTypes from "prop-types";
+
+import {
+  Field,
+  FieldLabel,
+  FieldMessages,
+  fieldDefaultProps,
+  fieldPropTypes,
+  useField,
+} from "./Field";
+
+export const optionsPropType = PropTypes.arrayOf(
+  PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.shape({
+      value: PropTypes.string.isRequired,
+      label: PropTypes.node.isRequired,
+      disabled: PropTypes.bool,
+    }),
+  ])
+);
+
+/**
+ * Options given as plain strings use the string as value and label
+ */
+export function normalizeOptions(options) {
+  return options.map((option) =>
+    typeof option === "string" ? { value: option, label: option } : option
+  );
+}
+
+/**
+ * Native select with a label, description and error
+ */
+function Select({
+  label,
+  description,
+  error,
+  required,
+  disabled,
+  id,
+  theme,
+  options,
+  placeholder,
+  ...props
+}) {
+  const { controlId, descriptionId, errorId, aria } = useField({
+    id,
+    description,
+    error,
+  });
+
+  return (
+    <Field kind="select" error={error} disabled={disabled} theme={theme}>
+      <label htmlFor={controlId}>
+        <FieldLabel label={label} required={required} />
+        <select
+          id={controlId}
+          className="storybook-field__control"
+          required={required}
+          disabled={disabled}
+          {...aria}
+          {...props}
+        >
+          {placeholder && (
+            <option value="" disabled={required}>
+              {placeholder}
+            </option>
+          )}
+          {normalizeOptions(options).map((option) => (
+            <option
+              key={option.value}
+              value={option.value}
+              disabled={option.disabled}
+            >
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <FieldMessages
+        description={description}
+        descriptionId={descriptionId}
+        error={error}
+        errorId={errorId}
+      />
+    </Field>
+  );
+}
+
+export default Select;
+
+Select.propTypes = {
+  ...fieldPropTypes,
+  /**
+   * Strings, or { value, label, disabled } objects
+   */
+  options: optionsPropType.isRequired,
+  /**
+   * Text for an empty first option; can't be picked again once a required
+   * select has a value
+   */
+  placeholder: PropTypes.string,
+};
+
+Select.defaultProps = {
+  ...fieldDefaultProps,
+  placeholder: null,
+};
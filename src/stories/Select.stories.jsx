@@ -0,0 +1,66 @@
+import { within, userEvent } from "@storybook/testing-library";
+
+import Select from "./Select";
+import { themeNames } from "./themes";
+
+const plans = [
+  { value: "free", label: "Free" },
+  { value: "pro", label: "Pro" },
+  { value: "enterprise", label: "Enterprise", disabled: true },
+];
+
+export default {
+  title: "Example/Select",
+  component: Select,
+  argTypes: {
+    theme: { control: "select", options: themeNames },
+  },
+  args: {
+    label: "Plan",
+    options: plans,
+  },
+};
+
+const Template = (args) => <Select {...args} />;
+
+export const Default = Template.bind({});
+
+export const WithPlaceholder = Template.bind({});
+WithPlaceholder.args = {
+  placeholder: "Pick a plan",
+  defaultValue: "",
+  required: true,
+};
+
+export const StringOptions = Template.bind({});
+StringOptions.args = {
+  label: "Country",
+  options: ["Mexico", "Spain", "Argentina"],
+};
+
+export const Invalid = Template.bind({});
+Invalid.args = {
+  placeholder: "Pick a plan",
+  defaultValue: "",
+  description: "You can change plans at any time",
+  error: "Pick a plan",
+};
+
+export const Disabled = Template.bind({});
+Disabled.args = {
+  disabled: true,
+};
+
+export const Choosing = Template.bind({});
+Choosing.args = {
+  placeholder: "Pick a plan",
+  defaultValue: "",
+};
+Choosing.play = async ({ canvasElement }) => {
+  const canvas = within(canvasElement);
+  await userEvent.selectOptions(
+    canvas.getByRole("combobox", { name: "Plan" }),
+    "pro"
+  );
+  await canvas.findByDisplayValue("Pro");
+};
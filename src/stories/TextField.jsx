@@ -0,0 +1,69 @@
+import PropTypes from "prop-types";
+
+import {
+  Field,
+  FieldLabel,
+  FieldMessages,
+  fieldDefaultProps,
+  fieldPropTypes,
+  useField,
+} from "./Field";
+
+/**
+ * Single-line text input with a label, description and error
+ */
+function TextField({
+  label,
+  description,
+  error,
+  required,
+  disabled,
+  id,
+  theme,
+  type,
+  ...props
+}) {
+  const { controlId, descriptionId, errorId, aria } = useField({
+    id,
+    description,
+    error,
+  });
+
+  return (
+    <Field kind="text" error={error} disabled={disabled} theme={theme}>
+      <label htmlFor={controlId}>
+        <FieldLabel label={label} required={required} />
+        <input
+          id={controlId}
+          className="storybook-field__control"
+          type={type}
+          required={required}
+          disabled={disabled}
+          {...aria}
+          {...props}
+        />
+      </label>
+      <FieldMessages
+        description={description}
+        descriptionId={descriptionId}
+        error={error}
+        errorId={errorId}
+      />
+    </Field>
+  );
+}
+
+export default TextField;
+
+TextField.propTypes = {
+  ...fieldPropTypes,
+  /**
+   * Input type, for text-like values only
+   */
+  type: PropTypes.oneOf(["text", "email", "password", "search", "tel", "url"]),
+};
+
+TextField.defaultProps = {
+  ...fieldDefaultProps,
+  type: "text",
+};
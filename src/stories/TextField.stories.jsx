@@ -0,0 +1,61 @@
+import { within, userEvent } from "@storybook/testing-library";
+
+import TextField from "./TextField";
+import { themeNames } from "./themes";
+
+export default {
+  title: "Example/TextField",
+  component: TextField,
+  argTypes: {
+    theme: { control: "select", options: themeNames },
+  },
+};
+
+const Template = (args) => <TextField {...args} />;
+
+export const Default = Template.bind({});
+Default.args = {
+  label: "Name",
+};
+
+export const WithDescription = Template.bind({});
+WithDescription.args = {
+  label: "Username",
+  description: "Letters, numbers and dashes only",
+};
+
+export const Required = Template.bind({});
+Required.args = {
+  label: "Email",
+  type: "email",
+  required: true,
+};
+
+export const Invalid = Template.bind({});
+Invalid.args = {
+  label: "Email",
+  type: "email",
+  defaultValue: "jane@",
+  description: "We never share it",
+  error: "Enter an email like jane@example.com",
+};
+
+export const Disabled = Template.bind({});
+Disabled.args = {
+  label: "Name",
+  defaultValue: "Jane Doe",
+  disabled: true,
+};
+
+export const Typing = Template.bind({});
+Typing.args = {
+  label: "Name",
+};
+Typing.play = async ({ canvasElement }) => {
+  const canvas = within(canvasElement);
+  await userEvent.type(
+    canvas.getByRole("textbox", { name: "Name" }),
+    "Jane Doe"
+  );
+  await canvas.findByDisplayValue("Jane Doe");
+};
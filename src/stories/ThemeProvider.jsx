@@ -0,0 +1,67 @@
+import { createContext, useContext } from "react";
+import PropTypes from "prop-types";
+import { resolveTheme, themeNames, themeStyle } from "./themes";
+import "./theme.css";
+
+const ThemeContext = createContext(null);
+
+export const themePropType = PropTypes.oneOfType([
+  PropTypes.oneOf(themeNames),
+  PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    tokens: PropTypes.objectOf(PropTypes.string).isRequired,
+  }),
+]);
+
+/**
+ * Applies a theme's design tokens, as CSS custom properties, to everything
+ * inside it
+ */
+function ThemeProvider({ theme, children }) {
+  const resolved = resolveTheme(theme);
+
+  return (
+    <ThemeContext.Provider value={resolved}>
+      <div
+        className="storybook-theme"
+        data-theme={resolved.name}
+        style={themeStyle(resolved)}
+      >
+        {children}
+      </div>
+    </ThemeContext.Provider>
+  );
+}
+
+export default ThemeProvider;
+
+ThemeProvider.propTypes = {
+  /**
+   * A built-in theme's name or a theme object with its own tokens
+   */
+  theme: themePropType,
+  children: PropTypes.node.isRequired,
+};
+
+ThemeProvider.defaultProps = {
+  theme: "light",
+};
+
+/**
+ * The theme in effect: the closest ThemeProvider's, or null outside one
+ */
+export function useTheme() {
+  return useContext(ThemeContext);
+}
+
+/**
+ * Props for the root element of a component with a theme prop: a component
+ * given a theme sets its tokens on itself, overriding any ThemeProvider
+ * around it; without one it inherits them.
+ */
+export function themeProps(theme) {
+  if (!theme) {
+    return {};
+  }
+  return { "data-theme": resolveTheme(theme).name, style: themeStyle(theme) };
+}
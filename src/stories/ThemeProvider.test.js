@@ -0,0 +1,45 @@
+import { render, screen } from "@testing-library/react";
+import Button from "./Button";
+import Header from "./Header";
+import ThemeProvider from "./ThemeProvider";
+import themes, { resolveTheme, themeStyle } from "./themes";
+
+test("every theme defines the same tokens", () => {
+  const [light, ...others] = themes;
+  others.forEach(({ tokens }) =>
+    expect(Object.keys(tokens).sort()).toEqual(Object.keys(light.tokens).sort())
+  );
+  expect(themeStyle("dark")).toHaveProperty("--sb-color-primary", "#4cbcff");
+  expect(() => resolveTheme("sepia")).toThrow(/Unknown theme "sepia"/);
+});
+
+test("ThemeProvider sets the tokens as CSS custom properties", () => {
+  const { container } = render(
+    <ThemeProvider theme="high-contrast">
+      <Button label="Button" />
+    </ThemeProvider>
+  );
+  const wrapper = container.firstChild;
+  expect(wrapper).toHaveAttribute("data-theme", "high-contrast");
+  expect(wrapper.style.getPropertyValue("--sb-color-primary")).toBe("#ffff00");
+  expect(screen.getByRole("button").getAttribute("style")).toBeNull();
+});
+
+test("a theme prop overrides the provider's theme for that component", () => {
+  render(
+    <ThemeProvider theme="light">
+      <Header
+        theme="dark"
+        onLogin={() => {}}
+        onLogout={() => {}}
+        onCreateAccount={() => {}}
+      />
+      <Button label="Custom" theme="dark" backgroundColor="tomato" />
+    </ThemeProvider>
+  );
+  expect(screen.getByRole("banner")).toHaveAttribute("data-theme", "dark");
+
+  const button = screen.getByRole("button", { name: "Custom" });
+  expect(button.style.getPropertyValue("--sb-color-text")).toBe("#e8e8e8");
+  expect(button).toHaveStyle({ backgroundColor: "tomato" });
+});
@@ -0,0 +1,173 @@
+import { useEffect, useId, useRef, useState } from "react";
+import PropTypes from "prop-types";
+import { useI18n } from "../i18n/I18n";
+
+/**
+ * The user's initials, for the avatar
+ */
+export function initials(name) {
+  return name
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((word) => word[0].toUpperCase())
+    .join("");
+}
+
+/**
+ * Avatar button that opens a menu with the user's account actions. Follows
+ * the WAI-ARIA menu button pattern: arrow keys, Home and End move between the
+ * items, Escape closes the menu and puts the focus back on the button.
+ */
+function UserMenu({ user, onProfile, onSettings, onLogout }) {
+  const id = useId();
+  const [open, setOpen] = useState(false);
+  // Which item to focus once the menu is open: "first" or "last".
+  const [initialFocus, setInitialFocus] = useState("first");
+  const rootRef = useRef();
+  const buttonRef = useRef();
+  const menuRef = useRef();
+  const { t } = useI18n();
+
+  const items = [
+    { label: t("userMenu.profile"), onSelect: onProfile },
+    { label: t("userMenu.settings"), onSelect: onSettings },
+    { label: t("userMenu.logOut"), onSelect: onLogout },
+  ];
+
+  const menuItems = () =>
+    Array.from(menuRef.current.querySelectorAll('[role="menuitem"]'));
+
+  const openMenu = (focus) => {
+    setInitialFocus(focus);
+    setOpen(true);
+  };
+
+  const closeMenu = ({ restoreFocus = true } = {}) => {
+    setOpen(false);
+    if (restoreFocus) {
+      buttonRef.current.focus();
+    }
+  };
+
+  useEffect(() => {
+    if (!open) {
+      return undefined;
+    }
+    const found = menuItems();
+    found[initialFocus === "last" ? found.length - 1 : 0].focus();
+
+    // Clicking anywhere else closes the menu, leaving the focus where the
+    // click put it.
+    const onPointerDown = (event) => {
+      if (!rootRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener("mousedown", onPointerDown);
+    return () => document.removeEventListener("mousedown", onPointerDown);
+  }, [open, initialFocus]);
+
+  const handleButtonKeyDown = (event) => {
+    if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+      event.preventDefault();
+      openMenu(event.key === "ArrowDown" ? "first" : "last");
+    }
+  };
+
+  const handleMenuKeyDown = (event) => {
+    const found = menuItems();
+    const index = found.indexOf(document.activeElement);
+    const focusAt = (next) =>
+      found[(next + found.length) % found.length].focus();
+
+    switch (event.key) {
+      case "ArrowDown":
+        focusAt(index + 1);
+        break;
+      case "ArrowUp":
+        focusAt(index - 1);
+        break;
+      case "Home":
+        focusAt(0);
+        break;
+      case "End":
+        focusAt(found.length - 1);
+        break;
+      case "Escape":
+        closeMenu();
+        break;
+      case "Tab":
+        closeMenu({ restoreFocus: false });
+        return;
+      default:
+        return;
+    }
+    event.preventDefault();
+  };
+
+  const select = (onSelect) => {
+    closeMenu();
+    if (onSelect) {
+      onSelect();
+    }
+  };
+
+  return (
+    <div className="storybook-user-menu" ref={rootRef}>
+      <button
+        ref={buttonRef}
+        type="button"
+        className="storybook-user-menu__button"
+        aria-label={t("userMenu.button", { name: user.name })}
+        aria-haspopup="menu"
+        aria-expanded={open}
+        aria-controls={open ? `${id}-menu` : undefined}
+        onClick={() => (open ? closeMenu() : openMenu("first"))}
+        onKeyDown={handleButtonKeyDown}
+      >
+        <span className="storybook-user-menu__avatar" aria-hidden="true">
+          {initials(user.name)}
+        </span>
+      </button>
+      {open && (
+        <ul
+          ref={menuRef}
+          id={`${id}-menu`}
+          className="storybook-user-menu__menu"
+          role="menu"
+          aria-label={user.name}
+          onKeyDown={handleMenuKeyDown}
+        >
+          {items.map(({ label, onSelect }) => (
+            <li key={label} role="none">
+              <button
+                type="button"
+                role="menuitem"
+                tabIndex={-1}
+                className="storybook-user-menu__item"
+                onClick={() => select(onSelect)}
+              >
+                {label}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default UserMenu;
+
+UserMenu.propTypes = {
+  user: PropTypes.shape({ name: PropTypes.string.isRequired }).isRequired,
+  onProfile: PropTypes.func,
+  onSettings: PropTypes.func,
+  onLogout: PropTypes.func.isRequired,
+};
+
+UserMenu.defaultProps = {
+  onProfile: undefined,
+  onSettings: undefined,
+};
@@ -0,0 +1,115 @@
+// Auth adapters do the actual signing in for AuthProvider, which only keeps
+// track of the session they hand out. Every adapter has the same shape:
+//   { login({ email, password }), signup({ name, email, password }),
+//     logout(session), restore() }
+// login and signup resolve with a session, { user, token, expiresAt }, or
+// reject with an AuthError; restore resolves with the session saved by an
+// earlier visit, or null. Swap createMockAuthAdapter for one that talks to a
+// real backend and nothing else has to change.
+
+export class AuthError extends Error {
+  constructor(message, field = null) {
+    super(message);
+    this.name = "AuthError";
+    // The form field the error is about, if it is about one.
+    this.field = field;
+  }
+}
+
+export const mockUsers = [
+  { name: "Jane Doe", email: "jane@example.com", password: "password123" },
+];
+
+function wait(ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
+
+/**
+ * Signs in against a list of users kept in memory, with tokens that expire
+ * after tokenLifetime ms. The session is saved in storage (pass null to keep
+ * it in memory only) so a reload restores it; latency fakes a round trip.
+ */
+export function createMockAuthAdapter({
+  users = mockUsers,
+  storage = window.localStorage,
+  storageKey = "acme-session",
+  tokenLifetime = 15 * 60 * 1000,
+  latency = 300,
+} = {}) {
+  const accounts = users.map((user) => ({ ...user }));
+  let saved = null;
+
+  function save(session) {
+    if (storage) {
+      if (session) {
+        storage.setItem(storageKey, JSON.stringify(session));
+      } else {
+        storage.removeItem(storageKey);
+      }
+    } else {
+      saved = session;
+    }
+  }
+
+  function load() {
+    if (!storage) {
+      return saved;
+    }
+    try {
+      return JSON.parse(storage.getItem(storageKey));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function startSession({ name, email }) {
+    const expiresAt = Date.now() + tokenLifetime;
+    const session = {
+      user: { name, email },
+      // Not base64: btoa throws on the non-Latin-1 addresses the form accepts.
+      token: `mock.${encodeURIComponent(email)}.${expiresAt}`,
+      expiresAt,
+    };
+    save(session);
+    return session;
+  }
+
+  return {
+    async login({ email, password }) {
+      await wait(latency);
+      const account = accounts.find(
+        (user) => user.email === email.toLowerCase()
+      );
+      if (!account || account.password !== password) {
+        throw new AuthError("Wrong email or password");
+      }
+      return startSession(account);
+    },
+    async signup({ name, email, password }) {
+      await wait(latency);
+      const normalized = email.toLowerCase();
+      if (accounts.some((user) => user.email === normalized)) {
+        throw new AuthError(
+          "There is already an account for this email",
+          "email"
+        );
+      }
+      const account = { name, email: normalized, password };
+      accounts.push(account);
+      return startSession(account);
+    },
+    async logout() {
+      save(null);
+    },
+    async restore() {
+      const session = load();
+      if (!session || session.expiresAt <= Date.now()) {
+        save(null);
+        return null;
+      }
+      return session;
+    },
+  };
+}
@@ -0,0 +1,109 @@
+// Design tokens for the Button/Header/Page kit. Every token becomes a CSS
+// custom property named --sb-<token> (see themeStyle), and the kit's CSS reads
+// them with the light value as fallback, so the components look the same
+// without a ThemeProvider as they did before themes existed.
+
+const fontFamily =
+  "'Nunito Sans', 'Helvetica Neue', Helvetica, Arial, sans-serif";
+
+const light = {
+  name: "light",
+  label: "Light",
+  tokens: {
+    "font-family": fontFamily,
+    "color-background": "#ffffff",
+    "color-text": "#333333",
+    "color-text-muted": "#767676",
+    "color-border": "rgba(0, 0, 0, 0.1)",
+    "color-primary": "#1ea7fd",
+    "color-on-primary": "#ffffff",
+    "color-secondary": "transparent",
+    "color-on-secondary": "#333333",
+    "color-secondary-border": "rgba(0, 0, 0, 0.15)",
+    "color-danger": "#d0021b",
+    "color-on-danger": "#ffffff",
+    "color-link": "#1ea7fd",
+    "color-tip": "#e7fdd8",
+    "color-on-tip": "#66bf3c",
+    "border-width": "1px",
+    "radius-button": "3em",
+  },
+};
+
+const dark = {
+  name: "dark",
+  label: "Dark",
+  tokens: {
+    ...light.tokens,
+    "color-background": "#1b1c1d",
+    "color-text": "#e8e8e8",
+    "color-text-muted": "#a0a0a0",
+    "color-border": "rgba(255, 255, 255, 0.15)",
+    "color-primary": "#4cbcff",
+    "color-on-primary": "#0b1620",
+    "color-on-secondary": "#e8e8e8",
+    "color-secondary-border": "rgba(255, 255, 255, 0.3)",
+    "color-danger": "#ff6b6b",
+    "color-on-danger": "#1b1c1d",
+    "color-link": "#4cbcff",
+    "color-tip": "#24381a",
+    "color-on-tip": "#8fd967",
+  },
+};
+
+// Pure black and white with yellow for actions, thicker borders and no
+// translucent colors, for WCAG AAA contrast everywhere.
+const highContrast = {
+  name: "high-contrast",
+  label: "High contrast",
+  tokens: {
+    ...light.tokens,
+    "color-background": "#000000",
+    "color-text": "#ffffff",
+    "color-text-muted": "#ffffff",
+    "color-border": "#ffffff",
+    "color-primary": "#ffff00",
+    "color-on-primary": "#000000",
+    "color-secondary": "#000000",
+    "color-on-secondary": "#ffffff",
+    "color-secondary-border": "#ffffff",
+    "color-danger": "#ff8080",
+    "color-on-danger": "#000000",
+    "color-link": "#ffff00",
+    "color-tip": "#ffffff",
+    "color-on-tip": "#000000",
+    "border-width": "2px",
+  },
+};
+
+const themes = [light, dark, highContrast];
+
+export default themes;
+
+export const themeNames = themes.map(({ name }) => name);
+
+/**
+ * Looks up a built-in theme by name; theme objects are returned as they are
+ */
+export function resolveTheme(theme) {
+  if (typeof theme !== "string") {
+    return theme;
+  }
+  const found = themes.find(({ name }) => name === theme);
+  if (!found) {
+    throw new Error(
+      `Unknown theme "${theme}", expected one of: ${themeNames.join(", ")}`
+    );
+  }
+  return found;
+}
+
+/**
+ * The theme's tokens as CSS custom properties, ready for a style prop
+ */
+export function themeStyle(theme) {
+  const { tokens } = resolveTheme(theme);
+  return Object.fromEntries(
+    Object.entries(tokens).map(([token, value]) => [`--sb-${token}`, value])
+  );
+}
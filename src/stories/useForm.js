@@ -0,0 +1,102 @@
+import { useState } from "react";
+
+function noErrors() {
+  return {};
+}
+
+/**
+ * Form state and validation for the kit's fields.
+ *
+ * validate(values) returns the errors by field name. Values are checked on
+ * submit, which focuses the first invalid field, and again on every change
+ * after that, so errors go away as they are fixed. Once they are valid,
+ * onSubmit(values) is called; if it rejects, the error shows on the field
+ * named by error.field, or as formError when it names none.
+ *
+ *   const form = useForm({ initialValues, validate, onSubmit });
+ *   <Form onSubmit={form.handleSubmit} error={form.formError}>
+ *     <TextField label="Email" {...form.field("email")} />
+ *     <Checkbox label="Remember me" {...form.checkbox("remember")} />
+ */
+export default function useForm({
+  initialValues,
+  validate = noErrors,
+  onSubmit,
+}) {
+  const [values, setValues] = useState(initialValues);
+  const [errors, setErrors] = useState({});
+  const [submitted, setSubmitted] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [formError, setFormError] = useState(null);
+
+  const setValue = (name, value) => {
+    const next = { ...values, [name]: value };
+    setValues(next);
+    if (submitted) {
+      setErrors(validate(next));
+    }
+  };
+
+  // Focuses the first of the named fields in document order.
+  const focusFirst = (form, names) => {
+    const control = Array.from(form.elements).find((element) =>
+      names.includes(element.name)
+    );
+    if (control) {
+      control.focus();
+    }
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (submitting) {
+      return;
+    }
+    const form = event.currentTarget;
+    const found = validate(values);
+    setSubmitted(true);
+    setErrors(found);
+    setFormError(null);
+    if (Object.keys(found).length > 0) {
+      focusFirst(form, Object.keys(found));
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await onSubmit(values);
+    } catch (error) {
+      if (error.field) {
+        setErrors({ [error.field]: error.message });
+        focusFirst(form, [error.field]);
+      } else {
+        setFormError(error.message);
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return {
+    values,
+    errors,
+    formError,
+    submitting,
+    setValue,
+    handleSubmit,
+    // Props for a TextField, Select or RadioGroup.
+    field: (name) => ({
+      name,
+      value: values[name],
+      error: errors[name],
+      onChange: (event) => setValue(name, event.target.value),
+    }),
+    // Props for a Checkbox.
+    checkbox: (name) => ({
+      name,
+      checked: values[name],
+      error: errors[name],
+      onChange: (event) => setValue(name, event.target.checked),
+    }),
+  };
+}
@@ -0,0 +1,11 @@
+import { createContext, useContext } from "react";
+
+// Set by renderApp: { strict, setStrict(next) }. Outside it (tests, Storybook)
+// there is no value and StrictMode can't be switched at runtime.
+const StrictModeContext = createContext(null);
+
+export default StrictModeContext;
+
+export function useStrictMode() {
+  return useContext(StrictModeContext);
+}
@@ -0,0 +1,33 @@
+import { useI18n } from "../i18n/I18n";
+import { useStrictMode } from "./StrictModeContext";
+
+/**
+ * Switches StrictMode on or off by re-creating the React root. Renders
+ * nothing when the app wasn't mounted with renderApp.
+ */
+export default function StrictModeToggle() {
+  const strictMode = useStrictMode();
+  const { t } = useI18n();
+  if (!strictMode) {
+    return null;
+  }
+  const { strict, setStrict } = strictMode;
+
+  return (
+    <div className="strict-mode-toggle">
+      <label htmlFor="strict-mode-toggle">
+        <input
+          id="strict-mode-toggle"
+          type="checkbox"
+          checked={strict}
+          onChange={(e) => setStrict(e.target.checked)}
+        />{" "}
+        StrictMode
+      </label>{" "}
+      <span>
+        {t(strict ? "strictMode.on" : "strictMode.off")}{" "}
+        {t("strictMode.remount")}
+      </span>
+    </div>
+  );
+}
@@ -0,0 +1,87 @@
+import { useEffect } from "react";
+import { act, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import EffectLogContext, { createEffectLog } from "../lifecycle/effectLog";
+import { useLifecycleLog } from "../lifecycle/LifecycleLogContext";
+import renderApp, { readStrictMode } from "./renderApp";
+import StrictModeToggle from "./StrictModeToggle";
+
+function Subscriber() {
+  const logLifecycle = useLifecycleLog("Subscriber");
+  useEffect(() => {
+    logLifecycle("effect run");
+    return () => logLifecycle("cleanup");
+  });
+  return null;
+}
+
+function logged(log) {
+  return log
+    .getSnapshot()
+    .entries.map(({ event, strictModeRerun }) =>
+      strictModeRerun ? `${event} (StrictMode)` : event
+    );
+}
+
+let container;
+let app;
+
+function mount(log, options) {
+  act(() => {
+    app = renderApp(
+      container,
+      <EffectLogContext.Provider value={log}>
+        <StrictModeToggle />
+        <Subscriber />
+      </EffectLogContext.Provider>,
+      options
+    );
+  });
+}
+
+beforeEach(() => {
+  localStorage.clear();
+  container = document.createElement("div");
+  document.body.appendChild(container);
+});
+
+afterEach(() => {
+  act(() => app.unmount());
+  container.remove();
+});
+
+test("marks the cleanup and run that StrictMode adds on mount", () => {
+  const log = createEffectLog();
+  mount(log);
+
+  expect(screen.getByRole("checkbox", { name: "StrictMode" })).toBeChecked();
+  expect(logged(log)).toEqual([
+    "effect run",
+    "cleanup (StrictMode)",
+    "effect run (StrictMode)",
+  ]);
+});
+
+test("leaves effects alone without StrictMode", () => {
+  const log = createEffectLog();
+  mount(log, { strict: false });
+
+  expect(logged(log)).toEqual(["effect run"]);
+});
+
+test("switching StrictMode re-creates the root and remembers the choice", async () => {
+  const log = createEffectLog();
+  mount(log);
+  log.clear();
+
+  await act(async () => {
+    userEvent.click(screen.getByRole("checkbox", { name: "StrictMode" }));
+  });
+
+  expect(
+    screen.getByRole("checkbox", { name: "StrictMode" })
+  ).not.toBeChecked();
+  // The old root unmounts for real, the new one mounts once.
+  expect(logged(log)).toEqual(["cleanup", "effect run"]);
+  expect(readStrictMode()).toBe(false);
+});
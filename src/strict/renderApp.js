@@ -0,0 +1,62 @@
+import { StrictMode } from "react";
+import { createRoot } from "react-dom/client";
+import backends from "../persistence/backends";
+import { decode, encode } from "../persistence/usePersistentState";
+import StrictModeContext from "./StrictModeContext";
+
+// Renders the app into container with StrictMode on or off, and lets the app
+// switch it at runtime. StrictMode can't be added to or removed from a mounted
+// tree without remounting everything below it, so switching unmounts the
+// whole root and creates a new one; state kept in the URL (the counters,
+// the route) survives, everything else starts over. The choice is saved in
+// localStorage and defaults to on, as Create React App sets it up.
+
+const STORAGE_KEY = "strict-mode";
+const storageOptions = {
+  version: 1,
+  validate: (value) => typeof value === "boolean",
+};
+
+export function readStrictMode(backend = backends.local) {
+  const stored = decode(backend.read(STORAGE_KEY), storageOptions);
+  return stored ? stored.value : true;
+}
+
+export default function renderApp(
+  container,
+  element,
+  { strict = readStrictMode(), backend = backends.local } = {}
+) {
+  let root = null;
+
+  function mount(nextStrict) {
+    if (root) {
+      root.unmount();
+    }
+    root = createRoot(container);
+    // Not a component: every root renders this value exactly once.
+    // eslint-disable-next-line react/jsx-no-constructed-context-values
+    const value = {
+      strict: nextStrict,
+      setStrict(next) {
+        backend.write(STORAGE_KEY, encode(next, storageOptions.version));
+        // Called from an event handler of the root it replaces, which React
+        // can't unmount synchronously.
+        queueMicrotask(() => mount(next));
+      },
+    };
+    root.render(
+      <StrictModeContext.Provider value={value}>
+        {nextStrict ? <StrictMode>{element}</StrictMode> : element}
+      </StrictModeContext.Provider>
+    );
+  }
+
+  mount(strict);
+
+  return {
+    unmount() {
+      root.unmount();
+    },
+  };
+}
@@ -0,0 +1,109 @@
+import {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useLayoutEffect,
+  useRef,
+  useState,
+} from "react";
+import PropTypes from "prop-types";
+import createTitleManager from "./titleManager";
+
+const DocumentTitleContext = createContext(null);
+
+// Used outside a provider (e.g. a component rendered on its own in a test),
+// created on first use so it starts from the title the page has by then.
+let defaultManager = null;
+
+function useTitleManager() {
+  const manager = useContext(DocumentTitleContext);
+  if (manager) {
+    return manager;
+  }
+  if (!defaultManager) {
+    defaultManager = createTitleManager(document);
+  }
+  return defaultManager;
+}
+
+/**
+ * Gives its subtree one shared title stack and restores the page's own title
+ * when it unmounts
+ */
+export function DocumentTitleProvider({ children }) {
+  const [manager] = useState(() => createTitleManager(document));
+
+  useEffect(() => () => manager.reset(), [manager]);
+
+  return (
+    <DocumentTitleContext.Provider value={manager}>
+      {children}
+    </DocumentTitleContext.Provider>
+  );
+}
+
+DocumentTitleProvider.propTypes = {
+  children: PropTypes.node.isRequired,
+};
+
+/**
+ * Returns a stable function that sets this component's title, for effects
+ * that compute the title themselves. The component's slot is taken when it
+ * mounts and given back when it unmounts.
+ */
+export function useSetDocumentTitle() {
+  const manager = useTitleManager();
+  const slot = useRef(null);
+
+  // A layout effect, so slots follow mount order: layout effects and class
+  // componentDidMount run in the same pass, before any passive effect.
+  useLayoutEffect(() => {
+    if (!slot.current) {
+      slot.current = manager.acquire();
+    }
+    return () => {
+      slot.current.release();
+      slot.current = null;
+    };
+  }, [manager]);
+
+  return useCallback(
+    (title) => {
+      // A wrapped class component mounts, and may set its title, before the
+      // wrapper's layout effect runs.
+      if (!slot.current) {
+        slot.current = manager.acquire();
+      }
+      slot.current.set(title);
+    },
+    [manager]
+  );
+}
+
+/**
+ * Shows title while the component is mounted
+ */
+export function useDocumentTitle(title) {
+  const setDocumentTitle = useSetDocumentTitle();
+
+  useEffect(() => {
+    setDocumentTitle(title);
+  }, [setDocumentTitle, title]);
+}
+
+/**
+ * Injects a setDocumentTitle prop, for class components that set the title
+ * from their lifecycle methods
+ */
+export function withDocumentTitle(Component) {
+  function WithDocumentTitle(props) {
+    const setDocumentTitle = useSetDocumentTitle();
+    // eslint-disable-next-line react/jsx-props-no-spreading
+    return <Component {...props} setDocumentTitle={setDocumentTitle} />;
+  }
+  WithDocumentTitle.displayName = `withDocumentTitle(${
+    Component.displayName || Component.name
+  })`;
+  return WithDocumentTitle;
+}
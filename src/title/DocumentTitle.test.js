@@ -0,0 +1,114 @@
+import { Component } from "react";
+import { render } from "@testing-library/react";
+import PropTypes from "prop-types";
+import createTitleManager from "./titleManager";
+import {
+  DocumentTitleProvider,
+  useDocumentTitle,
+  withDocumentTitle,
+} from "./DocumentTitle";
+
+function Title({ title }) {
+  useDocumentTitle(title);
+  return null;
+}
+
+Title.propTypes = {
+  title: PropTypes.string.isRequired,
+};
+
+beforeEach(() => {
+  document.title = "Playground";
+});
+
+describe("createTitleManager", () => {
+  test("shows the newest slot's title and falls back on release", () => {
+    const manager = createTitleManager(document);
+    const first = manager.acquire();
+    const second = manager.acquire();
+
+    first.set("First");
+    second.set("Second");
+    expect(document.title).toBe("Second");
+
+    first.set("First again");
+    expect(document.title).toBe("Second");
+
+    second.release();
+    expect(document.title).toBe("First again");
+    first.release();
+    expect(document.title).toBe("Playground");
+  });
+
+  test("skips slots that have no title yet", () => {
+    const manager = createTitleManager(document);
+    manager.acquire().set("Titled");
+    manager.acquire();
+
+    expect(document.title).toBe("Titled");
+    expect(manager.getStack()).toEqual(["Titled", null]);
+  });
+});
+
+describe("DocumentTitleProvider", () => {
+  test("stacks titles by mount order and restores them on unmount", () => {
+    const { rerender, unmount } = render(
+      <DocumentTitleProvider>
+        <Title title="Catalog" />
+      </DocumentTitleProvider>
+    );
+    expect(document.title).toBe("Catalog");
+
+    rerender(
+      <DocumentTitleProvider>
+        <Title title="Catalog" />
+        <Title title="You clicked 0 times" />
+      </DocumentTitleProvider>
+    );
+    expect(document.title).toBe("You clicked 0 times");
+
+    rerender(
+      <DocumentTitleProvider>
+        <Title title="Catalog, renamed" />
+        <Title title="You clicked 1 times" />
+      </DocumentTitleProvider>
+    );
+    expect(document.title).toBe("You clicked 1 times");
+
+    rerender(
+      <DocumentTitleProvider>
+        <Title title="Catalog, renamed" />
+      </DocumentTitleProvider>
+    );
+    expect(document.title).toBe("Catalog, renamed");
+
+    unmount();
+    expect(document.title).toBe("Playground");
+  });
+
+  test("lets class components set the title from lifecycle methods", () => {
+    class Counter extends Component {
+      componentDidMount() {
+        const { setDocumentTitle } = this.props;
+        setDocumentTitle("From componentDidMount");
+      }
+
+      render() {
+        return null;
+      }
+    }
+    Counter.propTypes = { setDocumentTitle: PropTypes.func.isRequired };
+    const CounterWithTitle = withDocumentTitle(Counter);
+
+    const { unmount } = render(
+      <DocumentTitleProvider>
+        <Title title="Below" />
+        <CounterWithTitle />
+      </DocumentTitleProvider>
+    );
+    expect(document.title).toBe("From componentDidMount");
+
+    unmount();
+    expect(document.title).toBe("Playground");
+  });
+});
@@ -0,0 +1,40 @@
+// Owns document.title for everything mounted in the playground. Components
+// don't write the title themselves; each one acquires a slot and sets its
+// title there. Slots stack in the order they were acquired and the newest
+// slot with a title wins, so unmounting a component brings back the title
+// that was showing before it, down to the page's own title.
+export default function createTitleManager(doc = document) {
+  const baseTitle = doc.title;
+  let slots = [];
+
+  function apply() {
+    const top = [...slots].reverse().find(({ title }) => title !== null);
+    // eslint-disable-next-line no-param-reassign
+    doc.title = top ? top.title : baseTitle;
+  }
+
+  return {
+    acquire() {
+      const slot = { title: null };
+      slots = [...slots, slot];
+      return {
+        set(title) {
+          slot.title = String(title);
+          apply();
+        },
+        release() {
+          slots = slots.filter((s) => s !== slot);
+          apply();
+        },
+      };
+    },
+    // Titles from the oldest slot to the newest one, for debugging and tests.
+    getStack() {
+      return slots.map(({ title }) => title);
+    },
+    reset() {
+      slots = [];
+      apply();
+    },
+  };
+}
@@ -0,0 +1,67 @@
+import { useSyncExternalStore } from "react";
+import PropTypes from "prop-types";
+import vitalsStore from "./vitalsStore";
+import "./vitals.css";
+
+// CLS is a unitless score; every other metric is a duration in milliseconds.
+function formatValue({ name, value }) {
+  return name === "CLS" ? value.toFixed(3) : `${Math.round(value)} ms`;
+}
+
+/**
+ * A collapsible panel with the latest value of every web vital reported so
+ * far and the route it was reported on
+ */
+export default function VitalsOverlay({ store }) {
+  const { latest } = useSyncExternalStore(store.subscribe, store.getSnapshot);
+
+  return (
+    <details className="vitals-overlay">
+      <summary>Web Vitals ({latest.length})</summary>
+      {latest.length === 0 ? (
+        <p>No metrics reported yet.</p>
+      ) : (
+        <table aria-label="Web Vitals">
+          <thead>
+            <tr>
+              <th scope="col">Metric</th>
+              <th scope="col">Value</th>
+              <th scope="col">Rating</th>
+              <th scope="col">Route</th>
+            </tr>
+          </thead>
+          <tbody>
+            {latest.map((record) => (
+              <tr key={record.name} className={`vitals-${record.rating}`}>
+                <td>{record.name}</td>
+                <td>{formatValue(record)}</td>
+                <td>{record.rating}</td>
+                <td>
+                  <code>{record.route}</code>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <button type="button" onClick={store.clear}>
+        Clear
+      </button>
+    </details>
+  );
+}
+
+VitalsOverlay.propTypes = {
+  /**
+   * Store the overlay reads, created by createVitalsStore()
+   */
+  store: PropTypes.shape({
+    subscribe: PropTypes.func.isRequired,
+    getSnapshot: PropTypes.func.isRequired,
+    clear: PropTypes.func.isRequired,
+  }),
+};
+
+VitalsOverlay.defaultProps = {
+  store: vitalsStore,
+};
@@ -0,0 +1,47 @@
+import createHistory from "../router/history";
+
+// Turns the web-vitals callbacks into a pipeline: every metric is flattened
+// into a plain record, tagged with the route that was active when it was
+// reported and handed to each sink. A sink is an object with
+//   report(record)  receives every record
+//   flush()         optional, sends whatever the sink still buffers
+//   dispose()       optional, stops listening to the page (the reporter
+//                   doesn't call it; whoever created the sink does)
+// Records look like
+//   { name, value, rating, delta, id, navigationType, route, timestamp }
+// and are safe to serialize, unlike the metric's PerformanceEntry list.
+
+export function toRecord(metric, route) {
+  const { name, value, rating, delta, id, navigationType } = metric;
+  return {
+    name,
+    value,
+    rating,
+    delta,
+    id,
+    navigationType,
+    route,
+    timestamp: Date.now(),
+  };
+}
+
+// Reads the path the router would show right now, in either history mode.
+function currentRoute() {
+  return createHistory().getPath();
+}
+
+export default function createReporter({
+  sinks = [],
+  getRoute = currentRoute,
+} = {}) {
+  function report(metric) {
+    const record = toRecord(metric, getRoute());
+    sinks.forEach((sink) => sink.report(record));
+  }
+
+  report.flush = () => {
+    sinks.forEach((sink) => sink.flush && sink.flush());
+  };
+
+  return report;
+}
@@ -0,0 +1,133 @@
+import { act, render, screen, waitFor, within } from "@testing-library/react";
+import { onCLS, onFCP, onFID, onINP, onLCP, onTTFB } from "web-vitals";
+import reportWebVitals from "../reportWebVitals";
+import createReporter from "./createReporter";
+import { beaconSink, createMockCollector } from "./sinks";
+import { createVitalsStore } from "./vitalsStore";
+import VitalsOverlay from "./VitalsOverlay";
+
+jest.mock("web-vitals", () => ({
+  onCLS: jest.fn(),
+  onFCP: jest.fn(),
+  onFID: jest.fn(),
+  onINP: jest.fn(),
+  onLCP: jest.fn(),
+  onTTFB: jest.fn(),
+}));
+
+function metric(name, value, rating = "good") {
+  return { name, value, rating, delta: value, id: `v3-${name}`, entries: [] };
+}
+
+afterEach(() => {
+  window.history.replaceState(null, "", "/");
+});
+
+test("reportWebVitals registers every v3 metric, INP included", async () => {
+  // A plain function: reportWebVitals checks `instanceof Function`, which
+  // jest.fn() fails across jsdom's realm.
+  const onPerfEntry = () => {};
+  reportWebVitals(onPerfEntry);
+  await waitFor(() => expect(onTTFB).toHaveBeenCalledWith(onPerfEntry));
+  [onCLS, onFCP, onFID, onINP, onLCP].forEach((on) =>
+    expect(on).toHaveBeenCalledWith(onPerfEntry)
+  );
+});
+
+test("tags records with the active example route", () => {
+  const collector = createMockCollector();
+  const report = createReporter({ sinks: [collector] });
+
+  window.history.replaceState(null, "", "/examples/state-hook");
+  report(metric("LCP", 1200));
+  window.history.replaceState(null, "", "/#/examples/effect-hook");
+  report(metric("INP", 80));
+
+  expect(collector.records.map(({ name, route }) => [name, route])).toEqual([
+    ["LCP", "/examples/state-hook"],
+    ["INP", "/examples/effect-hook"],
+  ]);
+  expect(collector.byName("LCP")[0]).not.toHaveProperty("entries");
+});
+
+describe("beaconSink", () => {
+  function createTarget({ sendBeacon = jest.fn(() => true) } = {}) {
+    const target = new EventTarget();
+    target.navigator = { sendBeacon };
+    target.fetch = jest.fn(() => Promise.resolve());
+    target.document = { visibilityState: "visible" };
+    return target;
+  }
+
+  test("sends full batches as JSON", () => {
+    const target = createTarget();
+    const sink = beaconSink({ endpoint: "/vitals", batchSize: 2, target });
+
+    sink.report({ name: "FCP" });
+    expect(target.navigator.sendBeacon).not.toHaveBeenCalled();
+    sink.report({ name: "LCP" });
+
+    expect(target.navigator.sendBeacon).toHaveBeenCalledWith(
+      "/vitals",
+      JSON.stringify([{ name: "FCP" }, { name: "LCP" }])
+    );
+  });
+
+  test("sends what is left when the page is hidden", () => {
+    const target = createTarget();
+    const sink = beaconSink({ endpoint: "/vitals", target });
+    sink.report({ name: "CLS" });
+
+    target.document.visibilityState = "hidden";
+    target.dispatchEvent(new Event("visibilitychange"));
+    target.dispatchEvent(new Event("pagehide"));
+
+    expect(target.navigator.sendBeacon).toHaveBeenCalledTimes(1);
+  });
+
+  test("falls back to fetch when the beacon is refused", () => {
+    const target = createTarget({ sendBeacon: jest.fn(() => false) });
+    const sink = beaconSink({ endpoint: "/vitals", target });
+    sink.report({ name: "TTFB" });
+    sink.flush();
+
+    expect(target.fetch).toHaveBeenCalledWith("/vitals", {
+      method: "POST",
+      body: JSON.stringify([{ name: "TTFB" }]),
+      keepalive: true,
+    });
+  });
+
+  test("stops listening to the page once disposed", () => {
+    const target = createTarget();
+    const sink = beaconSink({ endpoint: "/vitals", target });
+    sink.report({ name: "INP" });
+    sink.dispose();
+    expect(target.navigator.sendBeacon).toHaveBeenCalledTimes(1);
+
+    sink.report({ name: "CLS" });
+    target.document.visibilityState = "hidden";
+    target.dispatchEvent(new Event("visibilitychange"));
+    target.dispatchEvent(new Event("pagehide"));
+    expect(target.navigator.sendBeacon).toHaveBeenCalledTimes(1);
+  });
+});
+
+test("the overlay shows the latest value of every metric", () => {
+  const store = createVitalsStore();
+  const report = createReporter({ sinks: [store], getRoute: () => "/" });
+  render(<VitalsOverlay store={store} />);
+  expect(screen.getByText("No metrics reported yet.")).toBeInTheDocument();
+
+  act(() => {
+    report(metric("CLS", 0.05));
+    report(metric("INP", 240, "needs-improvement"));
+    report(metric("CLS", 0.31, "poor"));
+  });
+
+  const rows = within(screen.getByRole("table", { name: "Web Vitals" }))
+    .getAllByRole("row")
+    .slice(1)
+    .map((row) => row.textContent);
+  expect(rows).toEqual(["CLS0.310poor/", "INP240 msneeds-improvement/"]);
+});
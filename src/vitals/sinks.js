@@ -0,0 +1,114 @@
+// Sinks for createReporter. Each one is an object with report(record) and,
+// when it buffers records, flush(). A sink that listens to the page also has
+// dispose(), which stops listening.
+
+/**
+ * Logs every record, e.g. while developing
+ */
+export function consoleSink({ logger = console } = {}) {
+  return {
+    report(record) {
+      logger.log(
+        `[web-vitals] ${record.name} ${record.value.toFixed(2)} (${
+          record.rating
+        }) on ${record.route}`,
+        record
+      );
+    },
+  };
+}
+
+/**
+ * Batches records and POSTs them as a JSON array to endpoint with
+ * navigator.sendBeacon, which still delivers while the page unloads. A batch
+ * is sent once it holds batchSize records and whenever the page is hidden,
+ * since that may be the last chance to send anything. Browsers without
+ * sendBeacon, or whose beacon queue is full, fall back to a keepalive fetch.
+ * dispose() sends what is left and removes the page listeners.
+ */
+export function beaconSink({
+  endpoint,
+  batchSize = 10,
+  target = typeof window === "undefined" ? null : window,
+} = {}) {
+  if (!endpoint) {
+    throw new Error("beaconSink needs an endpoint to send metrics to");
+  }
+  let queue = [];
+
+  function send(body) {
+    // A plain string goes out as text/plain, which sendBeacon may send
+    // cross-origin without a preflight; a JSON Blob would not be allowed.
+    const nav = target && target.navigator;
+    if (nav && typeof nav.sendBeacon === "function") {
+      if (nav.sendBeacon(endpoint, body)) {
+        return;
+      }
+    }
+    if (target && typeof target.fetch === "function") {
+      target
+        .fetch(endpoint, { method: "POST", body, keepalive: true })
+        .catch(() => {});
+    }
+  }
+
+  function flush() {
+    if (queue.length === 0) {
+      return;
+    }
+    const batch = queue;
+    queue = [];
+    send(JSON.stringify(batch));
+  }
+
+  function onVisibilityChange() {
+    if (target.document.visibilityState === "hidden") {
+      flush();
+    }
+  }
+
+  if (target) {
+    target.addEventListener("visibilitychange", onVisibilityChange);
+    // Safari doesn't always fire visibilitychange when the page unloads.
+    target.addEventListener("pagehide", flush);
+  }
+
+  return {
+    report(record) {
+      queue = [...queue, record];
+      if (queue.length >= batchSize) {
+        flush();
+      }
+    },
+    flush,
+    dispose() {
+      flush();
+      if (target) {
+        target.removeEventListener("visibilitychange", onVisibilityChange);
+        target.removeEventListener("pagehide", flush);
+      }
+    },
+  };
+}
+
+/**
+ * Keeps every record in memory, for tests that assert on what was reported
+ */
+export function createMockCollector() {
+  let records = [];
+
+  return {
+    report(record) {
+      records = [...records, record];
+    },
+    get records() {
+      return records;
+    },
+    byName(name) {
+      return records.filter((record) => record.name === name);
+    },
+    clear() {
+      records = [];
+    },
+  };
+}
@@ -0,0 +1,47 @@
+// The sink behind the in-app overlay. It keeps the records it is given and
+// exposes them through the useSyncExternalStore contract, with the latest
+// record of every metric first in the order the metrics first arrived.
+//   report(record)  the sink side
+//   subscribe/getSnapshot  the overlay side: { latest, records }
+//   clear()
+
+const MAX_RECORDS = 50;
+
+export function createVitalsStore() {
+  let snapshot = { latest: [], records: [] };
+  const listeners = new Set();
+
+  function emitChange(records) {
+    const latest = [];
+    records.forEach((record) => {
+      const index = latest.findIndex(({ name }) => name === record.name);
+      if (index === -1) {
+        latest.push(record);
+      } else {
+        latest[index] = record;
+      }
+    });
+    snapshot = { latest, records };
+    listeners.forEach((listener) => listener());
+  }
+
+  return {
+    report(record) {
+      emitChange([...snapshot.records, record].slice(-MAX_RECORDS));
+    },
+    clear() {
+      emitChange([]);
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot() {
+      return snapshot;
+    },
+  };
+}
+
+const vitalsStore = createVitalsStore();
+
+export default vitalsStore;